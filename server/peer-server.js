@@ -0,0 +1,39 @@
+// --- Self-hosted signalling server for phone signing ---
+//
+// A PeerJS server, which only brokers the WebRTC handshake between desktop
+// and phone (signatures and PDFs then travel peer-to-peer), and next to it the
+// WebSocket relay used when that peer-to-peer channel cannot be opened (see
+// relay.js). Configured through environment variables; the app must be built
+// with matching VITE_PEER_* and VITE_RELAY_URL values (see ../.env.example).
+
+import { PeerServer } from 'peer';
+import { startRelay } from './relay.js';
+
+const port = Number(process.env.PORT) || 9000;
+const path = process.env.PEER_PATH || '/peerjs';
+const key = process.env.PEER_KEY || 'peerjs';
+const relayPort = Number(process.env.RELAY_PORT) || 9001;
+const relayPath = process.env.RELAY_PATH || '/relay';
+// Behind nginx (Docker Compose) client addresses come from X-Forwarded-For
+const proxied = process.env.PEER_PROXIED === 'true';
+// Proxies in front of the relay (nginx, plus a TLS proxy before it, if any)
+const trustedProxies = process.env.TRUSTED_PROXIES ? Number(process.env.TRUSTED_PROXIES) : Number(proxied);
+// Relay sessions each client address may create per 10 minutes
+const sessionsPerIp = Number(process.env.RELAY_SESSIONS_PER_IP) || undefined;
+// Peer IDs identify pairings, so they are only logged on request
+const debug = process.env.DEBUG === 'true';
+
+const server = PeerServer({ port, path, key, proxied, allow_discovery: false }, () => {
+    console.log(`PeerJS server listening on :${port}${path}`);
+});
+
+if (debug) {
+    server.on('connection', client => console.log(`peer connected: ${client.getId()}`));
+    server.on('disconnect', client => console.log(`peer disconnected: ${client.getId()}`));
+}
+server.on('error', err => console.error('PeerJS server error:', err));
+
+startRelay({ port: relayPort, path: relayPath, trustedProxies, sessionsPerIp });
+
+// Docker stops containers with SIGTERM
+process.on('SIGTERM', () => process.exit(0));
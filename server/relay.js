@@ -0,0 +1,177 @@
+// --- WebSocket relay for phone signing ---
+//
+// Fallback for networks where the WebRTC data channel never opens. The
+// desktop creates a session (POST <path>/sessions) and puts its ID in the QR
+// code; desktop and phone then each open a WebSocket to <path>/<id>?role=…
+// and every frame one sends is forwarded to the other. The relay adds two
+// control messages of its own: {"relay":"open"} once both sides are there and
+// {"relay":"closed"} when the other side has left. Either side may then join
+// again (a phone whose screen locked, a desktop whose network changed): the
+// session lives as long as the desktop holds its seat, and SESSION_TTL after
+// it last left. Sockets that stop answering pings are dropped, so a vanished
+// phone or desktop does not keep its seat. Joining a session that is gone is
+// answered by closing the socket with SESSION_GONE, so the client stops
+// trying; a seat that is still taken gets a plain 404 and may be tried again.
+//
+// Anyone can create sessions, so each address may create sessionsPerIp
+// (SESSIONS_PER_IP by default) per RATE_WINDOW (429 beyond that), and a
+// session the desktop never joins is dropped after UNCLAIMED_TTL instead of
+// holding one of MAX_SESSIONS. Behind proxies the address is read from
+// X-Forwarded-For, skipping the entries of the trustedProxies nearest hops,
+// so it is the user's and not that of the proxy in front of nginx.
+
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+
+const ROLES = ['desktop', 'phone'];
+// A session without its desktop for this long is dropped
+const SESSION_TTL = 10 * 60 * 1000;
+// The desktop joins right after creating its session
+const UNCLAIMED_TTL = 60 * 1000;
+const SESSIONS_PER_IP = 20;
+const RATE_WINDOW = 10 * 60 * 1000;
+// Close code for a session that does not exist (any more); see src/relay.js
+const SESSION_GONE = 4404;
+const HEARTBEAT = 15 * 1000;
+const MAX_SESSIONS = 1000;
+const MAX_MESSAGE = 16 * 1024 * 1024; // a PDF/A with full fonts, base64-encoded
+
+const sessions = new Map();
+// Sessions created per address in the current window: address → { count, resetAt }
+const creations = new Map();
+
+function createSession() {
+    const id = randomBytes(16).toString('base64url');
+    const session = { id, sockets: {}, timer: null };
+    sessions.set(id, session);
+    closeLater(session, UNCLAIMED_TTL);
+    return session;
+}
+
+// The session is kept while the desktop is seated, and counts down otherwise
+function closeLater(session, ttl = SESSION_TTL) {
+    clearTimeout(session.timer);
+    if (!sessions.has(session.id) || session.sockets.desktop) return;
+    session.timer = setTimeout(() => closeSession(session), ttl);
+}
+
+/** Counts a session created from `address`; false once it is over `limit`. */
+function allowCreation(address, limit, now = Date.now()) {
+    let entry = creations.get(address);
+    if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + RATE_WINDOW };
+        creations.set(address, entry);
+    }
+    entry.count += 1;
+    return entry.count <= limit;
+}
+
+function pruneCreations(now = Date.now()) {
+    creations.forEach((entry, address) => {
+        if (entry.resetAt <= now) creations.delete(address);
+    });
+}
+
+// Each trusted proxy appends the address it was connected from to
+// X-Forwarded-For; entries before the ones they added come from the client
+// and cannot be trusted
+function clientAddress(req, trustedProxies) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(a => a.trim()).filter(Boolean);
+    const hops = [...forwarded, req.socket.remoteAddress];
+    return hops[Math.max(0, hops.length - 1 - trustedProxies)];
+}
+
+function closeSession(session) {
+    clearTimeout(session.timer);
+    sessions.delete(session.id);
+    Object.values(session.sockets).forEach(socket => socket.close(1000, 'session closed'));
+}
+
+function join(session, role, socket) {
+    const other = session.sockets[role === 'desktop' ? 'phone' : 'desktop'];
+    session.sockets[role] = socket;
+    socket.alive = true;
+    socket.on('pong', () => { socket.alive = true; });
+
+    socket.on('message', (data, isBinary) => {
+        const peer = session.sockets[role === 'desktop' ? 'phone' : 'desktop'];
+        if (peer && peer.readyState === peer.OPEN) peer.send(data, { binary: isBinary });
+    });
+
+    socket.on('close', () => {
+        if (session.sockets[role] !== socket) return;
+        delete session.sockets[role];
+        const peer = session.sockets[role === 'desktop' ? 'phone' : 'desktop'];
+        if (peer) peer.send(JSON.stringify({ relay: 'closed' }));
+        closeLater(session);
+    });
+
+    closeLater(session);
+    if (other) {
+        [socket, other].forEach(s => s.send(JSON.stringify({ relay: 'open' })));
+    }
+}
+
+/**
+ * Starts the relay on its own port (the PeerJS server answers every other
+ * WebSocket upgrade on its port with an error).
+ * @param {{ port: number, path: string, trustedProxies?: number, sessionsPerIp?: number }} options -
+ *   path is the mount path, e.g. /relay; trustedProxies the number of proxies in front of the
+ *   relay that set X-Forwarded-For (nginx, and any TLS proxy before it)
+ */
+export function startRelay({ port, path, trustedProxies = 0, sessionsPerIp = SESSIONS_PER_IP }) {
+    const server = http.createServer((req, res) => {
+        // Sessions may be created from the app's origin on another host
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        if (req.method !== 'POST' || new URL(req.url, 'http://relay').pathname !== `${path}/sessions`) {
+            res.writeHead(404).end();
+            return;
+        }
+        if (!allowCreation(clientAddress(req, trustedProxies), sessionsPerIp)) {
+            res.writeHead(429, { 'Retry-After': String(RATE_WINDOW / 1000) }).end();
+            return;
+        }
+        if (sessions.size >= MAX_SESSIONS) {
+            res.writeHead(503).end();
+            return;
+        }
+        const session = createSession();
+        // Until the desktop joins; from then on the session lasts as long as the desktop stays
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id: session.id, expiresIn: UNCLAIMED_TTL / 1000 }));
+    });
+
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE });
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://relay');
+        const id = url.pathname.startsWith(`${path}/`) ? url.pathname.slice(path.length + 1) : null;
+        const session = id && sessions.get(id);
+        const role = url.searchParams.get('role');
+        if (id && !session && ROLES.includes(role)) {
+            wss.handleUpgrade(req, socket, head, ws => ws.close(SESSION_GONE, 'session gone'));
+            return;
+        }
+        if (!session || !ROLES.includes(role) || session.sockets[role]) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => join(session, role, ws));
+    });
+
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((ws) => {
+            if (!ws.alive) {
+                ws.terminate();
+                return;
+            }
+            ws.alive = false;
+            ws.ping();
+        });
+        pruneCreations();
+    }, HEARTBEAT);
+    server.on('close', () => clearInterval(heartbeat));
+
+    server.listen(port, () => console.log(`Relay listening on :${port}${path}`));
+    return server;
+}
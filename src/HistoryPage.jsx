@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { listCertificates, deleteCertificate, downloadBlob } from './history';
+import { saveSession } from './session';
+import { emptyAbsence, normalizeAbsences, todayIso } from './absences';
+import { getDocumentType } from './documentTypes';
+import { localeTag } from './i18n';
+import { useLocale } from './i18n/LocaleProvider';
+
+function formatDate(dateStr, locale) {
+    if (!dateStr) return '—';
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString(localeTag(locale));
+}
+
+/**
+ * Archive of every certificate generated on this device.
+ * Opened via #/history. Entries live in IndexedDB (see history.js).
+ */
+export default function HistoryPage() {
+    const { t, locale } = useLocale();
+    const [entries, setEntries] = useState(null);
+    const [query, setQuery] = useState('');
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        document.documentElement.classList.toggle('dark', localStorage.getItem('ovikreta_dark') === 'true');
+        listCertificates()
+            .then(setEntries)
+            .catch((err) => {
+                console.error('Failed to load history:', err);
+                setError('history.loadError');
+                setEntries([]);
+            });
+    }, []);
+
+    const filtered = useMemo(() => {
+        if (!entries) return [];
+        const q = query.trim().toLowerCase();
+        if (!q) return entries;
+        return entries.filter(({ form }) =>
+            [form.childName, form.kindergartenName, form.groupName, form.signatureDate,
+                ...normalizeAbsences(form).flatMap(a => [a.from, a.to])]
+                .some(v => v && v.toLowerCase().includes(q))
+        );
+    }, [entries, query]);
+
+    const handleDelete = async (entry) => {
+        if (!window.confirm(t('history.confirmDelete'))) return;
+        try {
+            await deleteCertificate(entry.id);
+            setEntries(prev => prev.filter(e => e.id !== entry.id));
+        } catch (err) {
+            console.error('Failed to delete certificate:', err);
+            alert(t('history.deleteError'));
+        }
+    };
+
+    const handleDuplicate = (entry) => {
+        saveSession({
+            ...entry.form,
+            absences: [emptyAbsence()],
+            signatureDate: todayIso(),
+            drawnSignature: null,
+            drawnStrokes: null,
+            photoSignature: null,
+        });
+        window.location.hash = '#/';
+    };
+
+    return (
+        <div className="min-h-[100dvh] bg-gradient-to-br from-amber-50 via-orange-50 to-yellow-50 dark:from-gray-900 dark:via-gray-900 dark:to-gray-950 p-4 md:p-8 transition-colors duration-300">
+            <div className="max-w-3xl mx-auto" style={{ paddingTop: 'env(safe-area-inset-top)' }}>
+                {/* Header */}
+                <div className="flex items-center justify-between mb-6 md:mb-8">
+                    <a
+                        href="#/"
+                        className="text-sm text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors"
+                    >
+                        {t('history.back')}
+                    </a>
+                    <div className="inline-flex items-center gap-2 bg-white/80 dark:bg-gray-800/80 backdrop-blur px-5 py-2.5 rounded-full shadow-sm">
+                        <span className="text-xl">🗂️</span>
+                        <h1 className="text-lg font-semibold text-gray-800 dark:text-gray-100">{t('app.history')}</h1>
+                    </div>
+                </div>
+
+                <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-5 md:p-8 transition-colors">
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder={t('history.search')}
+                        className="w-full px-4 py-3 mb-5 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:placeholder-gray-500"
+                    />
+
+                    {entries === null && (
+                        <div className="py-12">
+                            <div className="w-10 h-10 border-3 border-amber-200 border-t-amber-500 rounded-full animate-spin mx-auto" />
+                        </div>
+                    )}
+
+                    {error && <p className="text-sm text-red-500 text-center py-4">{t(error)}</p>}
+
+                    {entries !== null && !error && filtered.length === 0 && (
+                        <p className="text-sm text-gray-400 dark:text-gray-500 text-center py-12">
+                            {t(entries.length === 0 ? 'history.empty' : 'history.noMatch')}
+                        </p>
+                    )}
+
+                    <ul className="space-y-3">
+                        {filtered.map(entry => (
+                            <li
+                                key={entry.id}
+                                className="p-4 border border-gray-100 dark:border-gray-700 rounded-xl flex flex-col sm:flex-row sm:items-center gap-3 animate-fade-in"
+                            >
+                                <div className="flex-1 min-w-0">
+                                    <div className="text-xs font-medium text-amber-600 dark:text-amber-400">
+                                        {getDocumentType(entry.form.documentType).icon} {t(getDocumentType(entry.form.documentType).label)}
+                                    </div>
+                                    <div className="font-medium text-gray-800 dark:text-gray-100 truncate">
+                                        {entry.form.childName}
+                                        {entry.form.groupName && <span className="text-gray-400 dark:text-gray-500 font-normal"> · {entry.form.groupName}</span>}
+                                    </div>
+                                    {/* Documents without absences (an authorisation) go by their date instead */}
+                                    {getDocumentType(entry.form.documentType).usesAbsences ? normalizeAbsences(entry.form).map((absence, idx) => (
+                                        <div key={idx} className="text-sm text-gray-600 dark:text-gray-300">
+                                            {formatDate(absence.from, locale)} – {formatDate(absence.to, locale)}
+                                        </div>
+                                    )) : (
+                                        <div className="text-sm text-gray-600 dark:text-gray-300">
+                                            {t('form.signatureDate')}: {formatDate(entry.form.signatureDate, locale)}
+                                        </div>
+                                    )}
+                                    <div className="text-xs text-gray-400 dark:text-gray-500 truncate">
+                                        {entry.form.kindergartenName}
+                                    </div>
+                                    <div className="text-xs text-gray-400 dark:text-gray-500 mt-1">
+                                        {t('history.created', { date: new Date(entry.createdAt).toLocaleString(localeTag(locale)) })} · {t(`signatureMethods.${entry.signatureMethod}`)}
+                                    </div>
+                                </div>
+                                <div className="flex gap-2 shrink-0">
+                                    <button
+                                        onClick={() => downloadBlob(entry.pdfBlob, entry.filename)}
+                                        className="px-3 py-2 text-xs font-medium bg-gradient-to-r from-amber-500 to-orange-500 text-white rounded-xl shadow-sm hover:shadow-md active:scale-95 transition-all"
+                                    >
+                                        {t('history.download')}
+                                    </button>
+                                    <button
+                                        onClick={() => handleDuplicate(entry)}
+                                        className="px-3 py-2 text-xs text-gray-600 dark:text-gray-300 hover:text-amber-600 dark:hover:text-amber-400 border border-gray-200 dark:border-gray-600 hover:border-amber-300 dark:hover:border-amber-500 rounded-xl transition-all"
+                                    >
+                                        {t('history.duplicate')}
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(entry)}
+                                        className="px-3 py-2 text-xs text-gray-400 hover:text-red-500 border border-gray-200 dark:border-gray-600 hover:border-red-200 rounded-xl transition-all"
+                                    >
+                                        {t('history.delete')}
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,32 @@
+import React from 'react';
+import { locales } from './i18n';
+
+/**
+ * Segmented HU / EN / DE control.
+ *
+ * Props:
+ *  - value — selected locale id
+ *  - onChange(locale) — user picked another language
+ *  - label — accessible name of the group
+ *  - className — extra wrapper classes
+ */
+export default function LanguageSwitcher({ value, onChange, label, className = '' }) {
+    return (
+        <div role="group" aria-label={label} className={`inline-flex rounded-full bg-gray-100 dark:bg-gray-700 p-0.5 ${className}`}>
+            {locales.map(locale => (
+                <button
+                    key={locale.id}
+                    onClick={() => onChange(locale.id)}
+                    title={locale.label}
+                    aria-pressed={value === locale.id}
+                    className={`px-2 py-0.5 rounded-full text-[11px] font-semibold tracking-wide transition-all ${value === locale.id
+                        ? 'bg-white dark:bg-gray-800 text-amber-600 dark:text-amber-400 shadow-sm'
+                        : 'text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300'
+                        }`}
+                >
+                    {locale.short}
+                </button>
+            ))}
+        </div>
+    );
+}
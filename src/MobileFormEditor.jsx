@@ -0,0 +1,192 @@
+import React from 'react';
+import LanguageSwitcher from './LanguageSwitcher';
+import { documentTypes, getDocumentType, extraFieldValues, dayUnitOf } from './documentTypes';
+import { emptyAbsence, isAbsenceComplete, validateDates } from './absences';
+import { countKindergartenDays } from './workdays';
+import { useLocale } from './i18n/LocaleProvider';
+
+const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-amber-200 focus:border-amber-400 outline-none transition-all bg-white';
+const labelClass = 'block text-sm font-medium text-gray-600 mb-1.5';
+
+/**
+ * The certificate fields of ParentalAbsenceForm, for editing on a paired
+ * phone (see MobileSignPage). Every change goes out as a patch of the fields
+ * it touched; the desktop applies it and stays the one that prints.
+ *
+ * Props:
+ *  - fields — { locale, documentType, kindergartenName, childName, groupName,
+ *    absences, printDayCount, signatureDate, extraFields } as synced from the desktop
+ *  - onChange(patch) — called with the changed fields
+ */
+export default function MobileFormEditor({ fields, onChange }) {
+    const { t } = useLocale();
+    const docType = getDocumentType(fields.documentType);
+    const extraValues = extraFieldValues(docType, fields.extraFields || {});
+    const { absences } = fields;
+    const dateErrors = validateDates(docType.usesAbsences ? absences : [], fields.signatureDate, { inAdvance: docType.allowFutureDates });
+    const dayCount = docType.dayUnit ? countKindergartenDays(absences) : 0;
+
+    const updateAbsence = (index, key, value) => {
+        onChange({ absences: absences.map((a, i) => (i === index ? { ...a, [key]: value } : a)) });
+    };
+
+    return (
+        <div className="space-y-4">
+            <div>
+                <label className={labelClass}>{t('form.documentType')}</label>
+                <select value={docType.id} onChange={(e) => onChange({ documentType: e.target.value })} className={inputClass}>
+                    {Object.values(documentTypes).map(type => (
+                        <option key={type.id} value={type.id}>{type.icon} {t(type.label)}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="flex items-center justify-between gap-3">
+                <span className={labelClass}>{t('form.documentLanguage')}</span>
+                <LanguageSwitcher value={fields.locale} onChange={(value) => onChange({ locale: value })} label={t('form.documentLanguage')} />
+            </div>
+
+            <div>
+                <label className={labelClass}>{t(docType.institutionLabel)}</label>
+                <input
+                    type="text"
+                    value={fields.kindergartenName}
+                    onChange={(e) => onChange({ kindergartenName: e.target.value })}
+                    placeholder={t(docType.institutionPlaceholder)}
+                    className={inputClass}
+                />
+            </div>
+
+            <div>
+                <label className={labelClass}>{t('form.childName')}</label>
+                <input
+                    type="text"
+                    value={fields.childName}
+                    onChange={(e) => onChange({ childName: e.target.value })}
+                    placeholder={t('form.childNamePlaceholder')}
+                    className={inputClass}
+                />
+            </div>
+
+            <div>
+                <label className={labelClass}>
+                    {t(docType.groupLabel)} <span className="text-xs text-gray-400 font-normal">{t('form.optional')}</span>
+                </label>
+                <input
+                    type="text"
+                    value={fields.groupName}
+                    onChange={(e) => onChange({ groupName: e.target.value })}
+                    placeholder={t(docType.groupPlaceholder)}
+                    className={inputClass}
+                />
+            </div>
+
+            {docType.extraFields.map(field => (
+                <div key={field.key}>
+                    <label className={labelClass}>{t(field.label)}</label>
+                    {field.options ? (
+                        <div className="grid grid-cols-2 gap-2">
+                            {field.options.map(option => (
+                                <button
+                                    key={option.value}
+                                    onClick={() => onChange({ extraFields: { ...fields.extraFields, [field.key]: option.value } })}
+                                    className={`py-2.5 border-2 rounded-xl text-sm font-medium transition-all active:scale-95 ${extraValues[field.key] === option.value
+                                        ? 'border-amber-400 bg-amber-50 text-amber-700'
+                                        : 'border-gray-200 bg-white text-gray-600'
+                                        }`}
+                                >
+                                    {t(option.label)}
+                                </button>
+                            ))}
+                        </div>
+                    ) : field.multiline ? (
+                        <textarea
+                            value={extraValues[field.key]}
+                            onChange={(e) => onChange({ extraFields: { ...fields.extraFields, [field.key]: e.target.value } })}
+                            placeholder={field.placeholder ? t(field.placeholder) : ''}
+                            rows={2}
+                            className={`${inputClass} resize-none`}
+                        />
+                    ) : (
+                        <input
+                            type="text"
+                            value={extraValues[field.key]}
+                            onChange={(e) => onChange({ extraFields: { ...fields.extraFields, [field.key]: e.target.value } })}
+                            placeholder={field.placeholder ? t(field.placeholder) : ''}
+                            className={inputClass}
+                        />
+                    )}
+                </div>
+            ))}
+
+            {docType.usesAbsences && (
+                <div>
+                    <label className={labelClass}>{t(docType.absencesLabel)}</label>
+                    <div className="space-y-3">
+                        {absences.map((absence, idx) => (
+                            <div key={idx} className="p-3 bg-white border border-gray-100 rounded-xl">
+                                {absences.length > 1 && (
+                                    <div className="flex items-center justify-between mb-1">
+                                        <span className="text-xs font-medium text-gray-500">{t('form.period', { n: idx + 1 })}</span>
+                                        <button
+                                            onClick={() => onChange({ absences: absences.filter((_, i) => i !== idx) })}
+                                            className="text-xs text-gray-400 hover:text-red-500 transition-colors"
+                                            aria-label={t('form.removePeriod', { n: idx + 1 })}
+                                        >
+                                            {t('form.remove')}
+                                        </button>
+                                    </div>
+                                )}
+                                <div className="grid grid-cols-2 gap-2">
+                                    <div>
+                                        <span className="text-xs text-gray-400 mb-1 block">{t('form.from')}</span>
+                                        <input type="date" value={absence.from} onChange={(e) => updateAbsence(idx, 'from', e.target.value)} className={inputClass} />
+                                    </div>
+                                    <div>
+                                        <span className="text-xs text-gray-400 mb-1 block">{t('form.to')}</span>
+                                        <input type="date" value={absence.to} onChange={(e) => updateAbsence(idx, 'to', e.target.value)} className={inputClass} />
+                                    </div>
+                                </div>
+                                {(dateErrors.absences[idx].from || dateErrors.absences[idx].to) && (
+                                    <p className="mt-1.5 text-xs text-red-500">{t(dateErrors.absences[idx].from || dateErrors.absences[idx].to)}</p>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                    <div className="mt-3 flex flex-wrap items-center justify-between gap-2">
+                        <button
+                            onClick={() => onChange({ absences: [...absences, emptyAbsence()] })}
+                            className="text-sm text-amber-600 font-medium"
+                        >
+                            {t('form.addPeriod')}
+                        </button>
+                        {docType.dayUnit && absences.some(isAbsenceComplete) && (
+                            <span className="text-sm text-gray-600">
+                                {t('form.total')} <strong>{dayCount}</strong> {t(dayUnitOf(docType, extraValues), { count: dayCount })}
+                            </span>
+                        )}
+                    </div>
+                    {docType.dayUnit && absences.some(isAbsenceComplete) && (
+                        <label className="mt-2 flex items-center gap-2 text-xs text-gray-500 select-none">
+                            <input
+                                type="checkbox"
+                                checked={fields.printDayCount}
+                                onChange={(e) => onChange({ printDayCount: e.target.checked })}
+                                className="accent-amber-500"
+                            />
+                            {t('form.printDayCount')}
+                        </label>
+                    )}
+                </div>
+            )}
+
+            <div>
+                <label className={labelClass}>{t('form.signatureDate')}</label>
+                <input type="date" value={fields.signatureDate} onChange={(e) => onChange({ signatureDate: e.target.value })} className={inputClass} />
+                {dateErrors.signatureDate && (
+                    <p className="mt-1.5 text-xs text-red-500">{t(dateErrors.signatureDate)}</p>
+                )}
+            </div>
+        </div>
+    );
+}
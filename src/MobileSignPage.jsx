@@ -1,84 +1,475 @@
 import React, { useState, useEffect, useRef } from 'react';
 import Peer from 'peerjs';
+import { peerOptions, relayUrl, reconnectDelay } from './peerConfig';
+import { connectRelay } from './relay';
+import { pairingSupported, secureChannel } from './pairing';
+import { protocolChannel, messageId } from './phoneProtocol';
 import SignaturePad from './SignaturePad';
+import MobileFormEditor from './MobileFormEditor';
+import LanguageSwitcher from './LanguageSwitcher';
+import { downloadBlob } from './history';
+import { getDocumentType } from './documentTypes';
+import { useLocale } from './i18n/LocaleProvider';
+
+// Web Share with files (mobile browsers); elsewhere only the download is offered
+function canShareFile(file) {
+    return !!(navigator.canShare && navigator.canShare({ files: [file] }));
+}
+
+// How long the direct (WebRTC) connection may take before the relay is tried,
+// and how long the relay may take in turn
+const CONNECT_TIMEOUT = 10000;
+// Connection attempts in a row before giving up (see reconnectDelay)
+const MAX_RETRIES = 6;
+// The secret agreed with the desktop for coming back (see pairing.js), kept
+// with the QR code's secret it replaces, so a reloaded page can come back too
+const RESUME_KEY = 'ovikreta_pairing';
+
+function loadResumeSecret(secret) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RESUME_KEY));
+        return saved && saved.secret === secret ? saved.resume : null;
+    } catch { return null; }
+}
+
+function saveResumeSecret(secret, resume) {
+    try { localStorage.setItem(RESUME_KEY, JSON.stringify({ secret, resume })); } catch { }
+}
 
 /**
  * Full-screen mobile signing page.
- * Opened via QR code URL: #/sign/{peerId}
- * Connects to desktop via PeerJS and sends the drawn signature back.
+ * Opened via QR code URL: #/sign/{peerId}?secret={secret}&relay={relaySession}
+ * Connects to the desktop and sends the drawn signature back, both as a PNG
+ * (for the preview) and as stroke point lists (for the PDF). The pairing
+ * secret from the QR code authenticates the phone and keys the encryption (see
+ * pairing.js); it works once, and the phone comes back with the secret agreed
+ * on the first connection, kept in localStorage. The desktop sends the
+ * document being signed ({ type: 'document' }); it is shown as the paper
+ * preview, and the signature can only be sent once the signer has confirmed
+ * it. A changed document has to be confirmed again. The connection stays open
+ * afterwards: PDFs generated on the desktop are pushed back ({ type: 'pdf' })
+ * and offered for download and sharing.
+ *
+ * The "Edit" tab fills in the form itself (see MobileFormEditor). Edits are
+ * applied here at once and sent as numbered patches; the desktop's fields
+ * ({ type: 'fields', fields, ack }) replace the local copy, with the patches
+ * it has not yet acknowledged applied on top. QR codes made for editing
+ * (mode=edit) open on this tab.
+ *
+ * Each connection attempt starts with WebRTC (PeerJS); when that has not
+ * opened within CONNECT_TIMEOUT, or fails, the relay named in the QR code is
+ * tried as well (see relay.js), while the WebRTC connection is kept. Both are
+ * candidates: once one has passed the handshake it waits for the desktop,
+ * which picks the connection it uses and confirms it ({ type: 'adopted' }).
+ * Only the confirmed one is adopted, and the others are closed. A candidate
+ * that closes, say because the desktop took the other, fails the attempt only
+ * when no other candidate is left; so does the relay's CONNECT_TIMEOUT
+ * running out with no candidate waiting for the desktop.
+ *
+ * The connection (connecting → connected ⇄ reconnecting → failed, or
+ * rejected, or incompatible when the desktop runs another version, or
+ * insecure when the page is not served over https) is kept apart from the
+ * signing progress (review → sending → sent): a dropped connection is retried
+ * with backoff, at once when the page becomes visible again, and the signer
+ * carries on where they were, with unacknowledged edits sent again.
+ *
+ * The signature is delivered (see phoneProtocol.js): "sent" is only shown
+ * once the desktop has confirmed it, and a signature still on its way when
+ * the connection drops is delivered again over the next one.
  */
-export default function MobileSignPage({ targetPeerId }) {
-    const [status, setStatus] = useState('connecting'); // connecting | ready | sending | sent | error
+export default function MobileSignPage({ targetPeerId, relaySession, secret, mode }) {
+    const { t, locale, setLocale } = useLocale();
+    // connecting | connected | reconnecting | failed | rejected | incompatible | insecure
+    const [connection, setConnection] = useState(() => (pairingSupported() ? 'connecting' : 'insecure'));
+    const [step, setStep] = useState('review'); // review | sending | sent
+    const [attempt, setAttempt] = useState(0);
+    const [transport, setTransport] = useState(null); // webrtc | relay
     const [signatureDataUrl, setSignatureDataUrl] = useState(null);
+    const [strokes, setStrokes] = useState([]);
+    const [documentData, setDocumentData] = useState(null);
+    const [confirmed, setConfirmed] = useState(false);
+    const [pdfFile, setPdfFile] = useState(null);
+    const [tab, setTab] = useState(mode === 'edit' ? 'edit' : 'sign');
+    const [fields, setFields] = useState(null);
     const connRef = useRef(null);
+    const secretRef = useRef(null); // what the next handshake proves
+    if (!secretRef.current) secretRef.current = loadResumeSecret(secret) || secret;
+    const seqRef = useRef(0);
+    const pendingRef = useRef([]); // edits sent but not yet acknowledged
+    const documentJsonRef = useRef(null);
+    const retriesRef = useRef(0);
+    const retryTimerRef = useRef(null);
+    const connectedOnceRef = useRef(false);
+    const seenRef = useRef(new Set()); // delivered messages (PDFs) already handled
+    const outgoingRef = useRef(null); // the signature being delivered: { id, message }
+    const [sendFailed, setSendFailed] = useState(false);
 
+    const sendEdit = (conn, patch) => {
+        const seq = ++seqRef.current;
+        pendingRef.current.push({ seq, patch });
+        conn.send({ type: 'edit', seq, patch }).catch((err) => {
+            console.error('Failed to send the edit:', err);
+        });
+    };
+
+    // Lost or never made: try again after a while, up to MAX_RETRIES times in a row
+    const retryLater = () => {
+        const n = retriesRef.current++;
+        if (n >= MAX_RETRIES) {
+            setConnection('failed');
+            return;
+        }
+        setConnection(connectedOnceRef.current ? 'reconnecting' : 'connecting');
+        retryTimerRef.current = setTimeout(() => {
+            retryTimerRef.current = null;
+            setAttempt(a => a + 1);
+        }, reconnectDelay(n));
+    };
+
+    const deliverSignature = (conn) => {
+        const outgoing = outgoingRef.current;
+        conn.deliver(outgoing.message, outgoing.id).then(() => {
+            if (outgoingRef.current !== outgoing) return;
+            outgoingRef.current = null;
+            setStep('sent');
+        }).catch((err) => {
+            // A dropped connection delivers it again once it is back
+            if (outgoingRef.current !== outgoing || !conn.open) return;
+            console.error('Signature not confirmed:', err);
+            outgoingRef.current = null;
+            setSendFailed(true);
+            setStep('review');
+        });
+    };
+
+    const retryNow = () => {
+        clearTimeout(retryTimerRef.current);
+        retryTimerRef.current = null;
+        retriesRef.current = 0;
+        setConnection(connectedOnceRef.current ? 'reconnecting' : 'connecting');
+        setAttempt(a => a + 1);
+    };
+
+    // Back from a locked screen or a dead network: no need to wait out the backoff
     useEffect(() => {
-        const peer = new Peer();
+        const resume = () => {
+            if (document.visibilityState === 'visible' && retryTimerRef.current) retryNow();
+        };
+        document.addEventListener('visibilitychange', resume);
+        window.addEventListener('online', resume);
+        return () => {
+            document.removeEventListener('visibilitychange', resume);
+            window.removeEventListener('online', resume);
+            clearTimeout(retryTimerRef.current);
+        };
+    }, []);
 
-        peer.on('open', () => {
-            const conn = peer.connect(targetPeerId, { reliable: true });
-            connRef.current = conn;
+    useEffect(() => {
+        if (!pairingSupported()) return undefined;
+        let peer = null;
+        let relay = null;
+        let timer = null;
+        let ended = false; // this attempt succeeded, failed or was cleaned up
+        connRef.current = null;
+        // Connections of this attempt, by transport: trying | open (awaiting the desktop) | failed
+        const candidates = {};
 
-            conn.on('open', () => {
-                setStatus('ready');
+        // The desktop picks the connection and confirms it; the others are dropped
+        const adopt = (conn, kind) => {
+            if (ended || connRef.current) {
+                conn.close();
+                return;
+            }
+            clearTimeout(timer);
+            connRef.current = conn;
+            // The QR code's secret is spent: from now on only this phone can come back
+            secretRef.current = candidates[kind].channel.resumeSecret;
+            saveResumeSecret(secret, secretRef.current);
+            Object.entries(candidates).forEach(([other, candidate]) => {
+                if (other !== kind) candidate.channel.close();
             });
+            connectedOnceRef.current = true;
+            retriesRef.current = 0;
+            setTransport(kind);
+            setConnection('connected');
 
-            conn.on('error', (err) => {
-                console.error('Connection error:', err);
-                setStatus('error');
+            // Edits the desktop had not acknowledged go out again, renumbered
+            const unsent = pendingRef.current;
+            seqRef.current = 0;
+            pendingRef.current = [];
+            unsent.forEach(edit => sendEdit(conn, edit.patch));
+            if (outgoingRef.current) deliverSignature(conn);
+
+            conn.on('data', (data) => {
+                if (data && data.type === 'document' && data.data) {
+                    // Sent again after a reconnection: only a changed document needs confirming again
+                    const json = JSON.stringify(data.data);
+                    if (json === documentJsonRef.current) return;
+                    documentJsonRef.current = json;
+                    setDocumentData(data.data);
+                    setConfirmed(false);
+                } else if (data && data.type === 'fields' && data.fields) {
+                    pendingRef.current = pendingRef.current.filter(edit => edit.seq > data.ack);
+                    setFields(pendingRef.current.reduce((merged, edit) => ({ ...merged, ...edit.patch }), data.fields));
+                } else if (data && data.type === 'pdf' && data.data) {
+                    setPdfFile(new File([data.data], data.filename || 'igazolas.pdf', { type: 'application/pdf' }));
+                }
             });
 
             conn.on('close', () => {
-                // Desktop closed
+                if (ended || connRef.current !== conn) return;
+                ended = true;
+                connRef.current = null;
+                setTransport(null);
+                retryLater();
             });
-        });
+        };
 
-        peer.on('error', (err) => {
-            console.error('PeerJS error:', err);
-            setStatus('error');
-        });
+        const fail = () => {
+            if (ended || connRef.current) return;
+            ended = true;
+            clearTimeout(timer);
+            retryLater();
+        };
+
+        // Only once every transport has failed; one turned down by the desktop
+        // may just have lost to the other
+        const settle = (kind, state) => {
+            if (ended || connRef.current || !candidates[kind]) return;
+            candidates[kind].state = state;
+            if (Object.values(candidates).every(candidate => candidate.state === 'failed')) fail();
+        };
+
+        const offer = (channel, kind) => {
+            candidates[kind] = { channel, state: 'trying' };
+            channel.on('open', () => {
+                settle(kind, 'open');
+                const conn = protocolChannel(channel, { seen: seenRef.current });
+                conn.on('incompatible', () => {
+                    // Reconnecting would not help; the desktop closes the connection
+                    ended = true;
+                    clearTimeout(timer);
+                    setConnection('incompatible');
+                });
+                conn.on('data', (data) => {
+                    if (data && data.type === 'adopted' && !connRef.current) adopt(conn, kind);
+                });
+            });
+            channel.on('close', () => settle(kind, 'failed'));
+        };
+
+        // Gives up unless a connection is open and waiting for the desktop's word
+        const giveUp = () => {
+            if (!Object.values(candidates).some(candidate => candidate.state === 'open')) fail();
+        };
+
+        const secure = (conn) => {
+            const channel = secureChannel(conn, { role: 'phone', secret: () => secretRef.current });
+            channel.on('reject', () => {
+                if (ended || connRef.current) return;
+                // Retrying with the same QR code is turned down again
+                ended = true;
+                clearTimeout(timer);
+                setConnection('rejected');
+            });
+            return channel;
+        };
+
+        const switchToRelay = () => {
+            if (ended || connRef.current || relay) return;
+            if (!relaySession || !relayUrl()) {
+                giveUp();
+                return;
+            }
+            clearTimeout(timer);
+            relay = secure(connectRelay(relaySession, 'phone'));
+            offer(relay, 'relay');
+            relay.on('error', (err) => {
+                console.error('Relay error:', err);
+                settle('relay', 'failed');
+            });
+            timer = setTimeout(giveUp, CONNECT_TIMEOUT);
+        };
+
+        if (targetPeerId) {
+            peer = new Peer(peerOptions());
+            timer = setTimeout(switchToRelay, CONNECT_TIMEOUT);
+
+            peer.on('open', () => {
+                const conn = secure(peer.connect(targetPeerId, { reliable: true }));
+                offer(conn, 'webrtc');
+                conn.on('error', (err) => {
+                    console.error('Connection error:', err);
+                    switchToRelay();
+                    settle('webrtc', 'failed');
+                });
+            });
+
+            // A WebRTC connection still on its way is kept while the relay is tried
+            peer.on('error', (err) => {
+                console.error('PeerJS error:', err);
+                switchToRelay();
+            });
+        } else {
+            switchToRelay();
+        }
 
         return () => {
-            peer.destroy();
+            ended = true;
+            clearTimeout(timer);
+            if (peer) peer.destroy();
+            if (relay) relay.close();
         };
-    }, [targetPeerId]);
+    }, [targetPeerId, relaySession, secret, attempt]);
 
     const sendSignature = () => {
-        if (!signatureDataUrl || !connRef.current) return;
-        setStatus('sending');
-        connRef.current.send({ type: 'signature', dataUrl: signatureDataUrl });
-        setTimeout(() => setStatus('sent'), 300);
+        if (!signatureDataUrl || !confirmed || !connRef.current) return;
+        outgoingRef.current = { id: messageId(), message: { type: 'signature', dataUrl: signatureDataUrl, strokes } };
+        setSendFailed(false);
+        setStep('sending');
+        deliverSignature(connRef.current);
+    };
+
+    // The signature pad is left when editing, and starts empty on return
+    const switchTab = (id) => {
+        if (id === 'edit') {
+            setSignatureDataUrl(null);
+            setStrokes([]);
+        }
+        setTab(id);
     };
 
+    // While reconnecting, edits wait and go out with the next connection
+    const editFields = (patch) => {
+        if (connRef.current) sendEdit(connRef.current, patch);
+        else pendingRef.current.push({ seq: ++seqRef.current, patch });
+        setFields(prev => ({ ...prev, ...patch }));
+    };
+
+    const sharePdf = async () => {
+        try {
+            await navigator.share({ files: [pdfFile], title: pdfFile.name });
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+            console.error('Share failed:', err);
+            alert(t('mobile.shareError'));
+        }
+    };
+
+    const docType = documentData && getDocumentType(documentData.documentType);
+    const showForm = (connection === 'connected' || connection === 'reconnecting') && step !== 'sent';
+    const failed = (connection === 'failed' && step !== 'sent') || ['rejected', 'incompatible', 'insecure'].includes(connection);
+    const failure = {
+        failed: { icon: '😕', title: 'mobile.errorTitle', detail: 'mobile.errorDetail' },
+        rejected: { icon: '🔒', title: 'mobile.rejectedTitle', detail: 'mobile.rejectedDetail' },
+        incompatible: { icon: '🔄', title: 'mobile.incompatibleTitle', detail: 'mobile.incompatibleDetail' },
+        insecure: { icon: '🔒', title: 'mobile.insecureTitle', detail: 'mobile.insecureDetail' },
+    }[connection];
+
     return (
         <div className="min-h-[100dvh] bg-gradient-to-b from-amber-50 via-orange-50 to-yellow-50 flex flex-col overflow-y-auto" style={{ touchAction: 'pan-y' }}>
             {/* Header */}
             <div className="flex-shrink-0 px-6 pt-8 pb-4 text-center">
                 <div className="inline-flex items-center gap-2 bg-white/80 backdrop-blur px-5 py-2.5 rounded-full shadow-sm mb-3">
                     <span className="text-lg">✍️</span>
-                    <span className="text-base font-semibold text-gray-800">OviKréta Aláírás</span>
+                    <span className="text-base font-semibold text-gray-800">{t('mobile.title')}</span>
+                    <LanguageSwitcher value={locale} onChange={setLocale} label={t('app.language')} className="ml-1" />
                 </div>
 
-                {status === 'connecting' && (
+                {(connection === 'connecting' || connection === 'reconnecting') && (
                     <div className="flex items-center justify-center gap-2 text-sm text-gray-500 mt-2">
                         <div className="w-2 h-2 bg-amber-400 rounded-full animate-pulse" />
-                        Csatlakozás...
+                        {t(connection === 'connecting' ? 'mobile.connecting' : 'mobile.reconnecting')}
                     </div>
                 )}
 
-                {status === 'ready' && (
+                {connection === 'connected' && showForm && step === 'review' && (
                     <p className="text-sm text-gray-500 mt-2">
-                        Írja alá ujjával az alábbi mezőben
+                        {t(tab === 'edit' ? 'mobile.editInstructions' : 'mobile.instructions')}
                     </p>
                 )}
+
+                {transport && connection === 'connected' && (
+                    <p className="text-xs text-gray-400 mt-1">{t(`transport.${transport}`)}</p>
+                )}
             </div>
 
+            {/* Edit / sign tabs */}
+            {showForm && (
+                <div className="flex-shrink-0 px-4 pb-4">
+                    <div className="flex p-1 bg-white/70 rounded-xl shadow-sm">
+                        {['edit', 'sign'].map(id => (
+                            <button
+                                key={id}
+                                onClick={() => switchTab(id)}
+                                className={`flex-1 py-2 rounded-lg text-sm font-medium transition-all ${tab === id
+                                    ? 'bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow'
+                                    : 'text-gray-600'
+                                    }`}
+                            >
+                                {t(id === 'edit' ? 'mobile.tabEdit' : 'mobile.tabSign')}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Form editor */}
+            {showForm && step === 'review' && tab === 'edit' && (
+                <div className="flex-1 px-4 pb-6">
+                    {fields ? (
+                        <MobileFormEditor fields={fields} onChange={editFields} />
+                    ) : (
+                        <div className="flex items-center justify-center gap-2 text-sm text-gray-500 py-4">
+                            <div className="w-2 h-2 bg-amber-400 rounded-full animate-pulse" />
+                            {t('mobile.waitingFields')}
+                        </div>
+                    )}
+                    <button
+                        onClick={() => switchTab('sign')}
+                        className="w-full mt-6 py-4 rounded-2xl font-semibold text-lg bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-lg active:scale-[0.98] transition-all"
+                    >
+                        {t('mobile.toSigning')}
+                    </button>
+                </div>
+            )}
+
             {/* Signature area */}
-            {(status === 'ready' || status === 'sending') && (
+            {showForm && (tab === 'sign' || step === 'sending') && (
                 <div className="flex-1 flex flex-col px-4 pb-4 min-h-0">
-                    <div className="flex-1 min-h-0">
+                    {/* What is being signed */}
+                    <div className="flex-shrink-0 mb-4">
+                        {documentData ? (
+                            <>
+                                <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-2 px-1">{t('mobile.reviewTitle')}</p>
+                                <docType.Preview
+                                    data={documentData}
+                                    signature={{ selectedSignature: signatureDataUrl ? 'drawn' : null, drawnSignature: signatureDataUrl }}
+                                />
+                                <label className="mt-3 flex items-start gap-3 p-3 bg-white rounded-xl shadow-sm text-sm text-gray-700 cursor-pointer select-none">
+                                    <input
+                                        type="checkbox"
+                                        checked={confirmed}
+                                        onChange={(e) => setConfirmed(e.target.checked)}
+                                        className="mt-0.5 w-5 h-5 flex-shrink-0 accent-amber-500"
+                                    />
+                                    {t('mobile.confirm')}
+                                </label>
+                            </>
+                        ) : (
+                            <div className="flex items-center justify-center gap-2 text-sm text-gray-500 py-4">
+                                <div className="w-2 h-2 bg-amber-400 rounded-full animate-pulse" />
+                                {t('mobile.waitingDocument')}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="flex-1 min-h-[14rem]">
                         <SignaturePad
-                            onSignatureChange={setSignatureDataUrl}
+                            onSignatureChange={(dataUrl, points) => {
+                                setSignatureDataUrl(dataUrl);
+                                setStrokes(points);
+                            }}
                             className="h-full"
                         />
                     </div>
@@ -87,62 +478,107 @@ export default function MobileSignPage({ targetPeerId }) {
                     <div className="flex-shrink-0 mt-4 px-2">
                         <button
                             onClick={sendSignature}
-                            disabled={!signatureDataUrl || status === 'sending'}
-                            className={`w-full py-4 rounded-2xl font-semibold text-lg transition-all flex items-center justify-center gap-2 ${signatureDataUrl && status !== 'sending'
+                            disabled={!signatureDataUrl || !confirmed || step === 'sending' || connection !== 'connected'}
+                            className={`w-full py-4 rounded-2xl font-semibold text-lg transition-all flex items-center justify-center gap-2 ${signatureDataUrl && confirmed && step !== 'sending' && connection === 'connected'
                                 ? 'bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-lg active:scale-[0.98]'
                                 : 'bg-gray-100 text-gray-400'
                                 }`}
                         >
-                            {status === 'sending' ? (
+                            {step === 'sending' ? (
                                 <>
                                     <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                                    Küldés...
+                                    {t('mobile.sending')}
                                 </>
                             ) : (
                                 <>
                                     <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                                     </svg>
-                                    Kész, aláírtam!
+                                    {t('mobile.done')}
                                 </>
                             )}
                         </button>
+                        {signatureDataUrl && !confirmed && (
+                            <p className="text-center text-xs text-gray-400 mt-2">{t('mobile.confirmFirst')}</p>
+                        )}
+                        {sendFailed && step === 'review' && (
+                            <p className="text-center text-xs text-red-500 mt-2">{t('mobile.sendFailed')}</p>
+                        )}
                     </div>
                 </div>
             )}
 
             {/* Success */}
-            {status === 'sent' && (
+            {step === 'sent' && (
                 <div className="flex-1 flex flex-col items-center justify-center px-6">
                     <div className="w-20 h-20 bg-green-100 rounded-full flex items-center justify-center mb-4 animate-bounce">
                         <svg className="w-10 h-10 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                         </svg>
                     </div>
-                    <h2 className="text-xl font-bold text-gray-800 mb-2">Aláírás elküldve! 🎉</h2>
+                    <h2 className="text-xl font-bold text-gray-800 mb-2">{t('mobile.sent')}</h2>
                     <p className="text-sm text-gray-500 text-center">
-                        Az aláírás megjelent a számítógépén.<br />
-                        Ezt az ablakot bezárhatja.
+                        {t('mobile.sentDetail')}<br />
+                        {t(pdfFile || connection === 'failed' ? 'mobile.closeWindow' : 'mobile.waitingPdf')}
                     </p>
+
+                    {pdfFile && (
+                        <div className="w-full max-w-sm mt-6 bg-white rounded-2xl shadow-lg p-5 animate-fade-in">
+                            <div className="flex items-center gap-3 mb-4">
+                                <span className="text-2xl">📄</span>
+                                <div className="min-w-0">
+                                    <p className="text-sm font-semibold text-gray-800">{t('mobile.pdfReady')}</p>
+                                    <p className="text-xs text-gray-500 truncate">{pdfFile.name}</p>
+                                </div>
+                            </div>
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => downloadBlob(pdfFile, pdfFile.name)}
+                                    className="flex-1 py-3 rounded-xl font-semibold bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-lg active:scale-[0.98] transition-all"
+                                >
+                                    {t('mobile.download')}
+                                </button>
+                                {canShareFile(pdfFile) && (
+                                    <button
+                                        onClick={sharePdf}
+                                        className="flex-1 py-3 rounded-xl font-semibold bg-amber-100 text-amber-700 active:scale-[0.98] transition-all"
+                                    >
+                                        {t('mobile.share')}
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                    )}
                 </div>
             )}
 
             {/* Error */}
-            {status === 'error' && (
+            {failed && (
                 <div className="flex-1 flex flex-col items-center justify-center px-6">
                     <div className="w-16 h-16 bg-red-50 rounded-full flex items-center justify-center mb-4">
-                        <span className="text-3xl">😕</span>
+                        <span className="text-3xl">{failure.icon}</span>
                     </div>
-                    <h2 className="text-lg font-bold text-gray-800 mb-2">Kapcsolódási hiba</h2>
+                    <h2 className="text-lg font-bold text-gray-800 mb-2">{t(failure.title)}</h2>
                     <p className="text-sm text-gray-500 text-center mb-4">
-                        Nem sikerült csatlakozni. Kérjük, olvassa be újra a QR kódot.
+                        {t(failure.detail)}
                     </p>
-                    <button
-                        onClick={() => window.location.reload()}
-                        className="px-6 py-2.5 bg-amber-100 text-amber-700 rounded-xl font-medium text-sm hover:bg-amber-200 transition-all"
-                    >
-                        Újrapróbálom
-                    </button>
+                    {/* Retrying with the same QR code is turned down again */}
+                    {connection === 'failed' && (
+                        <button
+                            onClick={retryNow}
+                            className="px-6 py-2.5 bg-amber-100 text-amber-700 rounded-xl font-medium text-sm hover:bg-amber-200 transition-all"
+                        >
+                            {t('common.retry')}
+                        </button>
+                    )}
+                    {connection === 'incompatible' && (
+                        <button
+                            onClick={() => window.location.reload()}
+                            className="px-6 py-2.5 bg-amber-100 text-amber-700 rounded-xl font-medium text-sm hover:bg-amber-200 transition-all"
+                        >
+                            {t('mobile.reload')}
+                        </button>
+                    )}
                 </div>
             )}
 
@@ -1,7 +1,29 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { jsPDF } from 'jspdf';
 import SignaturePad from './SignaturePad';
+import SignatureVault from './SignatureVault';
+import PhotoSignature from './PhotoSignature';
 import QRSignatureModal from './QRSignatureModal';
+import { usePhoneLink } from './phoneLink';
+import ProfileSwitcher from './ProfileSwitcher';
+import { DEFAULT_KINDERGARTEN_NAME, createProfile, loadProfiles, saveProfiles, loadActiveProfileId, saveActiveProfileId } from './profiles';
+import { loadSession, saveSession } from './session';
+import { addCertificate, listCertificates, signatureMethodOf, downloadBlob } from './history';
+import { emptyAbsence, normalizeAbsences, isAbsenceComplete, validateDates, todayIso } from './absences';
+import { kindergartenDaysIn, countKindergartenDays } from './workdays';
+import { loadQuotaLimit, saveQuotaLimit, quotaSummary } from './quota';
+import QuotaInfo from './QuotaInfo';
+import LanguageSwitcher from './LanguageSwitcher';
+import { loadPdfLocale, savePdfLocale, isLocale } from './i18n';
+import { useLocale } from './i18n/LocaleProvider';
+import { signatures, signatureFonts } from './signatureOptions';
+import { strokesToVector, loadSvgVector, flattenVector } from './signatureVector';
+import { imageToVector, flattenImage } from './signatureImage';
+import { renderTemplate } from './pdf/renderTemplate';
+import { createVerification } from './verification';
+import { certificatePayload, certificateProperties, attachPayload, readPayload } from './pdf/certificateData';
+import { makePdfA, PDFA_OPTIONS } from './pdf/pdfa';
+import { documentTypes, getDocumentType, extraFieldValues, dayUnitOf, DEFAULT_DOCUMENT_TYPE } from './documentTypes';
 
 // Mobile detection
 function isMobileDevice() {
@@ -9,50 +31,18 @@ function isMobileDevice() {
     || (navigator.maxTouchPoints > 1 && window.innerWidth < 768);
 }
 
-// --- Cookie helpers ---
-function setCookie(name, value, days = 365) {
-  const expires = new Date(Date.now() + days * 864e5).toUTCString();
-  document.cookie = `${name}=${encodeURIComponent(value)}; expires=${expires}; path=/; SameSite=Lax`;
+// --- Vector signature for PDF embedding (drawn strokes, photos and gallery SVGs) ---
+async function renderSignatureToVector(selSig, sigs, strokes, photo) {
+  if (selSig === 'drawn') return strokesToVector(strokes);
+  if (selSig === 'photo') return photo ? imageToVector(photo) : null;
+  if (typeof selSig === 'number') return loadSvgVector(sigs[selSig].src);
+  return null;
 }
 
-function getCookie(name) {
-  const match = document.cookie.match(new RegExp('(^| )' + name + '=([^;]+)'));
-  return match ? decodeURIComponent(match[2]) : '';
-}
-
-// --- Session storage helpers ---
-const STORAGE_KEY = 'ovikreta_form';
-
-function loadSession() {
-  try {
-    const raw = sessionStorage.getItem(STORAGE_KEY);
-    return raw ? JSON.parse(raw) : {};
-  } catch { return {}; }
-}
-
-function saveSession(data) {
-  try { sessionStorage.setItem(STORAGE_KEY, JSON.stringify(data)); } catch { }
-}
-
-const signatures = [
-  { src: '/signatures/20040821T180600-GC2004-Johnathan_Wendel-Fatal1ty-Signature.svg', alt: 'Aláírás 1' },
-  { src: '/signatures/ADONXS_signature_2022.svg', alt: 'Aláírás 2' },
-  { src: '/signatures/Aleksandrs_Bartaševičs_sign.svg', alt: 'Aláírás 3' },
-  { src: '/signatures/Ben_Bernanke_signature.svg', alt: 'Aláírás 4' },
-];
-
-const signatureFonts = [
-  { family: "'Mr Dafoe', cursive", label: 'Lendületes', size: '1.6rem' },
-  { family: "'Mrs Saint Delafield', cursive", label: 'Klasszikus', size: '1.6rem' },
-  { family: "'Kristi', cursive", label: 'Gyors', size: '1.8rem' },
-  { family: "'Homemade Apple', cursive", label: 'Kézírásos', size: '1.2rem' },
-  { family: "'Herr Von Muellerhoff', cursive", label: 'Elegáns', size: '1.6rem' },
-];
-
-// --- Signature-to-image helper for PDF embedding ---
+// --- Signature-to-image helper for PDF embedding (typed names, and the fallback) ---
 async function renderSignatureToImage(selSig, sigs, customName, font, drawnSig) {
-  // Drawn signature — trim whitespace and return clean PNG
-  if (selSig === 'drawn' && drawnSig) {
+  // Drawn or photographed signature — trim whitespace and return clean PNG
+  if ((selSig === 'drawn' || selSig === 'photo') && drawnSig) {
     return new Promise((resolve) => {
       const img = new Image();
       img.onload = () => {
@@ -132,12 +122,24 @@ async function renderSignatureToImage(selSig, sigs, customName, font, drawnSig)
   });
 }
 
-// Initialise state from session/cookie
-const saved = loadSession();
-const cookieChildName = getCookie('ovikreta_child_name');
+// Initialise state from session, falling back to the last used profile
+// (sessionStorage is empty after a browser restart). Read on every mount, so
+// returning from another route picks up what that route left in the session.
+function loadInitialState() {
+  const profiles = loadProfiles();
+  const activeId = loadActiveProfileId();
+  const profile = profiles.find(p => p.id === activeId) || null;
+  return { profiles, profile, saved: { ...(profile || {}), ...loadSession() } };
+}
+
+// The absences of a document type without any; always the same array, so the memos below hold
+const NO_ABSENCES = [];
+
+const PROFILE_FIELDS = ['childName', 'kindergartenName', 'groupName', 'selectedSignature', 'customSignatureName', 'selectedFont'];
 
 // --- Toast component ---
 function SuccessToast({ show, onDone }) {
+  const { t } = useLocale();
   useEffect(() => {
     if (show) {
       const t = setTimeout(onDone, 3000);
@@ -155,22 +157,32 @@ function SuccessToast({ show, onDone }) {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M5 13l4 4L19 7" />
           </svg>
         </div>
-        <span className="text-sm font-semibold">PDF sikeresen letöltve!</span>
+        <span className="text-sm font-semibold">{t('app.downloaded')}</span>
       </div>
     </div>
   );
 }
 
 export default function ParentalAbsenceForm() {
-  const [childName, setChildName] = useState(cookieChildName || saved.childName || '');
-  const [kindergartenName, setKindergartenName] = useState(saved.kindergartenName ?? 'Budapest Főváros XIII. Kerületi Önkormányzat Egyesített Óvoda Zöld Ág Tagóvodája');
-  const [fromDate, setFromDate] = useState(saved.fromDate || '');
-  const [toDate, setToDate] = useState(saved.toDate || '');
+  const { t, locale, setLocale } = useLocale();
+  const [{ profiles: initialProfiles, profile: initialProfile, saved }] = useState(loadInitialState);
+  const [documentType, setDocumentType] = useState(saved.documentType || DEFAULT_DOCUMENT_TYPE);
+  const [extraFields, setExtraFields] = useState(saved.extraFields || {});
+  const [childName, setChildName] = useState(saved.childName || '');
+  const [kindergartenName, setKindergartenName] = useState(saved.kindergartenName ?? DEFAULT_KINDERGARTEN_NAME);
+  const [groupName, setGroupName] = useState(saved.groupName || '');
+  const [absences, setAbsences] = useState(() => normalizeAbsences(saved));
+  const [printDayCount, setPrintDayCount] = useState(saved.printDayCount ?? false);
   const [selectedSignature, setSelectedSignature] = useState(saved.selectedSignature ?? null);
   const [customSignatureName, setCustomSignatureName] = useState(saved.customSignatureName || '');
   const [selectedFont, setSelectedFont] = useState(saved.selectedFont ?? 0);
-  const [signatureDate, setSignatureDate] = useState(saved.signatureDate || new Date().toISOString().split('T')[0]);
+  const [signatureDate, setSignatureDate] = useState(saved.signatureDate || todayIso());
   const [drawnSignature, setDrawnSignature] = useState(saved.drawnSignature || null);
+  const [drawnStrokes, setDrawnStrokes] = useState(saved.drawnStrokes || null);
+  // Signatures from (or saved into) the vault are kept out of sessionStorage
+  const [drawnFromVault, setDrawnFromVault] = useState(false);
+  const [photoSignature, setPhotoSignature] = useState(saved.photoSignature || null);
+  const [pdfLocale, setPdfLocale] = useState(loadPdfLocale);
   const [showQRModal, setShowQRModal] = useState(false);
   const [showDesktopPad, setShowDesktopPad] = useState(false);
   const isMobile = useMemo(() => isMobileDevice(), []);
@@ -178,13 +190,22 @@ export default function ParentalAbsenceForm() {
   const [showToast, setShowToast] = useState(false);
   const [showPreview, setShowPreview] = useState(false);
 
+  // Household profiles
+  const [profiles, setProfiles] = useState(initialProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(initialProfile ? initialProfile.id : null);
+
+  // Parental-certificate quota, derived from the certificate history
+  const [certificateHistory, setCertificateHistory] = useState([]);
+  const [quotaLimit, setQuotaLimit] = useState(loadQuotaLimit);
+
   // Validation state
   const [hasAttemptedSubmit, setHasAttemptedSubmit] = useState(false);
   const [shakeButton, setShakeButton] = useState(false);
   const childNameRef = useRef(null);
-  const fromDateRef = useRef(null);
-  const toDateRef = useRef(null);
+  const absenceRefs = useRef([]);
+  const signatureDateRef = useRef(null);
   const signatureSectionRef = useRef(null);
+  const extraFieldRefs = useRef({});
 
   // Dark mode
   const [darkMode, setDarkMode] = useState(() => {
@@ -203,33 +224,202 @@ export default function ParentalAbsenceForm() {
 
   // Persist all fields to sessionStorage on every change
   useEffect(() => {
-    saveSession({ childName, kindergartenName, fromDate, toDate, selectedSignature, customSignatureName, selectedFont, signatureDate, drawnSignature });
-  }, [childName, kindergartenName, fromDate, toDate, selectedSignature, customSignatureName, selectedFont, signatureDate, drawnSignature]);
+    saveSession({
+      documentType, extraFields, childName, kindergartenName, groupName, absences, printDayCount, selectedSignature, customSignatureName, selectedFont, signatureDate,
+      drawnSignature: drawnFromVault ? null : drawnSignature,
+      drawnStrokes: drawnFromVault ? null : drawnStrokes,
+      photoSignature,
+    });
+  }, [documentType, extraFields, childName, kindergartenName, groupName, absences, printDayCount, selectedSignature, customSignatureName, selectedFont, signatureDate, drawnSignature, drawnStrokes, drawnFromVault, photoSignature]);
 
-  // Persist childName to cookie specifically
   useEffect(() => {
-    setCookie('ovikreta_child_name', childName);
-  }, [childName]);
-
-  const formatDateHungarian = (dateStr) => {
-    if (!dateStr) return { month: '...............', day: '......' };
-    const date = new Date(dateStr);
-    const months = ['január', 'február', 'március', 'április', 'május', 'június',
-      'július', 'augusztus', 'szeptember', 'október', 'november', 'december'];
-    return {
-      month: months[date.getMonth()],
-      day: date.getDate().toString()
-    };
+    saveQuotaLimit(quotaLimit);
+  }, [quotaLimit]);
+
+  useEffect(() => {
+    savePdfLocale(pdfLocale);
+  }, [pdfLocale]);
+
+  const refreshHistory = useCallback(() => {
+    listCertificates()
+      .then(setCertificateHistory)
+      .catch((e) => console.warn('Failed to load certificate history:', e));
+  }, []);
+
+  useEffect(() => {
+    refreshHistory();
+  }, [refreshHistory]);
+
+  // Persist profiles and the active selection to localStorage
+  useEffect(() => {
+    saveProfiles(profiles);
+  }, [profiles]);
+
+  useEffect(() => {
+    saveActiveProfileId(activeProfileId);
+  }, [activeProfileId]);
+
+  const currentProfileFields = { childName, kindergartenName, groupName, selectedSignature, customSignatureName, selectedFont };
+  const activeProfile = profiles.find(p => p.id === activeProfileId) || null;
+  const isProfileDirty = !!activeProfile && PROFILE_FIELDS.some(key => activeProfile[key] !== currentProfileFields[key]);
+
+  const applyProfile = (profile) => {
+    setChildName(profile.childName);
+    setKindergartenName(profile.kindergartenName);
+    setGroupName(profile.groupName);
+    setSelectedSignature(profile.selectedSignature);
+    setCustomSignatureName(profile.customSignatureName);
+    setSelectedFont(profile.selectedFont);
+    setActiveProfileId(profile.id);
+  };
+
+  const saveActiveProfile = () => {
+    setProfiles(prev => prev.map(p => (p.id === activeProfileId ? { ...p, ...currentProfileFields } : p)));
+  };
+
+  const saveProfileAsNew = () => {
+    const profile = createProfile(currentProfileFields);
+    setProfiles(prev => [...prev, profile]);
+    setActiveProfileId(profile.id);
+  };
+
+  const deleteProfile = (id) => {
+    setProfiles(prev => prev.filter(p => p.id !== id));
+    if (id === activeProfileId) setActiveProfileId(null);
+  };
+
+  // "Open existing certificate": the form data embedded in our PDFs (see pdf/certificateData.js)
+  const openCertificateRef = useRef(null);
+
+  const applyCertificate = (form) => {
+    setDocumentType(getDocumentType(form.documentType).id);
+    setExtraFields(form.extraFields || {});
+    setChildName(form.childName || '');
+    setKindergartenName(form.kindergartenName || '');
+    setGroupName(form.groupName || '');
+    setAbsences(normalizeAbsences(form));
+    setPrintDayCount(!!form.printDayCount);
+    setSignatureDate(form.signatureDate || todayIso());
+    if (isLocale(form.locale)) setPdfLocale(form.locale);
+    // Drawn and photographed signatures are not part of the data; keep the current one
+    if (signatures[form.selectedSignature] || form.selectedSignature === 'custom') {
+      setSelectedSignature(form.selectedSignature);
+      setCustomSignatureName(form.customSignatureName || '');
+      setSelectedFont(form.selectedFont ?? 0);
+    }
+    setHasAttemptedSubmit(false);
+  };
+
+  const handleOpenCertificate = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const payload = await readPayload(file);
+      if (payload) applyCertificate(payload);
+      else alert(t('app.openNoData'));
+    } catch (err) {
+      console.error('Failed to open certificate:', err);
+      alert(t('app.openError'));
+    }
+  };
+
+  const docType = getDocumentType(documentType);
+  const extraValues = extraFieldValues(docType, extraFields);
+  const docAbsences = docType.usesAbsences ? absences : NO_ABSENCES;
+
+  const kindergartenDays = useMemo(() => countKindergartenDays(docAbsences), [docAbsences]);
+
+  const quota = useMemo(
+    () => (childName && docType.tracksQuota ? quotaSummary(certificateHistory, childName, absences, quotaLimit) : []),
+    [certificateHistory, childName, absences, quotaLimit, docType.tracksQuota]
+  );
+
+  // Data shared by the HTML preview and the PDF template (written in pdfLocale)
+  const docData = {
+    locale: pdfLocale, documentType, kindergartenName, childName, groupName,
+    absences: docAbsences,
+    printDayCount: !!docType.dayUnit && printDayCount,
+    kindergartenDays, dayUnit: dayUnitOf(docType, extraValues), signatureDate, ...extraValues,
+  };
+
+  // PNG for the on-screen preview, point lists for the PDF
+  const updateDrawnSignature = (dataUrl, strokes) => {
+    setDrawnSignature(dataUrl);
+    setDrawnStrokes(strokes && strokes.length ? strokes : null);
+    setDrawnFromVault(false);
+  };
+
+  // What the phone edits (see MobileFormEditor): the form state itself, before
+  // docData's per-document-type filtering
+  const phoneFields = {
+    locale: pdfLocale, documentType, kindergartenName, childName, groupName,
+    absences, printDayCount, signatureDate, extraFields,
+  };
+
+  // Each field a phone edit may change, checked the way applyCertificate checks a PDF's
+  const phoneEditSetters = {
+    locale: v => isLocale(v) && setPdfLocale(v),
+    documentType: v => setDocumentType(getDocumentType(v).id),
+    kindergartenName: v => setKindergartenName(String(v)),
+    childName: v => setChildName(String(v)),
+    groupName: v => setGroupName(String(v)),
+    absences: v => setAbsences(normalizeAbsences({ absences: v })),
+    printDayCount: v => setPrintDayCount(!!v),
+    signatureDate: v => setSignatureDate(String(v)),
+    extraFields: v => setExtraFields(v && typeof v === 'object' ? v : {}),
+  };
+
+  const applyPhoneEdit = (patch) => {
+    Object.entries(patch).forEach(([key, value]) => {
+      if (Object.hasOwn(phoneEditSetters, key)) phoneEditSetters[key](value);
+    });
+  };
+
+  // Pairing with a phone: the document goes out for review, its signature
+  // comes in, generated PDFs go back out; in editing mode the form syncs both ways
+  const phoneLink = usePhoneLink({
+    document: docData,
+    fields: phoneFields,
+    onSignature: (dataUrl, strokes) => {
+      updateDrawnSignature(dataUrl, strokes);
+      setShowQRModal(false);
+    },
+    onEdit: applyPhoneEdit,
+    onConnect: (mode) => {
+      if (mode === 'edit') setShowQRModal(false);
+    },
+  });
+
+  const openQRModal = (mode) => {
+    phoneLink.start(mode);
+    setShowQRModal(true);
+  };
+
+  // Closing the QR code before any phone has connected ends the pairing;
+  // one that dropped out may still come back
+  const closeQRModal = () => {
+    if (!['connected', 'signed', 'reconnecting'].includes(phoneLink.status)) phoneLink.stop();
+    setShowQRModal(false);
+  };
+
+  const applyVaultSignature = ({ dataUrl, strokes }) => {
+    updateDrawnSignature(dataUrl, strokes);
+    setDrawnFromVault(true);
   };
 
-  const formatYear = (dateStr) => {
-    if (!dateStr) return '....';
-    return new Date(dateStr).getFullYear().toString();
+  const updateExtraField = (key, value) => setExtraFields(prev => ({ ...prev, [key]: value }));
+
+  const updateAbsence = (index, key, value) => {
+    setAbsences(prev => prev.map((a, i) => (i === index ? { ...a, [key]: value } : a)));
   };
 
-  const fromFormatted = formatDateHungarian(fromDate);
-  const toFormatted = formatDateHungarian(toDate);
-  const sigDateFormatted = formatDateHungarian(signatureDate);
+  const addAbsence = () => setAbsences(prev => [...prev, emptyAbsence()]);
+
+  const removeAbsence = (index) => {
+    setAbsences(prev => prev.filter((_, i) => i !== index));
+    absenceRefs.current.splice(index, 1);
+  };
 
   // --- Font loading (cached across calls) ---
   const fontCacheRef = useRef(null);
@@ -265,7 +455,14 @@ export default function ParentalAbsenceForm() {
     doc.addFont('NotoSerif-Bold.ttf', 'NotoSerif', 'bold');
   };
 
-  const isFormComplete = childName && fromDate && toDate && selectedSignature !== null && (selectedSignature !== 'custom' || customSignatureName.trim()) && (selectedSignature !== 'drawn' || drawnSignature);
+  const dateErrors = useMemo(
+    () => validateDates(docAbsences, signatureDate, { inAdvance: docType.allowFutureDates }),
+    [docAbsences, signatureDate, docType.allowFutureDates]
+  );
+
+  const missingExtraField = docType.extraFields.find(f => f.required && !String(extraValues[f.key]).trim());
+
+  const isFormComplete = childName && docAbsences.every(isAbsenceComplete) && !missingExtraField && !dateErrors.hasErrors && selectedSignature !== null && (selectedSignature !== 'custom' || customSignatureName.trim()) && (selectedSignature !== 'drawn' || drawnSignature) && (selectedSignature !== 'photo' || photoSignature);
 
   // Validation: find the first empty field and scroll to it
   const scrollToFirstError = () => {
@@ -274,14 +471,24 @@ export default function ParentalAbsenceForm() {
       childNameRef.current.focus();
       return;
     }
-    if (!fromDate && fromDateRef.current) {
-      fromDateRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      fromDateRef.current.focus();
+    if (missingExtraField && extraFieldRefs.current[missingExtraField.key]) {
+      extraFieldRefs.current[missingExtraField.key].scrollIntoView({ behavior: 'smooth', block: 'center' });
+      extraFieldRefs.current[missingExtraField.key].focus();
       return;
     }
-    if (!toDate && toDateRef.current) {
-      toDateRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
-      toDateRef.current.focus();
+    for (let i = 0; i < docAbsences.length; i++) {
+      const refs = absenceRefs.current[i] || {};
+      const errors = dateErrors.absences[i];
+      const el = (!docAbsences[i].from || errors.from) ? refs.from : (!docAbsences[i].to || errors.to) ? refs.to : null;
+      if (el) {
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        el.focus();
+        return;
+      }
+    }
+    if (dateErrors.signatureDate && signatureDateRef.current) {
+      signatureDateRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      signatureDateRef.current.focus();
       return;
     }
     if (selectedSignature === null && signatureSectionRef.current) {
@@ -289,7 +496,8 @@ export default function ParentalAbsenceForm() {
     }
   };
 
-  const handlePrint = async () => {
+  // `archival` writes a PDF/A-2b file (see pdf/pdfa.js) instead of the normal one
+  const handlePrint = async ({ archival = false } = {}) => {
     // Validation gate
     if (!isFormComplete) {
       setHasAttemptedSubmit(true);
@@ -299,131 +507,30 @@ export default function ParentalAbsenceForm() {
       return;
     }
 
+    const exceeded = quota.filter(q => q.exceeded);
+    if (exceeded.length && !window.confirm(
+      t('form.quotaConfirm', { years: exceeded.map(q => q.label).join(', '), limit: quotaLimit })
+    )) {
+      return;
+    }
+
     setIsGenerating(true);
     try {
-      const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+      const doc = new jsPDF({ unit: 'mm', format: 'a4', ...(archival ? PDFA_OPTIONS : {}) });
       await loadFonts(doc);
 
-      const pw = 210;
-      const mx = 25;
-      const cw = pw - mx * 2;
-      const cx = pw / 2;
-
-      doc.setFont('NotoSerif', 'bold');
-      doc.setFontSize(13);
-      doc.setTextColor(120, 120, 120);
-      doc.text('OVIKRÉTA', cx, 30, { align: 'center' });
-
-      doc.setFontSize(15);
-      doc.setTextColor(0, 0, 0);
-      doc.text('SZÜLŐI IGAZOLÁS', cx, 44, { align: 'center' });
-      const titleW = doc.getTextWidth('SZÜLŐI IGAZOLÁS');
-      doc.setDrawColor(0, 0, 0);
-      doc.setLineWidth(0.4);
-      doc.line(cx - titleW / 2, 45.5, cx + titleW / 2, 45.5);
-
-      doc.setFont('NotoSerif', 'normal');
-      doc.setFontSize(11);
-      doc.setTextColor(0, 0, 0);
-      const kgName = kindergartenName || '.......................................................';
-      doc.text(kgName, cx, 58, { align: 'center', maxWidth: cw });
-      const kgW = Math.min(doc.getTextWidth(kgName), cw);
-      doc.setLineDashPattern([0.8, 1.2], 0);
-      doc.setDrawColor(100, 100, 100);
-      doc.line(cx - kgW / 2, 60, cx + kgW / 2, 60);
-      doc.setFontSize(8);
-      doc.setTextColor(150, 150, 150);
-      doc.text('óvoda neve', cx, 64, { align: 'center' });
-
-      doc.setLineDashPattern([], 0);
-      doc.setFont('NotoSerif', 'normal');
-      doc.setFontSize(11);
-      doc.setTextColor(0, 0, 0);
-
-      let y = 78;
-      const lineH = 6;
-
-      const drawField = (text, xPos, yPos, minW) => {
-        const w = Math.max(doc.getTextWidth(text), minW || 10);
-        doc.text(text, xPos, yPos);
-        doc.setLineDashPattern([0.8, 1.2], 0);
-        doc.setDrawColor(100, 100, 100);
-        doc.line(xPos, yPos + 1, xPos + w, yPos + 1);
-        doc.setLineDashPattern([], 0);
-        return xPos + w;
-      };
-
-      const childN = childName || '.................................';
-      doc.text('Alulírott szülő (gondviselő, gyám) ezúton igazolom, hogy gyermekem', mx, y);
-      y += lineH;
-      doc.text(childN, cx, y, { align: 'center' });
-      const cnW = doc.getTextWidth(childN);
-      doc.setLineDashPattern([0.8, 1.2], 0);
-      doc.setDrawColor(100, 100, 100);
-      doc.line(cx - cnW / 2, y + 1, cx + cnW / 2, y + 1);
-      doc.setLineDashPattern([], 0);
-
-      y += lineH + 1;
-      doc.text('az alábbi időszakban hiányzott az óvodából:', mx, y);
-
-      y += lineH + 3;
-
-      const fullYear = (dateStr) => {
-        if (!dateStr) return '....';
-        return new Date(dateStr).getFullYear().toString();
-      };
-
-      let dx = mx;
-      dx = drawField(fullYear(fromDate), dx, y, 10) + 1;
-      doc.text('. ', dx, y);
-      dx += doc.getTextWidth('. ');
-      dx = drawField(fromFormatted.month, dx, y, 18) + 2;
-      doc.text('hó ', dx, y);
-      dx += doc.getTextWidth('hó ');
-      dx = drawField(fromFormatted.day, dx, y, 6) + 1;
-      doc.text('. napjától –', dx, y);
-
-      y += lineH;
-      dx = mx;
-      dx = drawField(toFormatted.month, dx, y, 18) + 2;
-      doc.text('hó ', dx, y);
-      dx += doc.getTextWidth('hó ');
-      dx = drawField(toFormatted.day, dx, y, 6) + 1;
-      doc.text('. napjáig.', dx, y);
-
-      const footerY = 140;
-
-      doc.setFont('NotoSerif', 'normal');
-      doc.setFontSize(11);
-      doc.setTextColor(0, 0, 0);
-
-      let sdx = mx;
-      doc.text('Budapest, ', sdx, footerY);
-      sdx += doc.getTextWidth('Budapest, ');
-      sdx = drawField(fullYear(signatureDate), sdx, footerY, 10) + 1;
-      doc.text('. ', sdx, footerY);
-      sdx += doc.getTextWidth('. ');
-      sdx = drawField(sigDateFormatted.month, sdx, footerY, 18) + 2;
-      sdx = drawField(sigDateFormatted.day, sdx, footerY, 6) + 1;
-      doc.text('.', sdx, footerY);
-
-      const sigX = pw - mx - 55;
-      const sigLineY = footerY + 2;
-
-      doc.setLineDashPattern([0.8, 1.2], 0);
-      doc.setDrawColor(100, 100, 100);
-      doc.line(sigX, sigLineY, sigX + 55, sigLineY);
-      doc.setLineDashPattern([], 0);
-
-      doc.setFontSize(8);
-      doc.setTextColor(150, 150, 150);
-      doc.text('Szülő (gondviselő, gyám) aláírása', sigX + 27.5, sigLineY + 5, { align: 'center' });
-
-      if (selectedSignature !== null) {
+      let signature = null;
+      try {
+        const vector = await renderSignatureToVector(selectedSignature, signatures, drawnStrokes, photoSignature);
+        if (vector) signature = { vector: archival ? flattenVector(vector) : vector };
+      } catch (e) {
+        console.warn('Failed to build vector signature, falling back to an image:', e);
+      }
+      if (!signature && selectedSignature !== null) {
         try {
           const sigDataUrl = await renderSignatureToImage(
             selectedSignature, signatures, customSignatureName,
-            signatureFonts[selectedFont], drawnSignature
+            signatureFonts[selectedFont], selectedSignature === 'photo' ? photoSignature : drawnSignature
           );
           if (sigDataUrl) {
             const sigImg = await new Promise((res) => {
@@ -432,39 +539,71 @@ export default function ParentalAbsenceForm() {
               i.onerror = () => res(null);
               i.src = sigDataUrl;
             });
-            const maxW = 50, maxH = 14;
-            let imgW = maxW, imgH = maxH;
-            if (sigImg && sigImg.naturalWidth && sigImg.naturalHeight) {
-              const ar = sigImg.naturalWidth / sigImg.naturalHeight;
-              if (ar > maxW / maxH) {
-                imgW = maxW;
-                imgH = maxW / ar;
-              } else {
-                imgH = maxH;
-                imgW = maxH * ar;
-              }
-            }
-            const imgX = sigX + (55 - imgW) / 2;
-            doc.addImage(sigDataUrl, 'PNG', imgX, sigLineY - imgH, imgW, imgH);
+            signature = {
+              dataUrl: archival ? await flattenImage(sigDataUrl) : sigDataUrl,
+              aspectRatio: sigImg && sigImg.naturalWidth && sigImg.naturalHeight
+                ? sigImg.naturalWidth / sigImg.naturalHeight
+                : null,
+              opaque: archival,
+            };
           }
         } catch (e) {
           console.warn('Failed to embed signature:', e);
         }
       }
 
-      doc.save('szuloi-igazolas.pdf');
+      let verification = null;
+      try {
+        verification = await createVerification(docType, {
+          kindergartenName, childName, groupName, absences: docAbsences, signatureDate, extraFields: extraValues,
+        }, signature);
+      } catch (e) {
+        console.warn('Failed to build the verification code:', e);
+      }
+
+      renderTemplate(doc, docType.template, { ...docData, signature, verification });
+
+      const form = { locale: pdfLocale, documentType, extraFields: extraValues, childName, kindergartenName, groupName, absences: docAbsences, printDayCount, signatureDate, selectedSignature, customSignatureName, selectedFont };
+      const properties = certificateProperties(docType, form);
+      const payload = certificatePayload(form, signatureMethodOf(selectedSignature));
+      doc.setDocumentProperties(properties);
+      if (archival) makePdfA(doc, { properties, payload });
+      else attachPayload(doc, payload);
+
+      const filename = archival ? docType.filename.replace(/\.pdf$/, '-pdfa.pdf') : docType.filename;
+      // Written out once for both the download and the archive (fonts make it slow)
+      const pdfBlob = doc.output('blob');
+      downloadBlob(pdfBlob, filename);
       setShowToast(true);
+
+      // Not awaited: the phone's confirmation may take a while
+      phoneLink.sendPdf(pdfBlob, filename).catch((e) => {
+        console.warn('Failed to send the PDF to the phone:', e);
+      });
+
+      // Archive locally; a failing IndexedDB must not block the download
+      try {
+        await addCertificate({
+          form,
+          signatureMethod: signatureMethodOf(selectedSignature),
+          pdfBlob,
+          filename,
+        });
+        refreshHistory();
+      } catch (e) {
+        console.warn('Failed to archive certificate:', e);
+      }
     } catch (err) {
       console.error('PDF generation failed:', err);
-      alert('Hiba történt a PDF generálása közben. Kérlek próbáld újra.');
+      alert(t('form.pdfError'));
     } finally {
       setIsGenerating(false);
     }
   };
 
   // Helper: error ring class for inputs
-  const errorRing = (fieldEmpty) =>
-    hasAttemptedSubmit && fieldEmpty
+  const errorRing = (fieldInvalid) =>
+    hasAttemptedSubmit && fieldInvalid
       ? 'border-red-300 dark:border-red-500 ring-2 ring-red-100 dark:ring-red-900/30'
       : 'border-gray-200 dark:border-gray-600';
 
@@ -475,13 +614,38 @@ export default function ParentalAbsenceForm() {
         <div className="text-center mb-6 md:mb-8">
           <div className="inline-flex items-center gap-2 bg-white/80 dark:bg-gray-800/80 backdrop-blur px-5 py-2.5 md:px-6 md:py-3 rounded-full shadow-sm">
             <span className="text-xl md:text-2xl">📝</span>
-            <h1 className="text-lg md:text-xl font-semibold text-gray-800 dark:text-gray-100">Szülői Igazolás Kitöltő</h1>
+            <h1 className="text-lg md:text-xl font-semibold text-gray-800 dark:text-gray-100">{t('app.title')}</h1>
+
+            {/* History link */}
+            <a
+              href="#/history"
+              className="ml-2 p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors text-gray-500 dark:text-gray-400"
+              aria-label={t('app.history')}
+              title={t('app.history')}
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+            </a>
+
+            {/* Open an existing certificate */}
+            <button
+              onClick={() => openCertificateRef.current.click()}
+              className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors text-gray-500 dark:text-gray-400"
+              aria-label={t('app.open')}
+              title={t('app.open')}
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 19a2 2 0 01-2-2V7a2 2 0 012-2h4l2 2h4a2 2 0 012 2v1M5 19h14a2 2 0 002-2v-5a2 2 0 00-2-2H9a2 2 0 00-2 2v5a2 2 0 01-2 2z" />
+              </svg>
+            </button>
+            <input ref={openCertificateRef} type="file" accept="application/pdf,.pdf" className="hidden" onChange={handleOpenCertificate} />
 
             {/* Dark mode toggle */}
             <button
               onClick={() => setDarkMode(!darkMode)}
-              className="ml-2 p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
-              aria-label="Sötét/Világos mód váltás"
+              className="p-1.5 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+              aria-label={t('app.darkMode')}
             >
               {darkMode ? (
                 <svg className="w-4 h-4 text-amber-400" fill="currentColor" viewBox="0 0 20 20">
@@ -493,6 +657,9 @@ export default function ParentalAbsenceForm() {
                 </svg>
               )}
             </button>
+
+            {/* UI language */}
+            <LanguageSwitcher value={locale} onChange={setLocale} label={t('app.language')} />
           </div>
         </div>
 
@@ -501,17 +668,100 @@ export default function ParentalAbsenceForm() {
           <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-5 md:p-8 order-1 transition-colors">
             <h2 className="text-lg font-medium text-gray-700 dark:text-gray-200 mb-5 md:mb-6 flex items-center gap-2">
               <span className="w-8 h-8 bg-amber-100 dark:bg-amber-900/40 rounded-full flex items-center justify-center text-amber-600 dark:text-amber-400 text-sm font-bold">1</span>
-              Adatok kitöltése
+              {t('form.heading')}
+              {!isMobile && (
+                <button
+                  onClick={() => openQRModal('edit')}
+                  className="ml-auto text-sm font-normal text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors"
+                >
+                  {t('form.phoneEdit')}
+                </button>
+              )}
             </h2>
 
-            {/* Kindergarten Name */}
+            {/* Paired phone, editing: its changes arrive as they are made */}
+            {phoneLink.status === 'connected' && phoneLink.mode === 'edit' && (
+              <div className="mb-4 flex items-center gap-2 px-4 py-2.5 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-700 rounded-xl text-sm text-green-700 dark:text-green-400 animate-fade-in">
+                <span>📱</span>
+                <span className="flex-1">{t('form.phoneEditing')}</span>
+                <button
+                  onClick={phoneLink.stop}
+                  className="text-xs text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors"
+                >
+                  {t('form.phoneDisconnect')}
+                </button>
+              </div>
+            )}
+
+            {/* Paired phone dropped out (or its QR code ran out, or it runs another version):
+                a new QR code keeps the form as it is */}
+            {!showQRModal && ['reconnecting', 'expired', 'incompatible'].includes(phoneLink.status) && (
+              <div className="mb-4 flex flex-wrap items-center gap-2 px-4 py-2.5 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-700 rounded-xl text-sm text-amber-700 dark:text-amber-400 animate-fade-in">
+                <span>📱</span>
+                <span className="flex-1">{t({
+                  reconnecting: 'form.phoneReconnecting',
+                  expired: 'form.phoneExpired',
+                  incompatible: 'form.phoneIncompatible',
+                }[phoneLink.status])}</span>
+                <button
+                  onClick={() => openQRModal(phoneLink.mode)}
+                  className="text-xs font-medium hover:text-amber-900 dark:hover:text-amber-200 transition-colors"
+                >
+                  {t('qr.newCode')}
+                </button>
+                <button
+                  onClick={phoneLink.stop}
+                  className="text-xs text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors"
+                >
+                  {t(phoneLink.status === 'reconnecting' ? 'form.phoneDisconnect' : 'common.close')}
+                </button>
+              </div>
+            )}
+
+            <ProfileSwitcher
+              profiles={profiles}
+              activeId={activeProfileId}
+              isDirty={isProfileDirty}
+              onSelect={applyProfile}
+              onSave={saveActiveProfile}
+              onSaveAsNew={saveProfileAsNew}
+              onDelete={deleteProfile}
+            />
+
+            {/* Document Type */}
+            <div className="mb-5 md:mb-6">
+              <span className="block text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-2">{t('form.documentType')}</span>
+              <div className="grid grid-cols-2 gap-2">
+                {Object.values(documentTypes).map(type => (
+                  <button
+                    key={type.id}
+                    onClick={() => setDocumentType(type.id)}
+                    className={`px-3 py-2.5 border-2 rounded-xl text-sm font-medium transition-all active:scale-95 flex items-center gap-2 ${documentType === type.id
+                      ? 'border-amber-400 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-500 text-amber-700 dark:text-amber-300 shadow-md'
+                      : 'border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:border-amber-200 dark:hover:border-amber-600'
+                      }`}
+                  >
+                    <span className="text-lg">{type.icon}</span>
+                    {t(type.label)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Document language — independent of the UI language */}
+            <div className="mb-5 md:mb-6 flex items-center justify-between gap-3">
+              <span className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide">{t('form.documentLanguage')}</span>
+              <LanguageSwitcher value={pdfLocale} onChange={setPdfLocale} label={t('form.documentLanguage')} />
+            </div>
+
+            {/* Institution Name */}
             <div className="mb-4 md:mb-5">
-              <label className="block text-sm font-medium text-gray-600 dark:text-gray-400 mb-1.5 md:mb-2">Óvoda neve</label>
+              <label className="block text-sm font-medium text-gray-600 dark:text-gray-400 mb-1.5 md:mb-2">{t(docType.institutionLabel)}</label>
               <input
                 type="text"
                 value={kindergartenName}
                 onChange={(e) => setKindergartenName(e.target.value)}
-                placeholder="pl. Napraforgó Óvoda"
+                placeholder={t(docType.institutionPlaceholder)}
                 className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:placeholder-gray-500 border-gray-200 dark:border-gray-600`}
               />
             </div>
@@ -519,72 +769,191 @@ export default function ParentalAbsenceForm() {
             {/* Child Name */}
             <div className="mb-4 md:mb-5">
               <label className="block text-sm font-medium text-gray-600 dark:text-gray-400 mb-1.5 md:mb-2">
-                Gyermek neve
-                {hasAttemptedSubmit && !childName && <span className="text-red-500 ml-1 text-xs">— kötelező</span>}
+                {t('form.childName')}
+                {hasAttemptedSubmit && !childName && <span className="text-red-500 ml-1 text-xs">{t('form.required')}</span>}
               </label>
               <input
                 ref={childNameRef}
                 type="text"
                 value={childName}
                 onChange={(e) => setChildName(e.target.value)}
-                placeholder="pl. Kis Péter"
+                placeholder={t('form.childNamePlaceholder')}
                 className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:placeholder-gray-500 ${errorRing(!childName)}`}
               />
             </div>
 
-            {/* Date Range */}
+            {/* Group Name */}
             <div className="mb-4 md:mb-5">
               <label className="block text-sm font-medium text-gray-600 dark:text-gray-400 mb-1.5 md:mb-2">
-                Hiányzás időszaka
-                {hasAttemptedSubmit && (!fromDate || !toDate) && <span className="text-red-500 ml-1 text-xs">— kötelező</span>}
+                {t(docType.groupLabel)} <span className="text-xs text-gray-400 dark:text-gray-500 font-normal">{t('form.optional')}</span>
               </label>
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                <div>
-                  <span className="text-xs text-gray-400 dark:text-gray-500 mb-1 block">-tól</span>
-                  <input
-                    ref={fromDateRef}
-                    type="date"
-                    value={fromDate}
-                    onChange={(e) => setFromDate(e.target.value)}
-                    className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:[color-scheme:dark] ${errorRing(!fromDate)}`}
+              <input
+                type="text"
+                value={groupName}
+                onChange={(e) => setGroupName(e.target.value)}
+                placeholder={t(docType.groupPlaceholder)}
+                className="w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:placeholder-gray-500 border-gray-200 dark:border-gray-600"
+              />
+            </div>
+
+            {/* Type-specific fields */}
+            {docType.extraFields.map(field => (
+              <div key={field.key} className="mb-4 md:mb-5">
+                <label className="block text-sm font-medium text-gray-600 dark:text-gray-400 mb-1.5 md:mb-2">
+                  {t(field.label)}
+                  {field.required && hasAttemptedSubmit && !String(extraValues[field.key]).trim() && <span className="text-red-500 ml-1 text-xs">{t('form.required')}</span>}
+                </label>
+                {field.options ? (
+                  <div className="grid grid-cols-2 gap-2">
+                    {field.options.map(option => (
+                      <button
+                        key={option.value}
+                        onClick={() => updateExtraField(field.key, option.value)}
+                        className={`py-2.5 border-2 rounded-xl text-sm font-medium transition-all active:scale-95 ${extraValues[field.key] === option.value
+                          ? 'border-amber-400 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-500 text-amber-700 dark:text-amber-300'
+                          : 'border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:border-amber-200 dark:hover:border-amber-600'
+                          }`}
+                      >
+                        {t(option.label)}
+                      </button>
+                    ))}
+                  </div>
+                ) : field.multiline ? (
+                  <textarea
+                    ref={(el) => { extraFieldRefs.current[field.key] = el; }}
+                    value={extraValues[field.key]}
+                    onChange={(e) => updateExtraField(field.key, e.target.value)}
+                    placeholder={field.placeholder ? t(field.placeholder) : ''}
+                    rows={2}
+                    className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:placeholder-gray-500 resize-none ${errorRing(field.required && !String(extraValues[field.key]).trim())}`}
                   />
-                </div>
-                {/* Visual arrow between dates on mobile */}
-                <div className="flex items-center justify-center sm:hidden text-gray-300 dark:text-gray-600 -my-1">
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
-                  </svg>
-                </div>
-                <div>
-                  <span className="text-xs text-gray-400 dark:text-gray-500 mb-1 block">-ig</span>
+                ) : (
                   <input
-                    ref={toDateRef}
-                    type="date"
-                    value={toDate}
-                    onChange={(e) => setToDate(e.target.value)}
-                    className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:[color-scheme:dark] ${errorRing(!toDate)}`}
+                    ref={(el) => { extraFieldRefs.current[field.key] = el; }}
+                    type="text"
+                    value={extraValues[field.key]}
+                    onChange={(e) => updateExtraField(field.key, e.target.value)}
+                    placeholder={field.placeholder ? t(field.placeholder) : ''}
+                    className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:placeholder-gray-500 ${errorRing(field.required && !String(extraValues[field.key]).trim())}`}
                   />
-                </div>
+                )}
+              </div>
+            ))}
+
+            {/* Date Ranges */}
+            {docType.usesAbsences && (
+            <div className="mb-4 md:mb-5">
+              <label className="block text-sm font-medium text-gray-600 dark:text-gray-400 mb-1.5 md:mb-2">
+                {t(docType.absencesLabel)}
+                {hasAttemptedSubmit && !absences.every(isAbsenceComplete) && <span className="text-red-500 ml-1 text-xs">{t('form.required')}</span>}
+              </label>
+              <div className="space-y-3">
+                {absences.map((absence, idx) => (
+                  <div key={idx} className={absences.length > 1 ? 'relative p-3 pt-2 border border-gray-100 dark:border-gray-700 rounded-xl' : ''}>
+                    {absences.length > 1 && (
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="text-xs font-medium text-gray-500 dark:text-gray-400">{t('form.period', { n: idx + 1 })}</span>
+                        <button
+                          onClick={() => removeAbsence(idx)}
+                          className="text-xs text-gray-400 hover:text-red-500 transition-colors"
+                          aria-label={t('form.removePeriod', { n: idx + 1 })}
+                        >
+                          {t('form.remove')}
+                        </button>
+                      </div>
+                    )}
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      <div>
+                        <span className="text-xs text-gray-400 dark:text-gray-500 mb-1 block">{t('form.from')}</span>
+                        <input
+                          ref={(el) => { absenceRefs.current[idx] = { ...absenceRefs.current[idx], from: el }; }}
+                          type="date"
+                          value={absence.from}
+                          onChange={(e) => updateAbsence(idx, 'from', e.target.value)}
+                          className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:[color-scheme:dark] ${errorRing(!absence.from || !!dateErrors.absences[idx].from)}`}
+                        />
+                      </div>
+                      {/* Visual arrow between dates on mobile */}
+                      <div className="flex items-center justify-center sm:hidden text-gray-300 dark:text-gray-600 -my-1">
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+                        </svg>
+                      </div>
+                      <div>
+                        <span className="text-xs text-gray-400 dark:text-gray-500 mb-1 block">{t('form.to')}</span>
+                        <input
+                          ref={(el) => { absenceRefs.current[idx] = { ...absenceRefs.current[idx], to: el }; }}
+                          type="date"
+                          value={absence.to}
+                          onChange={(e) => updateAbsence(idx, 'to', e.target.value)}
+                          className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:[color-scheme:dark] ${errorRing(!absence.to || !!dateErrors.absences[idx].to)}`}
+                        />
+                      </div>
+                    </div>
+                    {(dateErrors.absences[idx].from || dateErrors.absences[idx].to) && (
+                      <p className="mt-1.5 text-xs text-red-500 animate-fade-in">
+                        {t(dateErrors.absences[idx].from || dateErrors.absences[idx].to)}
+                      </p>
+                    )}
+                    {docType.dayUnit && absences.length > 1 && isAbsenceComplete(absence) && (
+                      <p className="mt-1.5 text-xs text-gray-400 dark:text-gray-500">
+                        {kindergartenDaysIn(absence.from, absence.to).length} {t(dayUnitOf(docType, extraValues), { count: kindergartenDaysIn(absence.from, absence.to).length })}
+                      </p>
+                    )}
+                  </div>
+                ))}
               </div>
+              <div className="mt-3 flex flex-wrap items-center justify-between gap-2">
+                <button
+                  onClick={addAbsence}
+                  className="text-sm text-amber-600 dark:text-amber-400 hover:text-amber-700 dark:hover:text-amber-300 font-medium transition-colors"
+                >
+                  {t('form.addPeriod')}
+                </button>
+                {docType.dayUnit && absences.some(isAbsenceComplete) && (
+                  <span className="text-sm text-gray-600 dark:text-gray-300 animate-fade-in">
+                    {t('form.total')} <strong>{kindergartenDays}</strong> {t(dayUnitOf(docType, extraValues), { count: kindergartenDays })}
+                  </span>
+                )}
+              </div>
+              {docType.dayUnit && absences.some(isAbsenceComplete) && (
+                <label className="mt-2 flex items-center gap-2 text-xs text-gray-500 dark:text-gray-400 cursor-pointer select-none">
+                  <input
+                    type="checkbox"
+                    checked={printDayCount}
+                    onChange={(e) => setPrintDayCount(e.target.checked)}
+                    className="accent-amber-500"
+                  />
+                  {t('form.printDayCount')}
+                </label>
+              )}
+              {quota.length > 0 && (
+                <QuotaInfo summary={quota} limit={quotaLimit} onLimitChange={setQuotaLimit} />
+              )}
             </div>
+            )}
 
             {/* Signature Date */}
             <div className="mb-5 md:mb-6">
-              <label className="block text-sm font-medium text-gray-600 dark:text-gray-400 mb-1.5 md:mb-2">Aláírás dátuma</label>
+              <label className="block text-sm font-medium text-gray-600 dark:text-gray-400 mb-1.5 md:mb-2">{t('form.signatureDate')}</label>
               <input
+                ref={signatureDateRef}
                 type="date"
                 value={signatureDate}
                 onChange={(e) => setSignatureDate(e.target.value)}
-                className="w-full px-4 py-3 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:[color-scheme:dark]"
+                className={`w-full px-4 py-3 border rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:[color-scheme:dark] ${errorRing(!!dateErrors.signatureDate)}`}
               />
+              {dateErrors.signatureDate && (
+                <p className="mt-1.5 text-xs text-red-500 animate-fade-in">{t(dateErrors.signatureDate)}</p>
+              )}
             </div>
 
             {/* Signature Selection */}
             <div className="mb-6" ref={signatureSectionRef}>
               <h3 className="text-lg font-medium text-gray-700 dark:text-gray-200 mb-3 md:mb-4 flex items-center gap-2">
                 <span className="w-8 h-8 bg-amber-100 dark:bg-amber-900/40 rounded-full flex items-center justify-center text-amber-600 dark:text-amber-400 text-sm font-bold">2</span>
-                Aláírás kiválasztása
-                {hasAttemptedSubmit && selectedSignature === null && <span className="text-red-500 text-xs font-normal ml-1">— válassz egyet</span>}
+                {t('form.signatureHeading')}
+                {hasAttemptedSubmit && selectedSignature === null && <span className="text-red-500 text-xs font-normal ml-1">{t('form.pickOne')}</span>}
               </h3>
 
               {/* 2-col grid always — C5 fix */}
@@ -599,7 +968,7 @@ export default function ParentalAbsenceForm() {
                       }`}
                   >
                     <div className="h-10 flex items-center justify-center dark:bg-white/90 dark:rounded-lg dark:p-1">
-                      <img src={sig.src} alt={sig.alt} className="h-full w-full object-contain signature-ink" />
+                      <img src={sig.src} alt={t('signatures.sample', { n: idx + 1 })} className="h-full w-full object-contain signature-ink" />
                     </div>
                   </button>
                 ))}
@@ -614,7 +983,7 @@ export default function ParentalAbsenceForm() {
                 >
                   <div className="h-10 flex flex-col items-center justify-center gap-0.5">
                     <span className="text-xl">✍️</span>
-                    <span className="text-[10px] text-gray-400 dark:text-gray-500 font-medium">Géppel</span>
+                    <span className="text-[10px] text-gray-400 dark:text-gray-500 font-medium">{t('form.typed')}</span>
                   </div>
                 </button>
 
@@ -628,11 +997,31 @@ export default function ParentalAbsenceForm() {
                 >
                   <div className="h-10 flex flex-col items-center justify-center gap-0.5">
                     {drawnSignature ? (
-                      <img src={drawnSignature} alt="Kézzel rajzolt" className="h-full w-full object-contain" />
+                      <img src={drawnSignature} alt={t('form.drawnAlt')} className="h-full w-full object-contain" />
                     ) : (
                       <>
                         <span className="text-xl">🤳</span>
-                        <span className="text-[10px] text-gray-400 dark:text-gray-500 font-medium">Kézzel</span>
+                        <span className="text-[10px] text-gray-400 dark:text-gray-500 font-medium">{t('form.drawn')}</span>
+                      </>
+                    )}
+                  </div>
+                </button>
+
+                {/* Photographed (paper) signature option */}
+                <button
+                  onClick={() => setSelectedSignature('photo')}
+                  className={`p-3 md:p-4 border-2 rounded-xl transition-all active:scale-95 min-h-[56px] ${selectedSignature === 'photo'
+                    ? 'border-amber-400 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-500 shadow-md'
+                    : `${hasAttemptedSubmit && selectedSignature === null ? 'border-red-200 dark:border-red-800' : 'border-gray-200 dark:border-gray-600'} bg-white dark:bg-gray-700 hover:border-amber-200 dark:hover:border-amber-600`
+                    }`}
+                >
+                  <div className="h-10 flex flex-col items-center justify-center gap-0.5">
+                    {photoSignature ? (
+                      <img src={photoSignature} alt={t('form.photoAlt')} className="h-full w-full object-contain" />
+                    ) : (
+                      <>
+                        <span className="text-xl">📷</span>
+                        <span className="text-[10px] text-gray-400 dark:text-gray-500 font-medium">{t('form.photo')}</span>
                       </>
                     )}
                   </div>
@@ -646,13 +1035,13 @@ export default function ParentalAbsenceForm() {
                     type="text"
                     value={customSignatureName}
                     onChange={(e) => setCustomSignatureName(e.target.value)}
-                    placeholder="Írd be a neved..."
+                    placeholder={t('form.typeYourName')}
                     className="w-full px-4 py-3 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all text-lg bg-white dark:bg-gray-700 dark:text-gray-100 dark:placeholder-gray-500"
                   />
                   {/* Font picker */}
                   {customSignatureName && (
                     <div className="space-y-2">
-                      <span className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide">Stílus kiválasztása</span>
+                      <span className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide">{t('form.chooseStyle')}</span>
                       <div className="grid grid-cols-1 gap-2">
                         {signatureFonts.map((font, idx) => (
                           <button
@@ -674,7 +1063,7 @@ export default function ParentalAbsenceForm() {
                                 ? 'bg-amber-200/60 dark:bg-amber-800/60 text-amber-700 dark:text-amber-300'
                                 : 'bg-gray-100 dark:bg-gray-600 text-gray-400 dark:text-gray-400 group-hover:bg-amber-100 dark:group-hover:bg-amber-900/40 group-hover:text-amber-600 dark:group-hover:text-amber-400'
                                 }`}>
-                                {font.label}
+                                {t(font.label)}
                               </span>
                             </div>
                           </button>
@@ -688,11 +1077,11 @@ export default function ParentalAbsenceForm() {
               {/* Drawn signature area */}
               {selectedSignature === 'drawn' && (
                 <div className="mt-4 animate-fade-in">
-                  {isMobile ? (
+                  {isMobile && !drawnFromVault ? (
                     <div className="space-y-3">
-                      <p className="text-xs text-gray-500 dark:text-gray-400">Írja alá ujjával az alábbi mezőben:</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">{t('form.signWithFinger')}</p>
                       <SignaturePad
-                        onSignatureChange={(dataUrl) => setDrawnSignature(dataUrl)}
+                        onSignatureChange={updateDrawnSignature}
                         compact
                       />
                     </div>
@@ -701,28 +1090,28 @@ export default function ParentalAbsenceForm() {
                       {drawnSignature ? (
                         <div className="flex items-center gap-3">
                           <div className="flex-1 p-3 bg-green-50 dark:bg-green-900/20 rounded-xl border border-green-200 dark:border-green-700 flex items-center gap-3">
-                            <img src={drawnSignature} alt="Aláírás" className="h-10 object-contain" />
-                            <span className="text-sm text-green-700 dark:text-green-400 font-medium">Aláírás rögzítve ✓</span>
+                            <img src={drawnSignature} alt={t('form.drawnAlt')} className="h-10 object-contain" />
+                            <span className="text-sm text-green-700 dark:text-green-400 font-medium">{t('form.signatureCaptured')}</span>
                           </div>
                           <button
-                            onClick={() => setDrawnSignature(null)}
+                            onClick={() => updateDrawnSignature(null, null)}
                             className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 border border-gray-200 dark:border-gray-600 hover:border-amber-300 dark:hover:border-amber-500 rounded-xl transition-all"
                           >
-                            Újra
+                            {t('form.redo')}
                           </button>
                         </div>
                       ) : showDesktopPad ? (
                         <div className="space-y-3">
-                          <p className="text-xs text-gray-500 dark:text-gray-400">Írja alá egérrel az alábbi mezőben:</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">{t('form.signWithMouse')}</p>
                           <SignaturePad
-                            onSignatureChange={(dataUrl) => setDrawnSignature(dataUrl)}
+                            onSignatureChange={updateDrawnSignature}
                             compact
                           />
                           <button
                             onClick={() => setShowDesktopPad(false)}
                             className="text-xs text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
                           >
-                            ← Vissza a lehetőségekhez
+                            {t('form.backToOptions')}
                           </button>
                         </div>
                       ) : (
@@ -732,27 +1121,53 @@ export default function ParentalAbsenceForm() {
                             className="py-3 px-4 bg-gradient-to-r from-amber-50 to-orange-50 dark:from-amber-900/20 dark:to-orange-900/20 border-2 border-dashed border-amber-300 dark:border-amber-600 rounded-xl text-amber-700 dark:text-amber-400 font-medium text-sm hover:shadow-md active:scale-[0.98] transition-all flex flex-col items-center justify-center gap-1.5"
                           >
                             <span className="text-lg">🖊️</span>
-                            Aláírás egérrel
+                            {t('form.mouseSignature')}
                           </button>
                           <button
-                            onClick={() => setShowQRModal(true)}
+                            onClick={() => openQRModal('sign')}
                             className="py-3 px-4 bg-gradient-to-r from-orange-50 to-amber-50 dark:from-orange-900/20 dark:to-amber-900/20 border-2 border-dashed border-amber-300 dark:border-amber-600 rounded-xl text-amber-700 dark:text-amber-400 font-medium text-sm hover:shadow-md active:scale-[0.98] transition-all flex flex-col items-center justify-center gap-1.5"
                           >
                             <span className="text-lg">📱</span>
-                            Aláírás telefonon
+                            {t('form.phoneSignature')}
                           </button>
                         </div>
                       )}
                     </div>
                   )}
+                  <SignatureVault
+                    signature={drawnSignature && !drawnFromVault ? { dataUrl: drawnSignature, strokes: drawnStrokes } : null}
+                    onUse={applyVaultSignature}
+                    onSaved={() => setDrawnFromVault(true)}
+                  />
+                </div>
+              )}
+
+              {/* Photographed signature area */}
+              {selectedSignature === 'photo' && (
+                <div className="mt-4 animate-fade-in">
+                  <PhotoSignature value={photoSignature} onChange={setPhotoSignature} isMobile={isMobile} />
                 </div>
               )}
             </div>
 
+            {/* Paired phone: downloads are sent there too */}
+            {phoneLink.status === 'signed' && (
+              <div className="mb-4 flex items-center gap-2 px-4 py-2.5 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-700 rounded-xl text-sm text-green-700 dark:text-green-400 animate-fade-in">
+                <span>📱</span>
+                <span className="flex-1">{t(phoneLink.sentFile ? 'form.phoneSent' : 'form.phonePaired')}</span>
+                <button
+                  onClick={phoneLink.stop}
+                  className="text-xs text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors"
+                >
+                  {t('form.phoneDisconnect')}
+                </button>
+              </div>
+            )}
+
             {/* Desktop-only inline Download Button */}
             <div className="hidden md:block">
               <button
-                onClick={handlePrint}
+                onClick={() => handlePrint()}
                 disabled={isGenerating}
                 className={`w-full py-4 rounded-xl font-medium text-lg transition-all flex items-center justify-center gap-2 active:scale-[0.98] ${isFormComplete && !isGenerating
                   ? 'bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-lg hover:shadow-xl hover:scale-[1.02]'
@@ -769,11 +1184,19 @@ export default function ParentalAbsenceForm() {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                   </svg>
                 )}
-                {isGenerating ? 'Generálás...' : 'PDF letöltése'}
+                {isGenerating ? t('form.generating') : t('form.download')}
+              </button>
+              <button
+                onClick={() => handlePrint({ archival: true })}
+                disabled={isGenerating}
+                title={t('form.downloadArchivalHint')}
+                className="w-full mt-2 py-2 text-sm text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors disabled:opacity-50"
+              >
+                {t('form.downloadArchival')}
               </button>
               {hasAttemptedSubmit && !isFormComplete && (
                 <p className="text-center text-sm text-red-400 dark:text-red-500 mt-2 animate-fade-in">
-                  Kérlek töltsd ki az összes mezőt és válassz aláírást
+                  {t(dateErrors.hasErrors ? 'form.fixDates' : 'form.fillAll')}
                 </p>
               )}
             </div>
@@ -791,7 +1214,7 @@ export default function ParentalAbsenceForm() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
                 </svg>
-                <span className="font-medium text-sm">Előnézet</span>
+                <span className="font-medium text-sm">{t('form.preview')}</span>
               </div>
               <svg className={`w-5 h-5 text-gray-400 transition-transform duration-200 ${showPreview ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
@@ -805,81 +1228,21 @@ export default function ParentalAbsenceForm() {
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
                 </svg>
-                Előnézet
+                {t('form.preview')}
               </h2>
 
               {/* Document Preview — always white background (paper) */}
-              <div className="border border-gray-200 dark:border-gray-600 rounded-xl p-4 md:p-6 bg-white font-serif text-sm text-black">
-                <div className="text-center mb-6">
-                  <div className="text-gray-500 font-bold tracking-wide mb-4">OVIKRÉTA</div>
-                  <h3 className="text-lg font-bold underline">SZÜLŐI IGAZOLÁS</h3>
-                </div>
-
-                <div className="text-center mb-6">
-                  <div className="inline-block border-b border-dotted border-gray-400 min-w-[200px] px-4 py-1">
-                    {kindergartenName || <span className="text-gray-300">óvoda neve</span>}
-                  </div>
-                  <div className="text-xs text-gray-400 mt-1">óvoda neve</div>
-                </div>
-
-                <div className="leading-relaxed mb-4">
-                  <p>
-                    Alulírott szülő (gondviselő, gyám) ezúton igazolom, hogy gyermekem{' '}
-                    <span className="inline-block border-b border-dotted border-gray-400 min-w-[150px] px-2 text-center">
-                      {childName || <span className="text-gray-300">gyermek neve</span>}
-                    </span>
-                  </p>
-                </div>
-
-                <p className="mb-4">az alábbi időszakban hiányzott az óvodából:</p>
-
-                <p className="mb-6">
-                  <span className="inline-block border-b border-dotted border-gray-400 min-w-[30px] px-1 text-center">{formatYear(fromDate)}</span>.{' '}
-                  <span className="inline-block border-b border-dotted border-gray-400 min-w-[80px] px-2 text-center">{fromFormatted.month}</span> hó{' '}
-                  <span className="inline-block border-b border-dotted border-gray-400 min-w-[30px] px-1 text-center">{fromFormatted.day}</span>. napjától –{' '}
-                  <span className="inline-block border-b border-dotted border-gray-400 min-w-[80px] px-2 text-center">{toFormatted.month}</span> hó{' '}
-                  <span className="inline-block border-b border-dotted border-gray-400 min-w-[30px] px-1 text-center">{toFormatted.day}</span>. napjáig.
-                </p>
-
-                <div className="flex justify-between items-end mt-10">
-                  <div>
-                    <p>
-                      Budapest, <span className="inline-block border-b border-dotted border-gray-400 min-w-[30px] px-1 text-center">{formatYear(signatureDate)}</span>.{' '}
-                      <span className="inline-block border-b border-dotted border-gray-400 min-w-[80px] px-2 text-center">{sigDateFormatted.month}</span>{' '}
-                      <span className="inline-block border-b border-dotted border-gray-400 min-w-[30px] px-1 text-center">{sigDateFormatted.day}</span>.
-                    </p>
-                  </div>
-                  <div className="text-center">
-                    <div className="signature-line border-b border-dotted border-gray-400 w-48 h-12 flex items-end justify-center pb-1 relative overflow-visible">
-                      {selectedSignature !== null && selectedSignature !== 'custom' && selectedSignature !== 'drawn' && (
-                        <div className="absolute left-1/2 -translate-x-1/2 w-[66px] h-[60px] signature-svg" style={{ bottom: '-8px' }}>
-                          <img src={signatures[selectedSignature].src} alt={signatures[selectedSignature].alt} className="w-full h-full object-contain signature-ink" />
-                        </div>
-                      )}
-                      {selectedSignature === 'custom' && customSignatureName && (
-                        <div className="w-44 h-10 flex items-end justify-center">
-                          <span className="signature-ink-text" style={{ fontFamily: signatureFonts[selectedFont].family, fontSize: '1.25rem', lineHeight: 1 }}>
-                            {customSignatureName}
-                          </span>
-                        </div>
-                      )}
-                      {selectedSignature === 'drawn' && drawnSignature && (
-                        <div className="w-44 h-10 signature-drawn">
-                          <img src={drawnSignature} alt="Kézzel rajzolt aláírás" className="w-full h-full object-contain" />
-                        </div>
-                      )}
-                    </div>
-                    <div className="text-xs text-gray-500 mt-1">Szülő (gondviselő, gyám) aláírása</div>
-                  </div>
-                </div>
-              </div>
+              <docType.Preview
+                data={docData}
+                signature={{ selectedSignature, customSignatureName, selectedFont, drawnSignature, photoSignature }}
+              />
             </div>
           </div>
         </div>
 
         {/* Footer — hidden on mobile to save space */}
         <div className="hidden md:block text-center mt-8 text-gray-400 dark:text-gray-600 text-sm">
-          Készítsd el gyorsan és egyszerűen a szülői igazolást 📄
+          {t('app.footer')}
         </div>
       </div>
 
@@ -888,26 +1251,37 @@ export default function ParentalAbsenceForm() {
         className="fixed bottom-0 left-0 right-0 z-40 md:hidden bg-white/90 dark:bg-gray-800/90 backdrop-blur-lg border-t border-gray-200/50 dark:border-gray-700/50 px-4 pt-3 transition-colors"
         style={{ paddingBottom: 'max(0.75rem, env(safe-area-inset-bottom))' }}
       >
-        <button
-          onClick={handlePrint}
-          disabled={isGenerating}
-          className={`w-full py-3.5 rounded-2xl font-semibold text-base transition-all flex items-center justify-center gap-2 active:scale-[0.97] ${shakeButton ? 'animate-shake' : ''} ${isFormComplete && !isGenerating
-            ? 'bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-lg'
-            : 'bg-gradient-to-r from-amber-500/60 to-orange-500/60 dark:from-amber-600/40 dark:to-orange-600/40 text-white/80'
-            }`}
-        >
-          {isGenerating ? (
-            <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
-              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
-              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
-            </svg>
-          ) : (
-            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-            </svg>
-          )}
-          {isGenerating ? 'Generálás...' : 'PDF letöltése'}
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => handlePrint()}
+            disabled={isGenerating}
+            className={`flex-1 py-3.5 rounded-2xl font-semibold text-base transition-all flex items-center justify-center gap-2 active:scale-[0.97] ${shakeButton ? 'animate-shake' : ''} ${isFormComplete && !isGenerating
+              ? 'bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-lg'
+              : 'bg-gradient-to-r from-amber-500/60 to-orange-500/60 dark:from-amber-600/40 dark:to-orange-600/40 text-white/80'
+              }`}
+          >
+            {isGenerating ? (
+              <svg className="w-5 h-5 animate-spin" fill="none" viewBox="0 0 24 24">
+                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" />
+                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4z" />
+              </svg>
+            ) : (
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+              </svg>
+            )}
+            {isGenerating ? t('form.generating') : t('form.download')}
+          </button>
+          <button
+            onClick={() => handlePrint({ archival: true })}
+            disabled={isGenerating}
+            aria-label={t('form.downloadArchival')}
+            title={t('form.downloadArchivalHint')}
+            className="px-4 rounded-2xl text-sm font-semibold text-amber-700 dark:text-amber-400 border border-amber-300 dark:border-amber-600 active:scale-[0.97] transition-all disabled:opacity-50"
+          >
+            PDF/A
+          </button>
+        </div>
       </div>
 
       {/* Success Toast */}
@@ -915,13 +1289,7 @@ export default function ParentalAbsenceForm() {
 
       {/* QR Signature Modal */}
       {showQRModal && (
-        <QRSignatureModal
-          onSignature={(dataUrl) => {
-            setDrawnSignature(dataUrl);
-            setShowQRModal(false);
-          }}
-          onClose={() => setShowQRModal(false)}
-        />
+        <QRSignatureModal link={phoneLink} onClose={closeQRModal} />
       )}
     </div>
   );
@@ -0,0 +1,115 @@
+import React, { useRef, useState } from 'react';
+import { useLocale } from './i18n/LocaleProvider';
+import { importSignatureImage, DEFAULT_SENSITIVITY } from './signatureImage';
+
+/**
+ * Signature taken from a photo or scan of a paper signature.
+ * The ink is cut out on a transparent background (see signatureImage.js);
+ * while the original photo is at hand the sensitivity can be tuned.
+ *
+ * Props:
+ *  - value — processed PNG data URL, or null
+ *  - onChange(dataUrl | null) — a new result (or the photo was discarded)
+ *  - isMobile — offer the camera directly
+ */
+export default function PhotoSignature({ value, onChange, isMobile }) {
+    const { t } = useLocale();
+    const uploadRef = useRef(null);
+    const cameraRef = useRef(null);
+    const fileRef = useRef(null);
+    const runRef = useRef(0);
+    const [sensitivity, setSensitivity] = useState(DEFAULT_SENSITIVITY);
+    const [processing, setProcessing] = useState(false);
+    const [error, setError] = useState('');
+
+    // Only the latest run counts while the slider is being dragged
+    const process = async (file, level) => {
+        const run = ++runRef.current;
+        setProcessing(true);
+        setError('');
+        try {
+            const dataUrl = await importSignatureImage(file, level);
+            if (run !== runRef.current) return;
+            if (dataUrl) onChange(dataUrl);
+            else setError('photo.noInk');
+        } catch (e) {
+            console.warn('Failed to import signature photo:', e);
+            if (run === runRef.current) setError('photo.loadError');
+        } finally {
+            if (run === runRef.current) setProcessing(false);
+        }
+    };
+
+    const handleFile = (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        fileRef.current = file;
+        process(file, sensitivity);
+    };
+
+    const handleSensitivity = (level) => {
+        setSensitivity(level);
+        if (fileRef.current) process(fileRef.current, level);
+    };
+
+    const pickButton = 'py-3 px-4 bg-gradient-to-r from-amber-50 to-orange-50 dark:from-amber-900/20 dark:to-orange-900/20 border-2 border-dashed border-amber-300 dark:border-amber-600 rounded-xl text-amber-700 dark:text-amber-400 font-medium text-sm hover:shadow-md active:scale-[0.98] transition-all flex flex-col items-center justify-center gap-1.5';
+
+    return (
+        <div className="space-y-3">
+            <input ref={uploadRef} type="file" accept="image/*" className="hidden" onChange={handleFile} />
+            <input ref={cameraRef} type="file" accept="image/*" capture="environment" className="hidden" onChange={handleFile} />
+
+            {value ? (
+                <div className="space-y-3">
+                    <div className="flex items-center gap-3">
+                        <div className="flex-1 p-3 bg-green-50 dark:bg-green-900/20 rounded-xl border border-green-200 dark:border-green-700 flex items-center gap-3">
+                            <img src={value} alt={t('form.photoAlt')} className={`h-10 max-w-[60%] object-contain transition-opacity ${processing ? 'opacity-40' : ''}`} />
+                            <span className="text-sm text-green-700 dark:text-green-400 font-medium">{t('form.signatureCaptured')}</span>
+                        </div>
+                        <button
+                            onClick={() => { fileRef.current = null; onChange(null); }}
+                            className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 border border-gray-200 dark:border-gray-600 hover:border-amber-300 dark:hover:border-amber-500 rounded-xl transition-all"
+                        >
+                            {t('photo.replace')}
+                        </button>
+                    </div>
+                    {/* A lower threshold keeps fainter ink, so the slider runs "less ↔ more ink" */}
+                    {fileRef.current && (
+                        <label className="block">
+                            <span className="text-xs text-gray-500 dark:text-gray-400">{t('photo.sensitivity')}</span>
+                            <input
+                                type="range"
+                                min="0.05"
+                                max="0.35"
+                                step="0.01"
+                                value={0.4 - sensitivity}
+                                onChange={(e) => handleSensitivity(0.4 - Number(e.target.value))}
+                                className="w-full accent-amber-500"
+                            />
+                        </label>
+                    )}
+                </div>
+            ) : (
+                <>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{t('photo.hint')}</p>
+                    <div className={`grid gap-2 ${isMobile ? 'grid-cols-2' : 'grid-cols-1'}`}>
+                        {isMobile && (
+                            <button onClick={() => cameraRef.current.click()} disabled={processing} className={pickButton}>
+                                <span className="text-lg">📷</span>
+                                {t('photo.takePhoto')}
+                            </button>
+                        )}
+                        <button onClick={() => uploadRef.current.click()} disabled={processing} className={pickButton}>
+                            <span className="text-lg">🖼️</span>
+                            {t('photo.upload')}
+                        </button>
+                    </div>
+                    {processing && <p className="text-xs text-gray-500 dark:text-gray-400">{t('photo.processing')}</p>}
+                </>
+            )}
+
+            {error && <p className="text-xs text-red-500 dark:text-red-400">{t(error)}</p>}
+        </div>
+    );
+}
@@ -0,0 +1,75 @@
+import React from 'react';
+import { useLocale } from './i18n/LocaleProvider';
+
+/**
+ * Row of child profiles shown above the form fields.
+ * Selecting a chip fills the whole form from that profile.
+ *
+ * Props:
+ *  - profiles — list of saved profiles
+ *  - activeId — id of the currently applied profile (or null)
+ *  - isDirty — form differs from the active profile
+ *  - onSelect(profile) — apply a profile to the form
+ *  - onSave() — write current form values into the active profile
+ *  - onSaveAsNew() — create a new profile from the current form values
+ *  - onDelete(id) — remove a profile
+ */
+export default function ProfileSwitcher({ profiles, activeId, isDirty, onSelect, onSave, onSaveAsNew, onDelete }) {
+    const { t } = useLocale();
+    const active = profiles.find(p => p.id === activeId) || null;
+
+    return (
+        <div className="mb-5 md:mb-6">
+            <div className="flex items-center justify-between mb-2">
+                <span className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide">{t('profiles.heading')}</span>
+                {active && (
+                    <button
+                        onClick={() => {
+                            const question = active.childName
+                                ? t('profiles.confirmDelete', { name: active.childName })
+                                : t('profiles.confirmDeleteUnnamed');
+                            if (window.confirm(question)) onDelete(active.id);
+                        }}
+                        className="text-xs text-gray-400 hover:text-red-500 transition-colors"
+                    >
+                        {t('profiles.delete')}
+                    </button>
+                )}
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+                {profiles.map(profile => (
+                    <button
+                        key={profile.id}
+                        onClick={() => onSelect(profile)}
+                        className={`px-3.5 py-2 rounded-full text-sm font-medium border-2 transition-all active:scale-95 ${profile.id === activeId
+                            ? 'border-amber-400 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-500 text-amber-700 dark:text-amber-300 shadow-sm'
+                            : 'border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:border-amber-200 dark:hover:border-amber-600'
+                            }`}
+                    >
+                        {profile.childName || t('profiles.unnamed')}
+                        {profile.groupName && (
+                            <span className="ml-1 text-xs text-gray-400 dark:text-gray-500 font-normal">· {profile.groupName}</span>
+                        )}
+                    </button>
+                ))}
+
+                <button
+                    onClick={onSaveAsNew}
+                    className="px-3.5 py-2 rounded-full text-sm font-medium border-2 border-dashed border-amber-300 dark:border-amber-600 text-amber-700 dark:text-amber-400 hover:bg-amber-50 dark:hover:bg-amber-900/20 transition-all active:scale-95"
+                >
+                    {t('profiles.saveAsNew')}
+                </button>
+
+                {active && isDirty && (
+                    <button
+                        onClick={onSave}
+                        className="px-3.5 py-2 rounded-full text-sm font-medium bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300 hover:bg-amber-200 dark:hover:bg-amber-900/60 transition-all active:scale-95 animate-fade-in"
+                    >
+                        {t('profiles.saveChanges')}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
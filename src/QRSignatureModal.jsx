@@ -1,62 +1,38 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect } from 'react';
 import { QRCodeSVG } from 'qrcode.react';
-import Peer from 'peerjs';
+import { useLocale } from './i18n/LocaleProvider';
+
+// Time left on the QR code, ticking every second
+function Countdown({ until }) {
+    const { t } = useLocale();
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const left = Math.max(0, Math.ceil((until - now) / 1000));
+    const time = `${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+    return <p className={`text-xs mt-2 ${left <= 30 ? 'text-red-500' : 'text-gray-400'}`}>{t('qr.expiresIn', { time })}</p>;
+}
 
 /**
- * Full-screen modal: shows a QR code linking to the mobile signing page.
- * Uses PeerJS (WebRTC) for serverless cross-device communication.
+ * Full-screen modal: shows a QR code linking to the mobile signing page,
+ * opened for signing or (link.mode 'edit') for filling in the form.
+ * The pairing itself (PeerJS) lives in the form, see phoneLink.js, so it
+ * outlives the modal. While no phone is connected the QR code counts down;
+ * "New QR code" starts a fresh pairing in any state.
  *
  * Props:
- *  - onSignature(dataUrl) — called when signature is received
+ *  - link — the form's usePhoneLink() state (status, mode, signingUrl, transport, expiresAt, rejected, start)
  *  - onClose() — called when user cancels
  */
-export default function QRSignatureModal({ onSignature, onClose }) {
-    const [peerId, setPeerId] = useState(null);
-    const [status, setStatus] = useState('connecting'); // connecting | waiting | received
-    const [error, setError] = useState(null);
-    const peerRef = useRef(null);
-
-    useEffect(() => {
-        const peer = new Peer();
-        peerRef.current = peer;
-
-        peer.on('open', (id) => {
-            setPeerId(id);
-            setStatus('waiting');
-        });
-
-        peer.on('connection', (conn) => {
-            setStatus('connected');
-
-            conn.on('data', (data) => {
-                if (data && data.type === 'signature' && data.dataUrl) {
-                    setStatus('received');
-                    onSignature(data.dataUrl);
-                    // Small delay so user sees the success state
-                    setTimeout(() => {
-                        peer.destroy();
-                    }, 500);
-                }
-            });
-
-            conn.on('close', () => {
-                // Phone disconnected without sending
-            });
-        });
-
-        peer.on('error', (err) => {
-            console.error('PeerJS error:', err);
-            setError('Kapcsolódási hiba. Kérlek próbáld újra.');
-        });
-
-        return () => {
-            peer.destroy();
-        };
-    }, [onSignature]);
-
-    const signingUrl = peerId
-        ? `${window.location.origin}${window.location.pathname}#/sign/${peerId}`
-        : null;
+export default function QRSignatureModal({ link, onClose }) {
+    const { t } = useLocale();
+    const { status, mode, signingUrl, transport, expiresAt, rejected } = link;
+    const editing = mode === 'edit';
+    const restart = () => link.start(mode);
 
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
@@ -83,20 +59,20 @@ export default function QRSignatureModal({ onSignature, onClose }) {
                     <div className="w-14 h-14 bg-gradient-to-br from-amber-100 to-orange-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
                         <span className="text-2xl">📱</span>
                     </div>
-                    <h3 className="text-xl font-bold text-gray-800 mb-1">Aláírás telefonon</h3>
+                    <h3 className="text-xl font-bold text-gray-800 mb-1">{t(editing ? 'qr.editTitle' : 'qr.title')}</h3>
                     <p className="text-sm text-gray-500 mb-6">
-                        Olvassa be a QR kódot a telefonjával
+                        {t('qr.scan')}
                     </p>
 
                     {/* QR Code */}
                     {status === 'connecting' && (
                         <div className="py-12">
                             <div className="w-10 h-10 border-3 border-amber-200 border-t-amber-500 rounded-full animate-spin mx-auto" />
-                            <p className="text-sm text-gray-400 mt-4">Kapcsolódás...</p>
+                            <p className="text-sm text-gray-400 mt-4">{t('qr.connecting')}</p>
                         </div>
                     )}
 
-                    {status === 'waiting' && signingUrl && (
+                    {(status === 'waiting' || status === 'reconnecting') && signingUrl && (
                         <>
                             <div className="bg-white rounded-2xl p-4 border border-gray-100 shadow-inner inline-block mb-4">
                                 <QRCodeSVG
@@ -110,40 +86,80 @@ export default function QRSignatureModal({ onSignature, onClose }) {
                             </div>
                             <div className="flex items-center justify-center gap-2 text-sm text-amber-600">
                                 <div className="w-2 h-2 bg-amber-400 rounded-full animate-pulse" />
-                                Várakozás az aláírásra...
+                                {t(status === 'reconnecting' ? 'qr.reconnecting' : editing ? 'qr.editWaiting' : 'qr.waiting')}
                             </div>
+                            {expiresAt && <Countdown until={expiresAt} />}
+                            <button
+                                onClick={restart}
+                                className="mt-3 text-xs text-gray-500 hover:text-amber-600 font-medium transition-colors"
+                            >
+                                {t('qr.newCode')}
+                            </button>
                         </>
                     )}
 
+                    {(status === 'expired' || status === 'incompatible') && (
+                        <div className="py-6">
+                            <div className="w-12 h-12 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-3">
+                                <span className="text-2xl">{status === 'expired' ? '⌛' : '🔄'}</span>
+                            </div>
+                            <p className="text-sm text-gray-500">{t(status === 'expired' ? 'qr.expired' : 'qr.incompatible')}</p>
+                            <button
+                                onClick={restart}
+                                className="mt-4 px-5 py-2.5 bg-gradient-to-r from-amber-500 to-orange-500 text-white rounded-xl font-medium text-sm shadow-md active:scale-[0.98] transition-all"
+                            >
+                                {t('qr.newCode')}
+                            </button>
+                        </div>
+                    )}
+
+                    {status === 'insecure' && (
+                        <div className="py-6">
+                            <div className="w-12 h-12 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-3">
+                                <span className="text-2xl">🔒</span>
+                            </div>
+                            <p className="text-sm text-gray-500">{t('qr.insecure')}</p>
+                        </div>
+                    )}
+
                     {status === 'connected' && (
                         <div className="py-8">
                             <div className="w-12 h-12 bg-green-50 rounded-full flex items-center justify-center mx-auto mb-3">
                                 <span className="text-2xl">🤳</span>
                             </div>
-                            <p className="text-sm font-medium text-green-600">Telefon csatlakozva!</p>
-                            <p className="text-xs text-gray-400 mt-1">Írja alá a telefonján...</p>
+                            <p className="text-sm font-medium text-green-600">{t('qr.connected')}</p>
+                            <p className="text-xs text-gray-400 mt-1">{t('qr.signOnPhone')}</p>
+                            {transport && (
+                                <p className="text-xs text-gray-400 mt-3">{t(`transport.${transport}`)}</p>
+                            )}
                         </div>
                     )}
 
-                    {status === 'received' && (
+                    {status === 'signed' && (
                         <div className="py-8">
                             <div className="w-12 h-12 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-3 animate-bounce">
                                 <svg className="w-6 h-6 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                                 </svg>
                             </div>
-                            <p className="text-sm font-medium text-green-600">Aláírás megérkezett! ✨</p>
+                            <p className="text-sm font-medium text-green-600">{t('qr.received')}</p>
                         </div>
                     )}
 
-                    {error && (
+                    {rejected > 0 && status !== 'signed' && (
+                        <p className="mt-4 px-3 py-2 bg-red-50 border border-red-100 rounded-xl text-xs text-red-600">
+                            {t('qr.rejected', { count: rejected })}
+                        </p>
+                    )}
+
+                    {status === 'error' && (
                         <div className="py-6">
-                            <p className="text-sm text-red-500">{error}</p>
+                            <p className="text-sm text-red-500">{t('qr.error')}</p>
                             <button
-                                onClick={() => window.location.reload()}
+                                onClick={restart}
                                 className="mt-3 text-sm text-amber-600 hover:text-amber-700 font-medium"
                             >
-                                Újrapróbálom
+                                {t('common.retry')}
                             </button>
                         </div>
                     )}
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { useLocale } from './i18n/LocaleProvider';
+
+/**
+ * Remaining parental-certificate budget shown under the date inputs.
+ *
+ * Props:
+ *  - summary — result of quotaSummary() (one row per nevelési év)
+ *  - limit — yearly limit in days
+ *  - onLimitChange(limit) — user edited the limit
+ */
+export default function QuotaInfo({ summary, limit, onLimitChange }) {
+    const { t } = useLocale();
+    const [editing, setEditing] = useState(false);
+
+    return (
+        <div className="mt-3 space-y-2">
+            {summary.map(row => (
+                <div
+                    key={row.year}
+                    className={`px-3 py-2 rounded-xl text-xs border transition-colors ${row.exceeded
+                        ? 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800 text-red-700 dark:text-red-400'
+                        : 'bg-amber-50/60 dark:bg-amber-900/10 border-amber-100 dark:border-amber-900/40 text-gray-600 dark:text-gray-300'
+                        }`}
+                >
+                    <div className="flex items-center justify-between gap-2">
+                        <span>
+                            <strong>{row.label}</strong> {t('quota.usage', { used: row.used, limit })}
+                            {row.adding > 0 && <span> · {t('quota.adding', { count: row.adding })}</span>}
+                        </span>
+                        <span className="font-semibold shrink-0">
+                            {row.remaining > 0 ? t('quota.remaining', { count: row.remaining }) : t('quota.usedUp')}
+                        </span>
+                    </div>
+                    {row.exceeded && (
+                        <p className="mt-1">
+                            {t('quota.exceeded')}
+                        </p>
+                    )}
+                </div>
+            ))}
+
+            <div className="text-xs text-gray-400 dark:text-gray-500">
+                {editing ? (
+                    <label className="inline-flex items-center gap-2">
+                        {t('quota.limitLabel')}
+                        <input
+                            type="number"
+                            min={1}
+                            max={365}
+                            value={limit}
+                            autoFocus
+                            onChange={(e) => {
+                                const value = parseInt(e.target.value, 10);
+                                if (value > 0) onLimitChange(value);
+                            }}
+                            onBlur={() => setEditing(false)}
+                            className="w-16 px-2 py-1 border border-gray-200 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-gray-100 outline-none focus:border-amber-400"
+                        />
+                        {t('quota.days')}
+                    </label>
+                ) : (
+                    <button
+                        onClick={() => setEditing(true)}
+                        className="hover:text-amber-600 dark:hover:text-amber-400 transition-colors"
+                    >
+                        {t('quota.limitButton', { limit })}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,22 +1,103 @@
 import React, { useRef, useState, useEffect, useCallback } from 'react';
+import { useLocale } from './i18n/LocaleProvider';
+import { inkOutline } from './signatureVector';
+
+const INK = '#3b2d8b';
+const MIN_WIDTH = 1;
+const MAX_WIDTH = 4.5;
+const VELOCITY_WEIGHT = 0.7; // share of the newest speed sample in the running average
+const WIDTH_WEIGHT = 0.4; // how fast the width follows speed and pressure
+const MIN_DISTANCE = 0.75; // px between recorded points
+const ERASER_RADIUS = 10;
+const PEN_ERASER_BUTTON = 5;
+
+const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+// Ink width for a pointer sample: faster strokes thin out like a real pen,
+// and a stylus presses the ink wider or narrower (pressure 0.5 leaves it)
+function targetWidth(velocity, e) {
+    const width = Math.max(MAX_WIDTH / (velocity + 1), MIN_WIDTH);
+    if (e.pointerType !== 'pen' || !e.pressure) return width;
+    return Math.min(Math.max(width * (0.25 + 1.5 * e.pressure), MIN_WIDTH / 2), MAX_WIDTH * 1.5);
+}
+
+// Whether the eraser at (x, y) touches the ink of a stroke
+function touches(points, x, y) {
+    return points.some((p, i) => {
+        const reach = ERASER_RADIUS + (p.w ?? 3) / 2;
+        const q = points[i + 1];
+        if (!q) return Math.hypot(x - p.x, y - p.y) <= reach;
+        const dx = q.x - p.x, dy = q.y - p.y;
+        const t = Math.max(0, Math.min(1, ((x - p.x) * dx + (y - p.y) * dy) / (dx * dx + dy * dy || 1)));
+        return Math.hypot(x - p.x - t * dx, y - p.y - t * dy) <= reach;
+    });
+}
+
+function fillStroke(ctx, points) {
+    ctx.beginPath();
+    inkOutline(points).forEach(([op, ...c]) => {
+        if (op === 'M') ctx.moveTo(c[0], c[1]);
+        else if (op === 'L') ctx.lineTo(c[0], c[1]);
+        else if (op === 'C') ctx.bezierCurveTo(...c);
+        else ctx.closePath();
+    });
+    ctx.fill();
+}
 
 /**
- * Canvas-based signature pad with smooth Bézier curves.
- * Works with both mouse and touch (finger) input.
+ * Canvas-based signature pad with pen-like ink.
+ * Uses Pointer Events, so mouse, finger and stylus all work; stylus pressure
+ * and drawing speed set the ink width, and strokes are joined by Bézier curves.
+ *
+ * Completed strokes are kept as point lists ({ x, y, w } in CSS pixels, w
+ * being the ink width) so the PDF can draw them as the same vector outlines
+ * (see signatureVector.js).
+ *
+ * Every change (a new stroke, an eraser pass, clearing) is one history step
+ * that can be undone and redone with the buttons or Ctrl+Z / Ctrl+Shift+Z
+ * while the pad has focus. The eraser (or a stylus's eraser end) removes
+ * whole strokes it touches.
  *
  * Props:
- *  - onSignatureChange(dataUrl | null) — called whenever the drawing changes
+ *  - onSignatureChange(dataUrl | null, strokes) — called whenever the drawing changes
  *  - width / height — optional, defaults to container width × 200
  *  - className — extra wrapper classes
  *  - compact — smaller variant for inline use
  */
 export default function SignaturePad({ onSignatureChange, className = '', compact = false }) {
+    const { t } = useLocale();
     const canvasRef = useRef(null);
     const containerRef = useRef(null);
     const [isDrawing, setIsDrawing] = useState(false);
-    const [hasStrokes, setHasStrokes] = useState(false);
-    const pointsRef = useRef([]);
-    const lastPointRef = useRef(null);
+    const [erasing, setErasing] = useState(false);
+    // Current strokes plus the undo (past) and redo (future) stacks of stroke lists
+    const [ink, setInk] = useState({ strokes: [], past: [], future: [] });
+    const inkRef = useRef(ink);
+    // Gesture in progress: a stroke (its pointer, points and the speed/width
+    // filters) or an eraser pass (its pointer and the strokes before it)
+    const activeRef = useRef(null);
+    const frameRef = useRef(0);
+    const hasStrokes = ink.strokes.length > 0;
+
+    // Clears the canvas and fills every stroke, the one in progress included
+    const paint = useCallback(() => {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = 0;
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        const dpr = window.devicePixelRatio || 1;
+        ctx.clearRect(0, 0, canvas.width / dpr, canvas.height / dpr);
+        ctx.fillStyle = INK;
+        inkRef.current.strokes.forEach(points => fillStroke(ctx, points));
+        if (activeRef.current?.points) fillStroke(ctx, activeRef.current.points);
+    }, []);
+
+    const schedulePaint = useCallback(() => {
+        if (!frameRef.current) frameRef.current = requestAnimationFrame(paint);
+    }, [paint]);
+
+    useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
 
     // Resize canvas to container
     useEffect(() => {
@@ -32,111 +113,160 @@ export default function SignaturePad({ onSignatureChange, className = '', compac
             canvas.style.width = rect.width + 'px';
             canvas.style.height = (compact ? 140 : 200) + 'px';
 
-            const ctx = canvas.getContext('2d');
-            ctx.scale(dpr, dpr);
-            ctx.setLineDash([]);
-            ctx.lineCap = 'round';
-            ctx.lineJoin = 'round';
-            ctx.strokeStyle = '#3b2d8b';
-            ctx.lineWidth = 2.5;
+            canvas.getContext('2d').scale(dpr, dpr);
+            // Resizing wipes the bitmap; the recorded strokes bring it back
+            paint();
         };
         resize();
         window.addEventListener('resize', resize);
         return () => window.removeEventListener('resize', resize);
-    }, [compact]);
+    }, [compact, paint]);
 
-    const getPos = useCallback((e) => {
-        const canvas = canvasRef.current;
-        const rect = canvas.getBoundingClientRect();
-        const touch = e.touches ? e.touches[0] : e;
-        return {
-            x: touch.clientX - rect.left,
-            y: touch.clientY - rect.top,
-        };
+    // Shows a new state and reports the re-rendered drawing
+    const update = useCallback((next) => {
+        inkRef.current = next;
+        setInk(next);
+        paint();
+        if (onSignatureChange) {
+            const dataUrl = next.strokes.length ? canvasRef.current.toDataURL('image/png') : null;
+            onSignatureChange(dataUrl, next.strokes);
+        }
+    }, [onSignatureChange, paint]);
+
+    // New strokes as one undoable step
+    const commit = useCallback((strokes, before = inkRef.current.strokes) => {
+        update({ strokes, past: [...inkRef.current.past, before], future: [] });
+    }, [update]);
+
+    const undo = useCallback(() => {
+        const { strokes, past, future } = inkRef.current;
+        if (!past.length) return;
+        update({ strokes: past[past.length - 1], past: past.slice(0, -1), future: [strokes, ...future] });
+    }, [update]);
+
+    const redo = useCallback(() => {
+        const { strokes, past, future } = inkRef.current;
+        if (!future.length) return;
+        update({ strokes: future[0], past: [...past, strokes], future: future.slice(1) });
+    }, [update]);
+
+    const addPoint = useCallback((e) => {
+        const stroke = activeRef.current;
+        const rect = canvasRef.current.getBoundingClientRect();
+        const x = round(e.clientX - rect.left, 1);
+        const y = round(e.clientY - rect.top, 1);
+        const prev = stroke.points[stroke.points.length - 1];
+        const distance = Math.hypot(x - prev.x, y - prev.y);
+        if (distance < MIN_DISTANCE) return;
+
+        const elapsed = Math.max(e.timeStamp - stroke.time, 1);
+        stroke.velocity = VELOCITY_WEIGHT * (distance / elapsed) + (1 - VELOCITY_WEIGHT) * stroke.velocity;
+        stroke.width += (targetWidth(stroke.velocity, e) - stroke.width) * WIDTH_WEIGHT;
+        stroke.time = e.timeStamp;
+        stroke.points.push({ x, y, w: round(stroke.width, 2) });
     }, []);
 
-    const isDrawingRef = useRef(false);
+    // Takes the touched strokes off the canvas; the history step is made when the pass ends
+    const erase = useCallback((e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const x = e.clientX - rect.left, y = e.clientY - rect.top;
+        const { strokes } = inkRef.current;
+        const kept = strokes.filter(points => !touches(points, x, y));
+        if (kept.length === strokes.length) return;
+        inkRef.current = { ...inkRef.current, strokes: kept };
+        setInk(inkRef.current);
+        paint();
+    }, [paint]);
 
     const startStroke = useCallback((e) => {
+        if (activeRef.current || (e.pointerType === 'mouse' && e.button !== 0)) return;
         e.preventDefault();
-        const pos = getPos(e);
-        isDrawingRef.current = true;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        containerRef.current.focus({ preventScroll: true });
         setIsDrawing(true);
-        lastPointRef.current = pos;
-        pointsRef.current = [pos];
-    }, [getPos]);
+
+        if (erasing || e.button === PEN_ERASER_BUTTON) {
+            activeRef.current = { pointerId: e.pointerId, before: inkRef.current.strokes };
+            erase(e);
+            return;
+        }
+
+        const rect = canvasRef.current.getBoundingClientRect();
+        const width = e.pointerType === 'pen' && e.pressure
+            ? targetWidth(0, e) * 0.6
+            : (MIN_WIDTH + MAX_WIDTH) / 2;
+        activeRef.current = {
+            pointerId: e.pointerId,
+            time: e.timeStamp,
+            velocity: 0,
+            width,
+            points: [{ x: round(e.clientX - rect.left, 1), y: round(e.clientY - rect.top, 1), w: round(width, 2) }],
+        };
+        schedulePaint();
+    }, [erasing, erase, schedulePaint]);
 
     const draw = useCallback((e) => {
-        if (!isDrawingRef.current) return;
+        const gesture = activeRef.current;
+        if (gesture?.pointerId !== e.pointerId) return;
         e.preventDefault();
+        // Tablets report far more samples than animation frames; use them all
+        const samples = e.nativeEvent.getCoalescedEvents?.() || [];
+        (samples.length ? samples : [e.nativeEvent]).forEach(gesture.points ? addPoint : erase);
+        if (gesture.points) schedulePaint();
+    }, [addPoint, erase, schedulePaint]);
 
-        const pos = getPos(e);
-        pointsRef.current.push(pos);
-        lastPointRef.current = pos;
-
-        // Redraw entire current stroke as a single continuous path
-        const ctx = canvasRef.current.getContext('2d');
-        const points = pointsRef.current;
-        if (points.length < 2) return;
-
-        // Clear and redraw would lose previous strokes, so we use an image buffer
-        // Instead, draw only the latest segment connecting to the path
-        const prev = points[points.length - 2];
-        const curr = points[points.length - 1];
-        const mid = { x: (prev.x + curr.x) / 2, y: (prev.y + curr.y) / 2 };
-
-        ctx.setLineDash([]);
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-        ctx.strokeStyle = '#3b2d8b';
-        ctx.lineWidth = 3;
-
-        // Draw a line directly from previous point to current — no gaps
-        ctx.beginPath();
-        ctx.moveTo(prev.x, prev.y);
-        ctx.lineTo(curr.x, curr.y);
-        ctx.stroke();
-    }, [getPos]);
-
-    const endStroke = useCallback(() => {
-        if (!isDrawingRef.current) return;
-        isDrawingRef.current = false;
+    const endStroke = useCallback((e) => {
+        const gesture = activeRef.current;
+        if (gesture?.pointerId !== e.pointerId) return;
+        activeRef.current = null;
         setIsDrawing(false);
-        setHasStrokes(true);
-        lastPointRef.current = null;
 
-        // Export
-        if (onSignatureChange) {
-            const dataUrl = canvasRef.current.toDataURL('image/png');
-            onSignatureChange(dataUrl);
-        }
-    }, [isDrawing, onSignatureChange]);
+        if (gesture.points) commit([...inkRef.current.strokes, gesture.points]);
+        else if (inkRef.current.strokes !== gesture.before) commit(inkRef.current.strokes, gesture.before);
+    }, [commit]);
 
     const clearCanvas = useCallback(() => {
-        const canvas = canvasRef.current;
-        const ctx = canvas.getContext('2d');
-        const dpr = window.devicePixelRatio || 1;
-        ctx.clearRect(0, 0, canvas.width / dpr, canvas.height / dpr);
-        setHasStrokes(false);
-        pointsRef.current = [];
-        if (onSignatureChange) onSignatureChange(null);
-    }, [onSignatureChange]);
+        activeRef.current = null;
+        setErasing(false);
+        if (inkRef.current.strokes.length) commit([]);
+    }, [commit]);
+
+    const handleKeyDown = useCallback((e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) redo();
+            else undo();
+        } else if (key === 'y') {
+            e.preventDefault();
+            redo();
+        }
+    }, [undo, redo]);
+
+    // Finger-sized on the full pad (the phone), smaller inline
+    const toolButton = (active) => `${compact ? 'p-1.5' : 'p-2.5'} bg-white/90 backdrop-blur rounded-lg shadow-sm border transition-all text-xs flex items-center gap-1 disabled:opacity-40 disabled:pointer-events-none ${active
+        ? 'border-amber-400 text-amber-600'
+        : 'border-gray-200 text-gray-400 hover:text-gray-700 hover:border-gray-300'
+        }`;
 
     return (
-        <div ref={containerRef} className={`relative ${className}`}>
+        <div
+            ref={containerRef}
+            tabIndex={0}
+            onKeyDown={handleKeyDown}
+            className={`relative outline-none ${className}`}
+        >
             {/* Canvas */}
             <div className={`relative rounded-xl overflow-hidden border-2 ${isDrawing ? 'border-amber-400' : 'border-gray-200'
                 } transition-colors bg-gradient-to-b from-amber-50/30 to-white`}>
                 <canvas
                     ref={canvasRef}
-                    className="block w-full cursor-crosshair touch-none"
-                    onMouseDown={startStroke}
-                    onMouseMove={draw}
-                    onMouseUp={endStroke}
-                    onMouseLeave={endStroke}
-                    onTouchStart={startStroke}
-                    onTouchMove={draw}
-                    onTouchEnd={endStroke}
+                    className={`block w-full touch-none ${erasing ? 'cursor-cell' : 'cursor-crosshair'}`}
+                    onPointerDown={startStroke}
+                    onPointerMove={draw}
+                    onPointerUp={endStroke}
+                    onPointerCancel={endStroke}
                 />
 
                 {/* Guide line */}
@@ -147,23 +277,61 @@ export default function SignaturePad({ onSignatureChange, className = '', compac
                     <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none text-gray-300">
                         <span className="text-3xl mb-1">✍️</span>
                         <span className="text-sm font-medium">
-                            {compact ? 'Írja alá itt' : 'Írja alá ujjával vagy egérrel'}
+                            {t(compact ? 'signaturePad.hintCompact' : 'signaturePad.hint')}
                         </span>
                     </div>
                 )}
             </div>
 
             {/* Controls */}
-            {hasStrokes && (
-                <button
-                    onClick={clearCanvas}
-                    className="absolute top-2 right-2 p-1.5 bg-white/90 backdrop-blur rounded-lg shadow-sm border border-gray-200 text-gray-400 hover:text-red-500 hover:border-red-200 transition-all text-xs flex items-center gap-1"
-                >
-                    <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                    Törlés
-                </button>
+            {(hasStrokes || ink.past.length > 0 || ink.future.length > 0) && (
+                <div className="absolute top-2 right-2 flex items-center gap-1">
+                    <button
+                        onClick={undo}
+                        disabled={!ink.past.length}
+                        title={t('signaturePad.undo')}
+                        aria-label={t('signaturePad.undo')}
+                        className={toolButton(false)}
+                    >
+                        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 15L3 9m0 0l6-6M3 9h12a6 6 0 010 12h-3" />
+                        </svg>
+                    </button>
+                    <button
+                        onClick={redo}
+                        disabled={!ink.future.length}
+                        title={t('signaturePad.redo')}
+                        aria-label={t('signaturePad.redo')}
+                        className={toolButton(false)}
+                    >
+                        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 15l6-6m0 0l-6-6m6 6H9a6 6 0 000 12h3" />
+                        </svg>
+                    </button>
+                    <button
+                        onClick={() => setErasing(v => !v)}
+                        disabled={!hasStrokes && !erasing}
+                        title={t('signaturePad.eraser')}
+                        aria-label={t('signaturePad.eraser')}
+                        aria-pressed={erasing}
+                        className={toolButton(erasing)}
+                    >
+                        <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21h13M4.5 14.5l8-8a2 2 0 012.8 0l2.2 2.2a2 2 0 010 2.8L10 19H7.5l-3-3a1 1 0 010-1.5zM9 10l5 5" />
+                        </svg>
+                    </button>
+                    {hasStrokes && (
+                        <button
+                            onClick={clearCanvas}
+                            className="p-1.5 bg-white/90 backdrop-blur rounded-lg shadow-sm border border-gray-200 text-gray-400 hover:text-red-500 hover:border-red-200 transition-all text-xs flex items-center gap-1"
+                        >
+                            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                            {t('signaturePad.clear')}
+                        </button>
+                    )}
+                </div>
             )}
         </div>
     );
@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import { useLocale } from './i18n/LocaleProvider';
+import { vaultExists, createVault, unlockVault, listVaultSignatures, addVaultSignature, deleteVaultSignature, deleteVault } from './vault';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const inputClass = 'w-full px-3 py-2 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all text-sm bg-white dark:bg-gray-700 dark:text-gray-100 dark:placeholder-gray-500';
+const primaryClass = 'w-full py-2 rounded-xl text-sm font-medium bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-sm hover:shadow-md active:scale-[0.98] transition-all disabled:opacity-50';
+
+/**
+ * Opt-in encrypted store for drawn signatures, shown under the drawn
+ * signature options. Collapsed until opened; the passphrase-derived key is
+ * dropped when the vault is locked or the page is left.
+ *
+ * Props:
+ *  - signature — the current drawn signature ({ dataUrl, strokes }) or null
+ *  - onUse(signature) — a saved signature was picked
+ *  - onSaved() — the current signature was stored in the vault
+ */
+export default function SignatureVault({ signature, onUse, onSaved }) {
+    const { t } = useLocale();
+    const [open, setOpen] = useState(false);
+    const [exists, setExists] = useState(null);
+    const [key, setKey] = useState(null);
+    const [items, setItems] = useState([]);
+    const [passphrase, setPassphrase] = useState('');
+    const [repeat, setRepeat] = useState('');
+    const [label, setLabel] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    // Runs a vault operation with the busy flag; storage failures end up as a message
+    const run = async (fn) => {
+        setBusy(true);
+        setError('');
+        try {
+            await fn();
+        } catch (e) {
+            console.warn('Signature vault operation failed:', e);
+            setError('vault.error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const openVault = () => {
+        setOpen(true);
+        run(async () => setExists(await vaultExists()));
+    };
+
+    const unlocked = async (newKey) => {
+        setKey(newKey);
+        setPassphrase('');
+        setRepeat('');
+        setItems(await listVaultSignatures(newKey));
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) return setError('vault.tooShort');
+        if (passphrase !== repeat) return setError('vault.mismatch');
+        run(async () => {
+            await unlocked(await createVault(passphrase));
+            setExists(true);
+        });
+    };
+
+    const handleUnlock = (e) => {
+        e.preventDefault();
+        run(async () => {
+            const newKey = await unlockVault(passphrase);
+            if (newKey) await unlocked(newKey);
+            else setError('vault.wrongPassphrase');
+        });
+    };
+
+    const lock = () => {
+        setKey(null);
+        setItems([]);
+        setError('');
+    };
+
+    const handleReset = () => {
+        if (!window.confirm(t('vault.confirmReset'))) return;
+        run(async () => {
+            await deleteVault();
+            lock();
+            setExists(false);
+        });
+    };
+
+    const handleSave = () => run(async () => {
+        await addVaultSignature(key, {
+            label: label.trim() || t('vault.defaultLabel', { n: items.length + 1 }),
+            dataUrl: signature.dataUrl,
+            strokes: signature.strokes,
+        });
+        setLabel('');
+        setItems(await listVaultSignatures(key));
+        onSaved();
+    });
+
+    const handleDelete = (item) => {
+        if (!window.confirm(t('vault.confirmDelete', { label: item.label }))) return;
+        run(async () => {
+            await deleteVaultSignature(item.id);
+            setItems(prev => prev.filter(i => i.id !== item.id));
+        });
+    };
+
+    if (!open) {
+        return (
+            <button
+                onClick={openVault}
+                className="mt-3 text-xs text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors flex items-center gap-1"
+            >
+                <span>🔒</span>
+                {t('vault.open')}
+            </button>
+        );
+    }
+
+    return (
+        <div className="mt-4 p-3 rounded-xl border border-amber-100 dark:border-amber-900/40 bg-amber-50/50 dark:bg-amber-900/10 space-y-3 animate-fade-in">
+            <div className="flex items-center justify-between gap-2">
+                <span className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide">🔒 {t('vault.title')}</span>
+                <div className="flex items-center gap-3">
+                    {key && (
+                        <button onClick={lock} className="text-xs text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors">
+                            {t('vault.lock')}
+                        </button>
+                    )}
+                    <button
+                        onClick={() => { lock(); setOpen(false); }}
+                        className="text-xs text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
+                    >
+                        {t('vault.close')}
+                    </button>
+                </div>
+            </div>
+
+            {exists === false && (
+                <form onSubmit={handleCreate} className="space-y-2">
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{t('vault.setupHint')}</p>
+                    <input
+                        type="password"
+                        autoComplete="new-password"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        placeholder={t('vault.passphrase')}
+                        className={inputClass}
+                    />
+                    <input
+                        type="password"
+                        autoComplete="new-password"
+                        value={repeat}
+                        onChange={(e) => setRepeat(e.target.value)}
+                        placeholder={t('vault.repeatPassphrase')}
+                        className={inputClass}
+                    />
+                    <button type="submit" disabled={busy} className={primaryClass}>
+                        {busy ? t('vault.working') : t('vault.create')}
+                    </button>
+                </form>
+            )}
+
+            {exists && !key && (
+                <form onSubmit={handleUnlock} className="space-y-2">
+                    <input
+                        type="password"
+                        autoComplete="current-password"
+                        value={passphrase}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        placeholder={t('vault.passphrase')}
+                        className={inputClass}
+                    />
+                    <button type="submit" disabled={busy || !passphrase} className={primaryClass}>
+                        {busy ? t('vault.working') : t('vault.unlock')}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleReset}
+                        className="block text-[11px] text-gray-400 hover:text-red-500 transition-colors"
+                    >
+                        {t('vault.forgot')}
+                    </button>
+                </form>
+            )}
+
+            {key && (
+                <div className="space-y-3">
+                    {items.length ? (
+                        <div className="grid grid-cols-2 gap-2">
+                            {items.map(item => (
+                                <div key={item.id} className="relative group">
+                                    <button
+                                        onClick={() => onUse({ dataUrl: item.dataUrl, strokes: item.strokes })}
+                                        title={t('vault.use')}
+                                        className="w-full h-20 p-2 border-2 border-gray-100 dark:border-gray-600 bg-white dark:bg-gray-700 rounded-xl hover:border-amber-300 dark:hover:border-amber-500 active:scale-[0.98] transition-all flex flex-col items-center justify-center gap-1"
+                                    >
+                                        <img src={item.dataUrl} alt={item.label} className="h-10 w-full object-contain" />
+                                        <span className="text-[10px] text-gray-400 dark:text-gray-500 truncate max-w-full">{item.label}</span>
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(item)}
+                                        title={t('vault.delete')}
+                                        aria-label={t('vault.delete')}
+                                        className="absolute top-1 right-1 w-5 h-5 rounded-full bg-white/90 dark:bg-gray-800/90 text-gray-400 hover:text-red-500 text-xs leading-none shadow-sm"
+                                    >
+                                        ×
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    ) : (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{t('vault.empty')}</p>
+                    )}
+
+                    {signature && (
+                        <div className="flex gap-2">
+                            <input
+                                type="text"
+                                value={label}
+                                onChange={(e) => setLabel(e.target.value)}
+                                placeholder={t('vault.labelPlaceholder')}
+                                className={inputClass}
+                            />
+                            <button
+                                onClick={handleSave}
+                                disabled={busy}
+                                className="shrink-0 px-3 py-2 rounded-xl text-sm font-medium bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300 hover:bg-amber-200 dark:hover:bg-amber-900/60 transition-all active:scale-95 disabled:opacity-50"
+                            >
+                                {t('vault.save')}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {error && <p className="text-xs text-red-500 dark:text-red-400">{t(error, { min: MIN_PASSPHRASE_LENGTH })}</p>}
+        </div>
+    );
+}
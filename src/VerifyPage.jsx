@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { documentTypes, getDocumentType, extraFieldValues, DEFAULT_DOCUMENT_TYPE } from './documentTypes';
+import { emptyAbsence } from './absences';
+import { canonicalData, checkVerification, normalizeCode, parseVerificationParams } from './verification';
+import { useLocale } from './i18n/LocaleProvider';
+
+const inputClass = 'w-full px-4 py-2.5 border border-gray-200 dark:border-gray-600 rounded-xl focus:ring-2 focus:ring-amber-200 dark:focus:ring-amber-800 focus:border-amber-400 dark:focus:border-amber-500 outline-none transition-all bg-white dark:bg-gray-700 dark:text-gray-100 dark:placeholder-gray-500';
+const labelClass = 'block text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1.5';
+
+// Form fields from the canonical data carried by the QR code
+function fieldsFromData(data) {
+    if (!data) return null;
+    return {
+        documentType: getDocumentType(data.t).id,
+        kindergartenName: data.i || '',
+        childName: data.c || '',
+        groupName: data.g || '',
+        absences: Array.isArray(data.a) && data.a.length ? data.a.map(([from, to]) => ({ from, to })) : [emptyAbsence()],
+        signatureDate: data.s || '',
+        extraFields: data.x || {},
+    };
+}
+
+/**
+ * Offline check of a printed document. Opened via #/verify; the QR code on
+ * the PDF adds the code, the signature ID and the data as query parameters.
+ * The code is recomputed from what is typed here (see verification.js).
+ *
+ * Props:
+ *  - params — URLSearchParams of the #/verify query
+ */
+export default function VerifyPage({ params }) {
+    const { t } = useLocale();
+    const [initial] = useState(() => parseVerificationParams(params));
+    const [fields, setFields] = useState(() => fieldsFromData(initial.data) || {
+        documentType: DEFAULT_DOCUMENT_TYPE,
+        kindergartenName: '', childName: '', groupName: '',
+        absences: [emptyAbsence()],
+        signatureDate: '',
+        extraFields: {},
+    });
+    const [code, setCode] = useState(initial.code);
+    const [sigId, setSigId] = useState(initial.sigId);
+    const [result, setResult] = useState(null);
+
+    useEffect(() => {
+        document.documentElement.classList.toggle('dark', localStorage.getItem('ovikreta_dark') === 'true');
+    }, []);
+
+    const docType = getDocumentType(fields.documentType);
+
+    const update = (patch) => {
+        setFields(prev => ({ ...prev, ...patch }));
+        setResult(null);
+    };
+
+    const updateAbsence = (index, key, value) => {
+        update({ absences: fields.absences.map((a, i) => (i === index ? { ...a, [key]: value } : a)) });
+    };
+
+    const handleCheck = async (e) => {
+        e.preventDefault();
+        try {
+            const data = canonicalData(docType, { ...fields, extraFields: extraFieldValues(docType, fields.extraFields) });
+            setResult(await checkVerification(data, sigId, code) ? 'valid' : 'invalid');
+        } catch (err) {
+            console.error('Verification failed:', err);
+            setResult('unavailable');
+        }
+    };
+
+    return (
+        <div className="min-h-[100dvh] bg-gradient-to-br from-amber-50 via-orange-50 to-yellow-50 dark:from-gray-900 dark:via-gray-900 dark:to-gray-950 p-4 md:p-8 transition-colors duration-300">
+            <div className="max-w-xl mx-auto" style={{ paddingTop: 'env(safe-area-inset-top)' }}>
+                {/* Header */}
+                <div className="flex items-center justify-between mb-6 md:mb-8">
+                    <a
+                        href="#/"
+                        className="text-sm text-gray-500 dark:text-gray-400 hover:text-amber-600 dark:hover:text-amber-400 transition-colors"
+                    >
+                        {t('history.back')}
+                    </a>
+                    <div className="inline-flex items-center gap-2 bg-white/80 dark:bg-gray-800/80 backdrop-blur px-5 py-2.5 rounded-full shadow-sm">
+                        <span className="text-xl">🔎</span>
+                        <h1 className="text-lg font-semibold text-gray-800 dark:text-gray-100">{t('verify.title')}</h1>
+                    </div>
+                </div>
+
+                <form onSubmit={handleCheck} className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-5 md:p-8 space-y-4 transition-colors">
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        {t(initial.data ? 'verify.fromQr' : 'verify.intro')}
+                    </p>
+
+                    <div>
+                        <label className={labelClass}>{t('verify.documentType')}</label>
+                        <select value={fields.documentType} onChange={(e) => update({ documentType: e.target.value })} className={inputClass}>
+                            {Object.values(documentTypes).map(type => (
+                                <option key={type.id} value={type.id}>{type.icon} {t(type.label)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div>
+                        <label className={labelClass}>{t(docType.institutionLabel)}</label>
+                        <input type="text" value={fields.kindergartenName} onChange={(e) => update({ kindergartenName: e.target.value })} className={inputClass} />
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-3">
+                        <div className="col-span-2">
+                            <label className={labelClass}>{t('form.childName')}</label>
+                            <input type="text" value={fields.childName} onChange={(e) => update({ childName: e.target.value })} className={inputClass} />
+                        </div>
+                        <div>
+                            <label className={labelClass}>{t(docType.groupLabel)}</label>
+                            <input type="text" value={fields.groupName} onChange={(e) => update({ groupName: e.target.value })} className={inputClass} />
+                        </div>
+                    </div>
+
+                    {docType.usesAbsences && (
+                        <div>
+                            <label className={labelClass}>{t(docType.absencesLabel)}</label>
+                            <div className="space-y-2">
+                                {fields.absences.map((absence, idx) => (
+                                    <div key={idx} className="flex items-center gap-2">
+                                        <input type="date" value={absence.from} onChange={(e) => updateAbsence(idx, 'from', e.target.value)} className={inputClass} />
+                                        <span className="text-gray-400">–</span>
+                                        <input type="date" value={absence.to} onChange={(e) => updateAbsence(idx, 'to', e.target.value)} className={inputClass} />
+                                        {fields.absences.length > 1 && (
+                                            <button
+                                                type="button"
+                                                onClick={() => update({ absences: fields.absences.filter((_, i) => i !== idx) })}
+                                                aria-label={t('form.removePeriod', { n: idx + 1 })}
+                                                className="text-gray-400 hover:text-red-500 transition-colors px-1"
+                                            >
+                                                ×
+                                            </button>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                            <button
+                                type="button"
+                                onClick={() => update({ absences: [...fields.absences, emptyAbsence()] })}
+                                className="mt-2 text-xs text-amber-600 dark:text-amber-400 hover:underline"
+                            >
+                                {t('form.addPeriod')}
+                            </button>
+                        </div>
+                    )}
+
+                    {docType.extraFields.map(field => (
+                        <div key={field.key}>
+                            <label className={labelClass}>{t(field.label)}</label>
+                            {field.options ? (
+                                <select
+                                    value={extraFieldValues(docType, fields.extraFields)[field.key]}
+                                    onChange={(e) => update({ extraFields: { ...fields.extraFields, [field.key]: e.target.value } })}
+                                    className={inputClass}
+                                >
+                                    {field.options.map(option => <option key={option.value} value={option.value}>{t(option.label)}</option>)}
+                                </select>
+                            ) : (
+                                <input
+                                    type="text"
+                                    value={fields.extraFields[field.key] || ''}
+                                    onChange={(e) => update({ extraFields: { ...fields.extraFields, [field.key]: e.target.value } })}
+                                    placeholder={field.placeholder ? t(field.placeholder) : ''}
+                                    className={inputClass}
+                                />
+                            )}
+                        </div>
+                    ))}
+
+                    <div>
+                        <label className={labelClass}>{t('form.signatureDate')}</label>
+                        <input type="date" value={fields.signatureDate} onChange={(e) => update({ signatureDate: e.target.value })} className={inputClass} />
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3 pt-2 border-t border-gray-100 dark:border-gray-700">
+                        <div>
+                            <label className={labelClass}>{t('verify.signatureId')}</label>
+                            <input
+                                type="text"
+                                value={sigId}
+                                onChange={(e) => { setSigId(e.target.value); setResult(null); }}
+                                onBlur={() => setSigId(normalizeCode(sigId))}
+                                placeholder="XXXX-XXXX"
+                                className={`${inputClass} font-mono uppercase`}
+                            />
+                        </div>
+                        <div>
+                            <label className={labelClass}>{t('verify.code')}</label>
+                            <input
+                                type="text"
+                                value={code}
+                                onChange={(e) => { setCode(e.target.value); setResult(null); }}
+                                onBlur={() => setCode(normalizeCode(code))}
+                                placeholder="XXXX-XXXX-XXXX"
+                                className={`${inputClass} font-mono uppercase`}
+                            />
+                        </div>
+                    </div>
+
+                    <button
+                        type="submit"
+                        disabled={!code || !sigId}
+                        className="w-full py-3 rounded-xl font-medium bg-gradient-to-r from-amber-500 to-orange-500 text-white shadow-lg hover:shadow-xl active:scale-[0.98] transition-all disabled:opacity-50 disabled:shadow-none"
+                    >
+                        {t('verify.check')}
+                    </button>
+
+                    {result && (
+                        <div className={`p-4 rounded-xl text-sm font-medium animate-fade-in ${result === 'valid'
+                            ? 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400 border border-green-200 dark:border-green-700'
+                            : 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 border border-red-200 dark:border-red-800'
+                            }`}>
+                            {t(`verify.${result}`)}
+                        </div>
+                    )}
+                </form>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,67 @@
+// --- Absence periods ---
+//
+// A certificate covers one or more { from, to } ranges (ISO date strings).
+// Older session/history data stored a single fromDate/toDate pair.
+
+export function emptyAbsence() {
+    return { from: '', to: '' };
+}
+
+/** Reads the range list from saved form data, upgrading the old single-range shape. */
+export function normalizeAbsences(data = {}) {
+    if (Array.isArray(data.absences) && data.absences.length) {
+        return data.absences.map(a => ({ from: a.from || '', to: a.to || '' }));
+    }
+    if (data.fromDate || data.toDate) {
+        return [{ from: data.fromDate || '', to: data.toDate || '' }];
+    }
+    return [emptyAbsence()];
+}
+
+export function isAbsenceComplete(absence) {
+    return !!(absence.from && absence.to);
+}
+
+/** Today's date as an ISO string in local time. */
+export function todayIso() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+export function crossesYear(absence) {
+    return !!(absence.from && absence.to && absence.from.slice(0, 4) !== absence.to.slice(0, 4));
+}
+
+/**
+ * Consistency checks on filled-in dates (empty fields are reported by the
+ * completeness check instead). `inAdvance` is for requests written before the
+ * absence: future ranges are allowed and the signature must precede them.
+ * Errors are message keys (see i18n/).
+ * @returns {{ absences: { from?: string, to?: string }[], signatureDate?: string, hasErrors: boolean }}
+ */
+export function validateDates(absences, signatureDate, { inAdvance = false, today = todayIso() } = {}) {
+    const result = { absences: absences.map(() => ({})), hasErrors: false };
+
+    absences.forEach((a, i) => {
+        const errors = result.absences[i];
+        if (!inAdvance && a.from && a.from > today) errors.from = 'validation.futureAbsence';
+        if (!inAdvance && a.to && a.to > today) errors.to = 'validation.futureAbsence';
+        else if (a.from && a.to && a.to < a.from) errors.to = 'validation.endBeforeStart';
+    });
+
+    if (inAdvance) {
+        const firstDay = absences.reduce((min, a) => (a.from && (!min || a.from < min) ? a.from : min), '');
+        if (signatureDate && firstDay && signatureDate > firstDay) {
+            result.signatureDate = 'validation.signBeforeLeave';
+        }
+    } else {
+        const lastDay = absences.reduce((max, a) => (a.to && a.to > max ? a.to : max), '');
+        if (signatureDate && lastDay && signatureDate < lastDay) {
+            result.signatureDate = 'validation.signAfterAbsence';
+        }
+    }
+
+    result.hasErrors = !!result.signatureDate || result.absences.some(e => e.from || e.to);
+    return result;
+}
@@ -0,0 +1,80 @@
+// --- Date formatting for the certificate text ---
+
+import { crossesYear } from './absences';
+
+const MONTHS = {
+    hu: ['január', 'február', 'március', 'április', 'május', 'június',
+        'július', 'augusztus', 'szeptember', 'október', 'november', 'december'],
+    en: ['January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'],
+    de: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+        'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+};
+
+export function formatDateParts(dateStr, locale = 'hu') {
+    if (!dateStr) return { month: '...............', day: '......' };
+    const date = new Date(dateStr);
+    return {
+        month: (MONTHS[locale] || MONTHS.hu)[date.getMonth()],
+        day: date.getDate().toString()
+    };
+}
+
+export function formatYear(dateStr) {
+    if (!dateStr) return '....';
+    return new Date(dateStr).getFullYear().toString();
+}
+
+// --- Dates as they are written on the document ---
+//
+// Each layout lists literal text and the blanks (year/month/day) in the word
+// order of the language. The PDF templates turn blanks into dotted fields and
+// the preview into underlined spans, so both always agree.
+
+const Y = { blank: 'year' };
+const M = { blank: 'month' };
+const D = { blank: 'day' };
+
+const layouts = {
+    hu: {
+        from: () => [Y, '. ', M, ' hó ', D, '. napjától –'],
+        to: (withYear, last) => [...(withYear ? [Y, '. '] : []), M, ' hó ', D, last ? '. napjáig.' : '. napjáig,'],
+        signed: () => [Y, '. ', M, ' ', D, '.'],
+    },
+    en: {
+        from: () => ['from ', D, ' ', M, ' ', Y, ' –'],
+        to: (withYear, last) => ['to ', D, ' ', M, ...(withYear ? [' ', Y] : []), last ? '.' : ','],
+        signed: () => [D, ' ', M, ' ', Y],
+    },
+    de: {
+        from: () => ['vom ', D, '. ', M, ' ', Y, ' –'],
+        to: (withYear, last) => ['bis ', D, '. ', M, ...(withYear ? [' ', Y] : []), last ? '.' : ','],
+        signed: () => [D, '. ', M, ' ', Y],
+    },
+};
+
+function fill(parts, dateStr, locale) {
+    const { month, day } = formatDateParts(dateStr, locale);
+    const values = { year: formatYear(dateStr), month, day };
+    return parts.map(part => (typeof part === 'string' ? { text: part } : { blank: part.blank, value: values[part.blank] }));
+}
+
+const layoutFor = locale => layouts[locale] || layouts.hu;
+
+/**
+ * The two lines of an absence range; the end year is written only when the
+ * range crosses into a new year.
+ * @returns {{ from: DatePart[], to: DatePart[] }} where DatePart is `{ text }` or `{ blank, value }`
+ */
+export function absenceDateParts(absence, locale, { last = true } = {}) {
+    const layout = layoutFor(locale);
+    return {
+        from: fill(layout.from(), absence.from, locale),
+        to: fill(layout.to(crossesYear(absence), last), absence.to, locale),
+    };
+}
+
+/** Signature date next to the place name. */
+export function signatureDateParts(dateStr, locale) {
+    return fill(layoutFor(locale).signed(), dateStr, locale);
+}
@@ -0,0 +1,140 @@
+// --- Document types the form can produce ---
+//
+// Every type shares the child/institution fields, the signature selection and
+// the signature-to-image pipeline; it adds its own extra fields, preview
+// component and PDF template.
+
+import parentalAbsenceTemplate from './pdf/templates/parentalAbsence';
+import schoolAbsenceTemplate from './pdf/templates/schoolAbsence';
+import leaveRequestTemplate from './pdf/templates/leaveRequest';
+import pickupAuthorizationTemplate from './pdf/templates/pickupAuthorization';
+import AbsenceCertificatePreview, { SchoolAbsencePreview } from './previews/AbsenceCertificatePreview';
+import LeaveRequestPreview from './previews/LeaveRequestPreview';
+import PickupAuthorizationPreview from './previews/PickupAuthorizationPreview';
+
+const institutionKindField = {
+    key: 'institutionKind',
+    label: 'fields.institutionKind',
+    options: [
+        { value: 'óvoda', label: 'fields.kindergarten' },
+        { value: 'iskola', label: 'fields.school' },
+    ],
+    defaultValue: 'óvoda',
+};
+
+export const DEFAULT_DOCUMENT_TYPE = 'kindergartenAbsence';
+
+/**
+ * Labels, placeholders and `dayUnit` are message keys (see i18n/); the UI
+ * translates them into the current UI language.
+ *
+ * Field flags:
+ *  - usesAbsences — the date-range list is part of the document
+ *  - allowFutureDates — ranges may lie in the future (requests made in advance)
+ *  - dayUnit — plural message for the working-day count, or null to hide it;
+ *    schoolDayUnit replaces it when the institution kind is a school (see dayUnitOf)
+ *  - tracksQuota — certified days count against the yearly parental quota
+ *  - extraFields — [{ key, label, placeholder, required, multiline, options, defaultValue, printedDefault }];
+ *    printedDefault is the message the document prints for an empty field
+ */
+export const documentTypes = {
+    kindergartenAbsence: {
+        id: 'kindergartenAbsence',
+        label: 'docTypes.kindergartenAbsence',
+        icon: '🧸',
+        institutionLabel: 'fields.kindergartenName',
+        institutionPlaceholder: 'fields.kindergartenPlaceholder',
+        groupLabel: 'fields.group',
+        groupPlaceholder: 'fields.groupPlaceholder',
+        usesAbsences: true,
+        absencesLabel: 'fields.absencePeriod',
+        allowFutureDates: false,
+        dayUnit: 'units.kindergartenDay',
+        tracksQuota: true,
+        extraFields: [],
+        template: parentalAbsenceTemplate,
+        Preview: AbsenceCertificatePreview,
+        filename: 'szuloi-igazolas.pdf',
+    },
+    schoolAbsence: {
+        id: 'schoolAbsence',
+        label: 'docTypes.schoolAbsence',
+        icon: '🎒',
+        institutionLabel: 'fields.schoolName',
+        institutionPlaceholder: 'fields.schoolPlaceholder',
+        groupLabel: 'fields.class',
+        groupPlaceholder: 'fields.classPlaceholder',
+        usesAbsences: true,
+        absencesLabel: 'fields.absencePeriod',
+        allowFutureDates: false,
+        dayUnit: null,
+        tracksQuota: false,
+        extraFields: [],
+        template: schoolAbsenceTemplate,
+        Preview: SchoolAbsencePreview,
+        filename: 'iskolai-igazolas.pdf',
+    },
+    leaveRequest: {
+        id: 'leaveRequest',
+        label: 'docTypes.leaveRequest',
+        icon: '🗓️',
+        institutionLabel: 'fields.institutionName',
+        institutionPlaceholder: 'fields.kindergartenPlaceholder',
+        groupLabel: 'fields.groupOrClass',
+        groupPlaceholder: 'fields.groupPlaceholder',
+        usesAbsences: true,
+        absencesLabel: 'fields.plannedPeriod',
+        allowFutureDates: true,
+        dayUnit: 'units.kindergartenDay',
+        schoolDayUnit: 'units.schoolDay',
+        tracksQuota: false,
+        extraFields: [
+            institutionKindField,
+            { key: 'reason', label: 'fields.reason', placeholder: 'fields.reasonPlaceholder', required: true, multiline: true },
+        ],
+        template: leaveRequestTemplate,
+        Preview: LeaveRequestPreview,
+        filename: 'tavolmaradasi-kerelem.pdf',
+    },
+    pickupAuthorization: {
+        id: 'pickupAuthorization',
+        label: 'docTypes.pickupAuthorization',
+        icon: '🤝',
+        institutionLabel: 'fields.institutionName',
+        institutionPlaceholder: 'fields.kindergartenPlaceholder',
+        groupLabel: 'fields.groupOrClass',
+        groupPlaceholder: 'fields.groupPlaceholder',
+        usesAbsences: false,
+        allowFutureDates: true,
+        dayUnit: null,
+        tracksQuota: false,
+        extraFields: [
+            institutionKindField,
+            { key: 'proxyName', label: 'fields.proxyName', placeholder: 'fields.proxyNamePlaceholder', required: true },
+            { key: 'proxyRelation', label: 'fields.proxyRelation', placeholder: 'fields.proxyRelationPlaceholder' },
+            { key: 'proxyIdNumber', label: 'fields.proxyIdNumber', placeholder: 'fields.proxyIdNumberPlaceholder', required: true },
+            { key: 'validity', label: 'fields.validity', placeholder: 'doc.pickup.untilRevoked', printedDefault: 'doc.pickup.untilRevoked' },
+        ],
+        template: pickupAuthorizationTemplate,
+        Preview: PickupAuthorizationPreview,
+        filename: 'meghatalmazas.pdf',
+    },
+};
+
+/** The day-count unit for a document of this type, given its extra field values. */
+export function dayUnitOf(type, values = {}) {
+    return type.schoolDayUnit && values.institutionKind === 'iskola' ? type.schoolDayUnit : type.dayUnit;
+}
+
+export function getDocumentType(id) {
+    return documentTypes[id] || documentTypes[DEFAULT_DOCUMENT_TYPE];
+}
+
+/** Extra-field values for a type, filled with defaults where missing. */
+export function extraFieldValues(type, values = {}) {
+    const result = {};
+    type.extraFields.forEach(field => {
+        result[field.key] = values[field.key] ?? field.defaultValue ?? '';
+    });
+    return result;
+}
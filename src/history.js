@@ -0,0 +1,77 @@
+// --- Certificate history (IndexedDB) ---
+//
+// Every generated PDF is archived locally together with the form data that
+// produced it, so it can be re-downloaded or used as a template later.
+
+const DB_NAME = 'ovikreta';
+const DB_VERSION = 1;
+const STORE = 'certificates';
+
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(STORE)) {
+                const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            dbPromise = null;
+            reject(req.error);
+        };
+    });
+    return dbPromise;
+}
+
+function request(mode, fn) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const req = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+/** Describes how the certificate was signed: 'gallery' | 'custom' | 'drawn' | 'photo'. */
+export function signatureMethodOf(selectedSignature) {
+    return typeof selectedSignature === 'number' ? 'gallery' : selectedSignature;
+}
+
+/**
+ * Stores a generated certificate.
+ * @param {{ form: object, signatureMethod: string, pdfBlob: Blob, filename: string }} entry
+ * @returns {Promise<number>} the new entry id
+ */
+export function addCertificate({ form, signatureMethod, pdfBlob, filename }) {
+    const record = { form, signatureMethod, pdfBlob, filename, createdAt: new Date().toISOString() };
+    return request('readwrite', store => store.add(record));
+}
+
+/** All certificates, newest first. */
+export async function listCertificates() {
+    const all = await request('readonly', store => store.getAll());
+    return all.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export function deleteCertificate(id) {
+    return request('readwrite', store => store.delete(id));
+}
+
+/** Triggers a browser download for a Blob. */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,30 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_LOCALE, createTranslator, loadUiLocale, saveUiLocale } from './index';
+
+const LocaleContext = createContext({
+    locale: DEFAULT_LOCALE,
+    setLocale: () => { },
+    t: createTranslator(DEFAULT_LOCALE),
+});
+
+/**
+ * Holds the UI language for the whole app and keeps it in localStorage and
+ * on <html lang>.
+ */
+export function LocaleProvider({ children }) {
+    const [locale, setLocale] = useState(loadUiLocale);
+
+    useEffect(() => {
+        saveUiLocale(locale);
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    const value = useMemo(() => ({ locale, setLocale, t: createTranslator(locale) }), [locale]);
+
+    return <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>;
+}
+
+/** `{ locale, setLocale, t }` for the current UI language. */
+export function useLocale() {
+    return useContext(LocaleContext);
+}
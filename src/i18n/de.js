@@ -0,0 +1,308 @@
+// --- German messages ---
+
+export default {
+    // App shell
+    'app.title': 'Elternbescheinigung erstellen',
+    'app.history': 'Frühere Bescheinigungen',
+    'app.open': 'Vorhandene Bescheinigung öffnen (PDF)',
+    'app.openNoData': 'Diese PDF enthält keine von dieser App gespeicherten Daten. Nur hier erstellte Bescheinigungen können geöffnet werden.',
+    'app.openError': 'Die Datei konnte nicht geöffnet werden.',
+    'app.darkMode': 'Dunkelmodus umschalten',
+    'app.language': 'Sprache',
+    'app.footer': 'Elternbescheinigungen schnell und einfach erstellen 📄',
+    'app.downloaded': 'PDF heruntergeladen!',
+    'common.retry': 'Erneut versuchen',
+    'common.close': 'Schließen',
+
+    // Form
+    'form.heading': 'Angaben ausfüllen',
+    'form.documentType': 'Dokumenttyp',
+    'form.documentLanguage': 'Sprache des Dokuments',
+    'form.childName': 'Name des Kindes',
+    'form.childNamePlaceholder': 'z. B. Peter Klein',
+    'form.required': '— Pflichtfeld',
+    'form.optional': '(optional)',
+    'form.period': 'Zeitraum {n}',
+    'form.removePeriod': 'Zeitraum {n} entfernen',
+    'form.remove': 'Entfernen',
+    'form.from': 'Von',
+    'form.to': 'Bis',
+    'form.addPeriod': '+ Weiterer Zeitraum',
+    'form.total': 'Insgesamt',
+    'form.printDayCount': 'Anzahl der Tage auf dem Dokument angeben',
+    'form.signatureDate': 'Datum der Unterschrift',
+    'form.signatureHeading': 'Unterschrift wählen',
+    'form.pickOne': '— bitte auswählen',
+    'form.typed': 'Getippt',
+    'form.drawn': 'Von Hand',
+    'form.drawnAlt': 'Handgezeichnete Unterschrift',
+    'form.photo': 'Foto',
+    'form.photoAlt': 'Vom Papier fotografierte Unterschrift',
+    'form.typeYourName': 'Namen eingeben...',
+    'form.chooseStyle': 'Stil wählen',
+    'form.signWithFinger': 'Unterschreiben Sie mit dem Finger im Feld unten:',
+    'form.signWithMouse': 'Unterschreiben Sie mit der Maus im Feld unten:',
+    'form.signatureCaptured': 'Unterschrift erfasst ✓',
+    'form.redo': 'Neu',
+    'form.backToOptions': '← Zurück zur Auswahl',
+    'form.mouseSignature': 'Mit der Maus unterschreiben',
+    'form.phoneSignature': 'Am Handy unterschreiben',
+    'form.phonePaired': 'Handy verbunden – heruntergeladene PDFs werden auch dorthin gesendet.',
+    'form.phoneSent': 'Das PDF wurde auch an Ihr Handy gesendet.',
+    'form.phoneDisconnect': 'Trennen',
+    'form.phoneEdit': '📱 Am Handy ausfüllen',
+    'form.phoneEditing': 'Handy verbunden – Änderungen erscheinen sofort an beiden Stellen.',
+    'form.phoneReconnecting': 'Die Verbindung zum Handy wurde unterbrochen – warten auf die erneute Verbindung...',
+    'form.phoneExpired': 'Die Handy-Kopplung ist abgelaufen.',
+    'form.phoneIncompatible': 'Auf dem Handy läuft eine andere Version der App. Laden Sie die Seite auf beiden Geräten neu und fordern Sie einen neuen QR-Code an.',
+    'form.generating': 'Wird erstellt...',
+    'form.download': 'PDF herunterladen',
+    'form.downloadArchival': 'Archivversion (PDF/A-2b)',
+    'form.downloadArchivalHint': 'Für die Langzeitarchivierung: Schriften und Farbprofil eingebettet, ohne Transparenz',
+    'form.fixDates': 'Bitte korrigieren Sie die ungültigen Daten',
+    'form.fillAll': 'Bitte füllen Sie alle Felder aus und wählen Sie eine Unterschrift',
+    'form.preview': 'Vorschau',
+    'form.pdfError': 'Beim Erstellen des PDFs ist ein Fehler aufgetreten. Bitte versuchen Sie es erneut.',
+    'form.quotaConfirm': 'Damit würden Sie das Kontingent von {limit} Tagen für Elternbescheinigungen im Kindergartenjahr {years} überschreiten. '
+        + 'Für die übrigen Tage ist ein ärztliches Attest nötig. Dokument trotzdem erstellen?',
+
+    // Date validation (absences.js)
+    'validation.futureAbsence': 'Eine zukünftige Abwesenheit kann nicht bescheinigt werden.',
+    'validation.endBeforeStart': 'Das Enddatum darf nicht vor dem Anfangsdatum liegen.',
+    'validation.signBeforeLeave': 'Der Antrag muss vor Beginn der Abwesenheit unterschrieben werden.',
+    'validation.signAfterAbsence': 'Das Datum der Unterschrift darf nicht vor dem Ende der Abwesenheit liegen.',
+
+    // Document types and their fields (documentTypes.js)
+    'docTypes.kindergartenAbsence': 'Kindergarten-Entschuldigung',
+    'docTypes.schoolAbsence': 'Schul-Entschuldigung',
+    'docTypes.leaveRequest': 'Antrag auf Beurlaubung',
+    'docTypes.pickupAuthorization': 'Abholvollmacht',
+    'fields.kindergartenName': 'Name des Kindergartens',
+    'fields.kindergartenPlaceholder': 'z. B. Kindergarten Sonnenblume',
+    'fields.schoolName': 'Name der Schule',
+    'fields.schoolPlaceholder': 'z. B. Hunyadi-János-Grundschule',
+    'fields.institutionName': 'Name der Einrichtung',
+    'fields.group': 'Gruppe',
+    'fields.groupPlaceholder': 'z. B. Marienkäfergruppe',
+    'fields.class': 'Klasse',
+    'fields.classPlaceholder': 'z. B. 2b',
+    'fields.groupOrClass': 'Gruppe / Klasse',
+    'fields.absencePeriod': 'Zeitraum der Abwesenheit',
+    'fields.plannedPeriod': 'Geplanter Zeitraum der Abwesenheit',
+    'fields.institutionKind': 'Art der Einrichtung',
+    'fields.kindergarten': 'Kindergarten',
+    'fields.school': 'Schule',
+    'fields.reason': 'Grund der Abwesenheit',
+    'fields.reasonPlaceholder': 'z. B. Familienreise',
+    'fields.proxyName': 'Bevollmächtigte Person',
+    'fields.proxyNamePlaceholder': 'z. B. Maria Groß',
+    'fields.proxyRelation': 'Verwandtschaftsverhältnis',
+    'fields.proxyRelationPlaceholder': 'z. B. Großmutter',
+    'fields.proxyIdNumber': 'Personalausweisnummer',
+    'fields.proxyIdNumberPlaceholder': 'z. B. 123456AB',
+    'fields.validity': 'Gültigkeit',
+    'units.kindergartenDay': { one: 'Kindergartentag', other: 'Kindergartentage' },
+    'units.schoolDay': { one: 'Schultag', other: 'Schultage' },
+
+    // Profiles
+    'profiles.heading': 'Kinder',
+    'profiles.delete': 'Profil löschen',
+    'profiles.confirmDelete': 'Profil von {name} wirklich löschen?',
+    'profiles.confirmDeleteUnnamed': 'Dieses Profil wirklich löschen?',
+    'profiles.unnamed': 'Ohne Namen',
+    'profiles.saveAsNew': '+ Als neues Kind speichern',
+    'profiles.saveChanges': 'Änderungen speichern',
+
+    // Quota
+    'quota.usage': 'Kindergartenjahr: {used} / {limit} Tage bescheinigt',
+    'quota.adding': 'jetzt +{count}',
+    'quota.remaining': 'noch {count}',
+    'quota.usedUp': 'aufgebraucht',
+    'quota.exceeded': 'Diese Bescheinigung überschreitet das Elternkontingent — für die übrigen Tage ist ein ärztliches Attest nötig.',
+    'quota.limitLabel': 'Jahreskontingent:',
+    'quota.days': 'Tage',
+    'quota.limitButton': 'Jahreskontingent: {limit} Tage (ändern)',
+
+    // History
+    'history.back': '← Zurück zum Formular',
+    'history.search': 'Nach Name, Kindergarten oder Datum suchen...',
+    'history.loadError': 'Die früheren Bescheinigungen konnten nicht geladen werden.',
+    'history.confirmDelete': 'Diese Bescheinigung wirklich aus dem Verlauf löschen?',
+    'history.deleteError': 'Die Bescheinigung konnte nicht gelöscht werden.',
+    'history.empty': 'Noch keine gespeicherten Bescheinigungen.',
+    'history.noMatch': 'Keine passenden Bescheinigungen gefunden.',
+    'history.created': 'Erstellt: {date}',
+    'history.download': 'Herunterladen',
+    'history.duplicate': 'Mit neuem Datum kopieren',
+    'history.delete': 'Löschen',
+    'signatureMethods.gallery': 'Musterunterschrift',
+    'signatureMethods.custom': 'Getippt',
+    'signatureMethods.drawn': 'Handgezeichnet',
+    'signatureMethods.photo': 'Fotografiert',
+
+    // Signature options and pad
+    'signatures.sample': 'Unterschrift {n}',
+    'fonts.dashing': 'Schwungvoll',
+    'fonts.classic': 'Klassisch',
+    'fonts.quick': 'Schnell',
+    'fonts.handwritten': 'Handschriftlich',
+    'fonts.elegant': 'Elegant',
+    'signaturePad.hintCompact': 'Hier unterschreiben',
+    'signaturePad.hint': 'Mit Finger oder Maus unterschreiben',
+    'signaturePad.clear': 'Löschen',
+    'signaturePad.undo': 'Rückgängig (Strg+Z)',
+    'signaturePad.redo': 'Wiederholen (Strg+Umschalt+Z)',
+    'signaturePad.eraser': 'Radierer – entfernt berührte Striche',
+
+    // Signature vault
+    'vault.open': 'Unterschrift im Tresor speichern / laden',
+    'vault.title': 'Unterschriften-Tresor',
+    'vault.lock': 'Sperren',
+    'vault.close': 'Schließen',
+    'vault.setupHint': 'Der Tresor speichert Ihre gezeichneten Unterschriften in diesem Browser, verschlüsselt mit einer Passphrase. Die Passphrase wird nicht gespeichert; ohne sie lässt sich der Tresor nicht öffnen.',
+    'vault.passphrase': 'Passphrase',
+    'vault.repeatPassphrase': 'Passphrase wiederholen',
+    'vault.create': 'Tresor anlegen',
+    'vault.unlock': 'Entsperren',
+    'vault.working': 'Einen Moment...',
+    'vault.forgot': 'Passphrase vergessen? Tresor löschen',
+    'vault.confirmReset': 'Den Tresor und alle Unterschriften darin wirklich löschen?',
+    'vault.empty': 'Noch keine Unterschrift gespeichert. Zeichnen Sie eine und speichern Sie sie hier.',
+    'vault.use': 'Diese Unterschrift verwenden',
+    'vault.delete': 'Unterschrift löschen',
+    'vault.confirmDelete': 'Die Unterschrift „{label}“ aus dem Tresor löschen?',
+    'vault.labelPlaceholder': 'Bezeichnung (optional)',
+    'vault.save': 'Im Tresor speichern',
+    'vault.defaultLabel': 'Unterschrift {n}',
+    'vault.tooShort': 'Die Passphrase muss mindestens {min} Zeichen lang sein.',
+    'vault.mismatch': 'Die Passphrasen stimmen nicht überein.',
+    'vault.wrongPassphrase': 'Falsche Passphrase.',
+    'vault.error': 'Der Tresor ist in diesem Browser nicht verfügbar.',
+
+    // Photographed signature
+    'photo.hint': 'Unterschreiben Sie auf weißem Papier und fotografieren Sie es aus der Nähe bei gutem Licht – der Hintergrund wird automatisch entfernt.',
+    'photo.takePhoto': 'Foto aufnehmen',
+    'photo.upload': 'Bild hochladen',
+    'photo.processing': 'Bild wird verarbeitet...',
+    'photo.replace': 'Neues Bild',
+    'photo.sensitivity': 'Tintenmenge',
+    'photo.noInk': 'Keine Unterschrift im Bild gefunden. Versuchen Sie einen helleren Hintergrund und eine nähere Aufnahme.',
+    'photo.loadError': 'Das Bild konnte nicht geöffnet werden.',
+
+    // QR signing (desktop modal)
+    'qr.title': 'Am Handy unterschreiben',
+    'qr.scan': 'Scannen Sie den QR-Code mit Ihrem Handy',
+    'qr.connecting': 'Verbinden...',
+    'qr.waiting': 'Warten auf die Unterschrift...',
+    'qr.editTitle': 'Am Handy ausfüllen',
+    'qr.editWaiting': 'Warten auf das Handy...',
+    'qr.reconnecting': 'Das Handy hat die Verbindung verloren – warten auf die erneute Verbindung...',
+    'qr.expiresIn': 'Der QR-Code ist noch {time} gültig',
+    'qr.expired': 'Der QR-Code ist abgelaufen.',
+    'qr.incompatible': 'Auf dem Handy läuft eine andere Version der App. Laden Sie die Seite auf beiden Geräten neu und fordern Sie einen neuen QR-Code an.',
+    'qr.insecure': 'Für die Unterschrift auf dem Handy muss die App über https geöffnet werden. Bitten Sie den Betreiber, HTTPS einzurichten.',
+    'qr.newCode': 'Neuer QR-Code',
+    'qr.connected': 'Handy verbunden!',
+    'qr.signOnPhone': 'Unterschreiben Sie auf Ihrem Handy...',
+    'qr.received': 'Unterschrift empfangen! ✨',
+    'qr.error': 'Verbindungsfehler. Bitte versuchen Sie es erneut.',
+    'qr.rejected': {
+        one: 'Ein unbekannter Verbindungsversuch, der nicht von diesem QR-Code stammt, wurde abgelehnt.',
+        other: '{count} unbekannte Verbindungsversuche, die nicht von diesem QR-Code stammen, wurden abgelehnt.',
+    },
+
+    // QR signing (phone page)
+    'mobile.title': 'OviKréta Unterschrift',
+    'mobile.connecting': 'Verbinden...',
+    'mobile.reconnecting': 'Verbindung unterbrochen – neue Verbindung wird aufgebaut...',
+    'mobile.instructions': 'Unterschreiben Sie mit dem Finger im Feld unten',
+    'mobile.editInstructions': 'Ihre Änderungen erscheinen sofort auch am Computer',
+    'mobile.tabEdit': 'Angaben',
+    'mobile.tabSign': 'Unterschrift',
+    'mobile.waitingFields': 'Warten auf die Formulardaten...',
+    'mobile.toSigning': 'Weiter zur Unterschrift',
+    'mobile.reviewTitle': 'Sie unterschreiben diese Bescheinigung',
+    'mobile.waitingDocument': 'Warten auf die Angaben der Bescheinigung...',
+    'mobile.confirm': 'Ich habe die Angaben geprüft und bestätige, dass ich diese Bescheinigung unterschreibe.',
+    'mobile.confirmFirst': 'Bestätigen Sie vor dem Senden die Angaben der Bescheinigung.',
+    'mobile.sending': 'Wird gesendet...',
+    'mobile.sendFailed': 'Der Computer hat die Unterschrift nicht bestätigt. Bitte senden Sie sie erneut.',
+    'mobile.done': 'Fertig, unterschrieben!',
+    'mobile.sent': 'Unterschrift gesendet! 🎉',
+    'mobile.sentDetail': 'Die Unterschrift erscheint jetzt auf Ihrem Computer.',
+    'mobile.closeWindow': 'Sie können dieses Fenster schließen.',
+    'mobile.errorTitle': 'Verbindungsfehler',
+    'mobile.errorDetail': 'Verbindung fehlgeschlagen. Bitte scannen Sie den QR-Code erneut.',
+    'mobile.rejectedTitle': 'Kopplung fehlgeschlagen',
+    'mobile.rejectedDetail': 'Der Computer hat diese Verbindung nicht angenommen. Bitte scannen Sie den aktuell angezeigten QR-Code erneut.',
+    'mobile.incompatibleTitle': 'Unterschiedliche Versionen',
+    'mobile.incompatibleDetail': 'Diese Seite und die App auf dem Computer haben unterschiedliche Versionen. Laden Sie die Seite auf beiden Geräten neu und scannen Sie den QR-Code erneut.',
+    'mobile.insecureTitle': 'Sichere Verbindung erforderlich',
+    'mobile.insecureDetail': 'Diese Seite wurde nicht über https geöffnet, daher erlaubt der Browser die verschlüsselte Kopplung nicht. Die App muss unter einer https-Adresse bereitgestellt werden.',
+    'mobile.reload': 'Seite neu laden',
+    'mobile.waitingPdf': 'Wenn Sie die Bescheinigung am Computer herunterladen, kommt das PDF auch hier an.',
+    'mobile.pdfReady': 'Das PDF ist angekommen',
+    'mobile.download': 'Herunterladen',
+    'mobile.share': 'Teilen',
+    'mobile.shareError': 'Teilen fehlgeschlagen.',
+
+    // QR signing (transport in use)
+    'transport.webrtc': 'Direktverbindung (WebRTC)',
+    'transport.relay': 'Verbindung über den Server (Relay)',
+
+    'verify.title': 'Dokument prüfen',
+    'verify.intro': 'Geben Sie die Angaben auf dem Papier, die Unterschrifts-ID und den Prüfcode ein. Die Prüfung läuft in diesem Browser; es wird nichts übertragen.',
+    'verify.fromQr': 'Die Angaben stammen aus dem QR-Code. Vergleichen Sie sie mit dem Papier und prüfen Sie dann: Wurde am Dokument etwas geändert, stimmt der Code nicht.',
+    'verify.documentType': 'Dokumenttyp',
+    'verify.signatureId': 'Unterschrifts-ID',
+    'verify.code': 'Prüfcode',
+    'verify.check': 'Prüfen',
+    'verify.valid': '✓ Der Code stimmt: Angaben und Unterschrift entsprechen dem ausgestellten Dokument.',
+    'verify.invalid': '✗ Der Code stimmt nicht. Angaben, Unterschrift oder Code weichen vom ausgestellten Dokument ab.',
+    'verify.unavailable': 'Dieser Browser kann die Prüfung nicht durchführen.',
+
+    // Document text (PDF templates and previews)
+    'doc.parentalNote.title': 'ELTERLICHE ENTSCHULDIGUNG',
+    'doc.leaveRequest.title': 'ANTRAG AUF BEURLAUBUNG',
+    'doc.pickup.title': 'VOLLMACHT',
+    'doc.kindergartenName': 'Name des Kindergartens',
+    'doc.schoolName': 'Name der Schule',
+    'doc.institutionName': 'Name der Einrichtung',
+    'doc.childName': 'Name des Kindes',
+    'doc.certifyIntro': 'Hiermit bestätige ich als Elternteil (Erziehungsberechtigte/r), dass mein Kind',
+    'doc.absentFromKindergarten': {
+        one: 'im folgenden Zeitraum im Kindergarten gefehlt hat:',
+        other: 'in den folgenden Zeiträumen im Kindergarten gefehlt hat:',
+    },
+    'doc.absentFromSchool': {
+        one: 'im folgenden Zeitraum dem Unterricht ferngeblieben ist:',
+        other: 'in den folgenden Zeiträumen dem Unterricht ferngeblieben ist:',
+    },
+    'doc.dayTotal': '(insgesamt {days})',
+    'doc.leave.intro': 'Hiermit beantrage ich als Elternteil (Erziehungsberechtigte/r), dass mein Kind',
+    'doc.leave.fromKindergarten': {
+        one: 'im folgenden Zeitraum dem Kindergarten fernbleiben darf:',
+        other: 'in den folgenden Zeiträumen dem Kindergarten fernbleiben darf:',
+    },
+    'doc.leave.fromSchool': {
+        one: 'im folgenden Zeitraum der Schule fernbleiben darf:',
+        other: 'in den folgenden Zeiträumen der Schule fernbleiben darf:',
+    },
+    'doc.leave.reason': 'Grund der Abwesenheit:',
+    'doc.leave.reasonPlaceholder': 'Begründung',
+    'doc.leave.closing': 'Ich bitte um Genehmigung meines Antrags.',
+    'doc.pickup.intro': 'Hiermit bevollmächtige ich als Elternteil (Erziehungsberechtigte/r)',
+    'doc.pickup.proxyName': 'bevollmächtigte Person',
+    'doc.pickup.idNumber': 'Personalausweisnummer: ',
+    'doc.pickup.number': 'Nummer',
+    'doc.pickup.child': 'mein Kind',
+    'doc.pickup.fromKindergarten': 'an meiner Stelle vom Kindergarten abzuholen.',
+    'doc.pickup.fromSchool': 'an meiner Stelle von der Schule abzuholen.',
+    'doc.pickup.validity': 'Die Vollmacht gilt: ',
+    'doc.pickup.untilRevoked': 'bis auf Widerruf',
+    'doc.signatureCaption': 'Unterschrift Elternteil (Erziehungsberechtigte/r)',
+    'doc.verification.code': 'Prüfcode: {code}',
+    'doc.verification.signature': 'Unterschrifts-ID: {id}',
+    'doc.verification.where': 'Prüfen unter: {url}',
+    'doc.meta.author': 'Elternteil (Erziehungsberechtigte/r)',
+};
@@ -0,0 +1,308 @@
+// --- English messages ---
+
+export default {
+    // App shell
+    'app.title': 'Parental Note Generator',
+    'app.history': 'Previous certificates',
+    'app.open': 'Open an existing certificate (PDF)',
+    'app.openNoData': 'This PDF does not contain data saved by this app. Only certificates made here can be opened.',
+    'app.openError': 'Could not open the file.',
+    'app.darkMode': 'Toggle dark mode',
+    'app.language': 'Language',
+    'app.footer': 'Create your parental note quickly and easily 📄',
+    'app.downloaded': 'PDF downloaded!',
+    'common.retry': 'Try again',
+    'common.close': 'Close',
+
+    // Form
+    'form.heading': 'Fill in the details',
+    'form.documentType': 'Document type',
+    'form.documentLanguage': 'Document language',
+    'form.childName': "Child's name",
+    'form.childNamePlaceholder': 'e.g. Peter Smith',
+    'form.required': '— required',
+    'form.optional': '(optional)',
+    'form.period': 'Period {n}',
+    'form.removePeriod': 'Remove period {n}',
+    'form.remove': 'Remove',
+    'form.from': 'From',
+    'form.to': 'To',
+    'form.addPeriod': '+ Add period',
+    'form.total': 'Total:',
+    'form.printDayCount': 'Print the number of days on the document',
+    'form.signatureDate': 'Date of signature',
+    'form.signatureHeading': 'Choose a signature',
+    'form.pickOne': '— pick one',
+    'form.typed': 'Typed',
+    'form.drawn': 'By hand',
+    'form.drawnAlt': 'Hand-drawn signature',
+    'form.photo': 'Photo',
+    'form.photoAlt': 'Signature photographed from paper',
+    'form.typeYourName': 'Type your name...',
+    'form.chooseStyle': 'Choose a style',
+    'form.signWithFinger': 'Sign with your finger in the box below:',
+    'form.signWithMouse': 'Sign with your mouse in the box below:',
+    'form.signatureCaptured': 'Signature captured ✓',
+    'form.redo': 'Redo',
+    'form.backToOptions': '← Back to options',
+    'form.mouseSignature': 'Sign with mouse',
+    'form.phoneSignature': 'Sign on phone',
+    'form.phonePaired': 'Phone connected – downloaded PDFs are sent there too.',
+    'form.phoneSent': 'The PDF was also sent to your phone.',
+    'form.phoneDisconnect': 'Disconnect',
+    'form.phoneEdit': '📱 Fill in on phone',
+    'form.phoneEditing': 'Phone connected – changes appear in both places right away.',
+    'form.phoneReconnecting': 'Lost the connection to the phone – waiting for it to reconnect...',
+    'form.phoneExpired': 'The phone pairing has expired.',
+    'form.phoneIncompatible': 'The phone is running a different version of the app. Reload the page on both devices, then request a new QR code.',
+    'form.generating': 'Generating...',
+    'form.download': 'Download PDF',
+    'form.downloadArchival': 'Archival copy (PDF/A-2b)',
+    'form.downloadArchivalHint': 'For long-term archiving: fonts and colour profile embedded, no transparency',
+    'form.fixDates': 'Please fix the invalid dates',
+    'form.fillAll': 'Please fill in every field and choose a signature',
+    'form.preview': 'Preview',
+    'form.pdfError': 'Something went wrong while generating the PDF. Please try again.',
+    'form.quotaConfirm': 'This would exceed the {limit}-day parental note allowance of the {years} kindergarten year. '
+        + "Days above the allowance need a doctor's note. Create the document anyway?",
+
+    // Date validation (absences.js)
+    'validation.futureAbsence': 'A future absence cannot be certified.',
+    'validation.endBeforeStart': 'The end date cannot be before the start date.',
+    'validation.signBeforeLeave': 'The request must be signed before the absence starts.',
+    'validation.signAfterAbsence': 'The signature date cannot be before the end of the absence.',
+
+    // Document types and their fields (documentTypes.js)
+    'docTypes.kindergartenAbsence': 'Kindergarten note',
+    'docTypes.schoolAbsence': 'School note',
+    'docTypes.leaveRequest': 'Leave request',
+    'docTypes.pickupAuthorization': 'Pickup authorisation',
+    'fields.kindergartenName': 'Kindergarten name',
+    'fields.kindergartenPlaceholder': 'e.g. Sunflower Kindergarten',
+    'fields.schoolName': 'School name',
+    'fields.schoolPlaceholder': 'e.g. Hunyadi János Primary School',
+    'fields.institutionName': 'Institution name',
+    'fields.group': 'Group',
+    'fields.groupPlaceholder': 'e.g. Ladybird group',
+    'fields.class': 'Class',
+    'fields.classPlaceholder': 'e.g. 2B',
+    'fields.groupOrClass': 'Group / class',
+    'fields.absencePeriod': 'Absence period',
+    'fields.plannedPeriod': 'Planned absence period',
+    'fields.institutionKind': 'Institution type',
+    'fields.kindergarten': 'Kindergarten',
+    'fields.school': 'School',
+    'fields.reason': 'Reason for the absence',
+    'fields.reasonPlaceholder': 'e.g. family trip',
+    'fields.proxyName': 'Authorised person',
+    'fields.proxyNamePlaceholder': 'e.g. Mary Brown',
+    'fields.proxyRelation': 'Relationship',
+    'fields.proxyRelationPlaceholder': 'e.g. grandmother',
+    'fields.proxyIdNumber': 'ID card number',
+    'fields.proxyIdNumberPlaceholder': 'e.g. 123456AB',
+    'fields.validity': 'Valid',
+    'units.kindergartenDay': { one: 'kindergarten day', other: 'kindergarten days' },
+    'units.schoolDay': { one: 'school day', other: 'school days' },
+
+    // Profiles
+    'profiles.heading': 'Children',
+    'profiles.delete': 'Delete profile',
+    'profiles.confirmDelete': 'Delete the profile of {name}?',
+    'profiles.confirmDeleteUnnamed': 'Delete this profile?',
+    'profiles.unnamed': 'Unnamed',
+    'profiles.saveAsNew': '+ Save as new child',
+    'profiles.saveChanges': 'Save changes',
+
+    // Quota
+    'quota.usage': 'kindergarten year: {used} / {limit} days certified',
+    'quota.adding': 'now +{count}',
+    'quota.remaining': '{count} left',
+    'quota.usedUp': 'used up',
+    'quota.exceeded': "This note exceeds the parental allowance — the remaining days need a doctor's note.",
+    'quota.limitLabel': 'Yearly allowance:',
+    'quota.days': 'days',
+    'quota.limitButton': 'Yearly allowance: {limit} days (change)',
+
+    // History
+    'history.back': '← Back to the form',
+    'history.search': 'Search by name, kindergarten or date...',
+    'history.loadError': 'Could not load the previous certificates.',
+    'history.confirmDelete': 'Delete this certificate from the history?',
+    'history.deleteError': 'Could not delete the certificate.',
+    'history.empty': 'No saved certificates yet.',
+    'history.noMatch': 'No certificates match your search.',
+    'history.created': 'Created: {date}',
+    'history.download': 'Download',
+    'history.duplicate': 'Copy with new date',
+    'history.delete': 'Delete',
+    'signatureMethods.gallery': 'Sample signature',
+    'signatureMethods.custom': 'Typed',
+    'signatureMethods.drawn': 'Hand-drawn',
+    'signatureMethods.photo': 'Photographed',
+
+    // Signature options and pad
+    'signatures.sample': 'Signature {n}',
+    'fonts.dashing': 'Dashing',
+    'fonts.classic': 'Classic',
+    'fonts.quick': 'Quick',
+    'fonts.handwritten': 'Handwritten',
+    'fonts.elegant': 'Elegant',
+    'signaturePad.hintCompact': 'Sign here',
+    'signaturePad.hint': 'Sign with your finger or mouse',
+    'signaturePad.clear': 'Clear',
+    'signaturePad.undo': 'Undo (Ctrl+Z)',
+    'signaturePad.redo': 'Redo (Ctrl+Shift+Z)',
+    'signaturePad.eraser': 'Eraser – removes the strokes it touches',
+
+    // Signature vault
+    'vault.open': 'Save / load signature from the vault',
+    'vault.title': 'Signature vault',
+    'vault.lock': 'Lock',
+    'vault.close': 'Close',
+    'vault.setupHint': 'The vault keeps your drawn signatures in this browser, encrypted with a passphrase. The passphrase is not stored; if you forget it, the vault cannot be opened.',
+    'vault.passphrase': 'Passphrase',
+    'vault.repeatPassphrase': 'Repeat passphrase',
+    'vault.create': 'Create vault',
+    'vault.unlock': 'Unlock',
+    'vault.working': 'One moment...',
+    'vault.forgot': 'Forgot the passphrase? Delete the vault',
+    'vault.confirmReset': 'Delete the vault and every signature in it?',
+    'vault.empty': 'No saved signatures yet. Draw one, then save it here.',
+    'vault.use': 'Use this signature',
+    'vault.delete': 'Delete signature',
+    'vault.confirmDelete': 'Delete the signature “{label}” from the vault?',
+    'vault.labelPlaceholder': 'Name (optional)',
+    'vault.save': 'Save to vault',
+    'vault.defaultLabel': 'Signature {n}',
+    'vault.tooShort': 'The passphrase must be at least {min} characters long.',
+    'vault.mismatch': 'The passphrases do not match.',
+    'vault.wrongPassphrase': 'Wrong passphrase.',
+    'vault.error': 'The vault is not available in this browser.',
+
+    // Photographed signature
+    'photo.hint': 'Sign a sheet of white paper and take a close-up photo in good light – the background is removed automatically.',
+    'photo.takePhoto': 'Take a photo',
+    'photo.upload': 'Upload an image',
+    'photo.processing': 'Processing image...',
+    'photo.replace': 'New image',
+    'photo.sensitivity': 'Amount of ink',
+    'photo.noInk': 'No signature found in the image. Try a lighter background and a closer shot.',
+    'photo.loadError': 'The image could not be opened.',
+
+    // QR signing (desktop modal)
+    'qr.title': 'Sign on your phone',
+    'qr.scan': 'Scan the QR code with your phone',
+    'qr.connecting': 'Connecting...',
+    'qr.waiting': 'Waiting for the signature...',
+    'qr.editTitle': 'Fill in on your phone',
+    'qr.editWaiting': 'Waiting for the phone...',
+    'qr.reconnecting': 'The phone lost its connection – waiting for it to reconnect...',
+    'qr.expiresIn': 'The QR code expires in {time}',
+    'qr.expired': 'The QR code has expired.',
+    'qr.incompatible': 'The phone is running a different version of the app. Reload the page on both devices, then request a new QR code.',
+    'qr.insecure': 'Signing on a phone needs the app to be opened over https. Ask whoever runs it to set up HTTPS.',
+    'qr.newCode': 'New QR code',
+    'qr.connected': 'Phone connected!',
+    'qr.signOnPhone': 'Sign on your phone...',
+    'qr.received': 'Signature received! ✨',
+    'qr.error': 'Connection error. Please try again.',
+    'qr.rejected': {
+        one: 'Rejected an unknown connection attempt that did not come from this QR code.',
+        other: 'Rejected {count} unknown connection attempts that did not come from this QR code.',
+    },
+
+    // QR signing (phone page)
+    'mobile.title': 'OviKréta Signature',
+    'mobile.connecting': 'Connecting...',
+    'mobile.reconnecting': 'Connection lost – reconnecting...',
+    'mobile.instructions': 'Sign with your finger in the box below',
+    'mobile.editInstructions': 'Your changes appear on the computer right away',
+    'mobile.tabEdit': 'Details',
+    'mobile.tabSign': 'Signature',
+    'mobile.waitingFields': 'Waiting for the form details...',
+    'mobile.toSigning': 'Continue to signing',
+    'mobile.reviewTitle': 'You are signing this certificate',
+    'mobile.waitingDocument': 'Waiting for the certificate details...',
+    'mobile.confirm': 'I have reviewed the details and confirm that this is the certificate I am signing.',
+    'mobile.confirmFirst': 'Confirm the certificate details before sending.',
+    'mobile.sending': 'Sending...',
+    'mobile.sendFailed': 'The computer did not confirm the signature. Please send it again.',
+    'mobile.done': "Done, I've signed!",
+    'mobile.sent': 'Signature sent! 🎉',
+    'mobile.sentDetail': 'The signature now appears on your computer.',
+    'mobile.closeWindow': 'You can close this window.',
+    'mobile.errorTitle': 'Connection error',
+    'mobile.errorDetail': 'Could not connect. Please scan the QR code again.',
+    'mobile.rejectedTitle': 'Pairing failed',
+    'mobile.rejectedDetail': 'The computer did not accept this connection. Please scan the QR code currently shown again.',
+    'mobile.incompatibleTitle': 'Version mismatch',
+    'mobile.incompatibleDetail': 'This page and the app on the computer are different versions. Reload the page on both devices and scan the QR code again.',
+    'mobile.insecureTitle': 'Secure connection required',
+    'mobile.insecureDetail': 'This page was not opened over https, so the browser does not allow the encrypted pairing. The app has to be served from an https address.',
+    'mobile.reload': 'Reload page',
+    'mobile.waitingPdf': 'When you download the certificate on the computer, the PDF will arrive here too.',
+    'mobile.pdfReady': 'The PDF has arrived',
+    'mobile.download': 'Download',
+    'mobile.share': 'Share',
+    'mobile.shareError': 'Sharing failed.',
+
+    // QR signing (transport in use)
+    'transport.webrtc': 'Direct connection (WebRTC)',
+    'transport.relay': 'Connected through the server (relay)',
+
+    'verify.title': 'Verify a document',
+    'verify.intro': 'Enter the details printed on the paper, the signature ID and the verification code. The check runs in this browser; nothing is sent anywhere.',
+    'verify.fromQr': 'The details were filled in from the QR code. Compare them with the paper, then check: if anything on the document was changed, the code will not match.',
+    'verify.documentType': 'Document type',
+    'verify.signatureId': 'Signature ID',
+    'verify.code': 'Verification code',
+    'verify.check': 'Check',
+    'verify.valid': '✓ The code matches: the details and the signature are as issued.',
+    'verify.invalid': '✗ The code does not match. The details, the signature or the code differ from what was issued.',
+    'verify.unavailable': 'This browser cannot run the check.',
+
+    // Document text (PDF templates and previews)
+    'doc.parentalNote.title': 'PARENTAL ABSENCE NOTE',
+    'doc.leaveRequest.title': 'REQUEST FOR LEAVE OF ABSENCE',
+    'doc.pickup.title': 'AUTHORISATION',
+    'doc.kindergartenName': 'name of kindergarten',
+    'doc.schoolName': 'name of school',
+    'doc.institutionName': 'name of institution',
+    'doc.childName': "child's name",
+    'doc.certifyIntro': 'I, the undersigned parent (guardian), hereby confirm that my child',
+    'doc.absentFromKindergarten': {
+        one: 'was absent from kindergarten during the following period:',
+        other: 'was absent from kindergarten during the following periods:',
+    },
+    'doc.absentFromSchool': {
+        one: 'was absent from school during the following period:',
+        other: 'was absent from school during the following periods:',
+    },
+    'doc.dayTotal': '({days} in total)',
+    'doc.leave.intro': 'I, the undersigned parent (guardian), hereby request that my child',
+    'doc.leave.fromKindergarten': {
+        one: 'may stay away from kindergarten during the following period:',
+        other: 'may stay away from kindergarten during the following periods:',
+    },
+    'doc.leave.fromSchool': {
+        one: 'may stay away from school during the following period:',
+        other: 'may stay away from school during the following periods:',
+    },
+    'doc.leave.reason': 'Reason for the absence:',
+    'doc.leave.reasonPlaceholder': 'reason',
+    'doc.leave.closing': 'I kindly ask you to approve this request.',
+    'doc.pickup.intro': 'I, the undersigned parent (guardian), hereby authorise',
+    'doc.pickup.proxyName': 'authorised person',
+    'doc.pickup.idNumber': 'ID card number: ',
+    'doc.pickup.number': 'number',
+    'doc.pickup.child': 'to collect my child',
+    'doc.pickup.fromKindergarten': 'from kindergarten on my behalf.',
+    'doc.pickup.fromSchool': 'from school on my behalf.',
+    'doc.pickup.validity': 'This authorisation is valid: ',
+    'doc.pickup.untilRevoked': 'until revoked',
+    'doc.signatureCaption': 'Signature of parent (guardian)',
+    'doc.verification.code': 'Verification code: {code}',
+    'doc.verification.signature': 'Signature ID: {id}',
+    'doc.verification.where': 'Verify at: {url}',
+    'doc.meta.author': 'Parent (guardian)',
+};
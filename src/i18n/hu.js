@@ -0,0 +1,308 @@
+// --- Hungarian messages (reference catalogue; other languages fall back to it) ---
+//
+// `{name}` placeholders are filled from the params passed to t(). An object
+// value holds plural forms keyed by Intl.PluralRules category, chosen by `count`.
+
+export default {
+    // App shell
+    'app.title': 'Szülői Igazolás Kitöltő',
+    'app.history': 'Korábbi igazolások',
+    'app.open': 'Meglévő igazolás megnyitása (PDF)',
+    'app.openNoData': 'Ebben a PDF-ben nincsenek az alkalmazás által mentett adatok. Csak az itt készült igazolások nyithatók meg.',
+    'app.openError': 'Nem sikerült megnyitni a fájlt.',
+    'app.darkMode': 'Sötét/Világos mód váltás',
+    'app.language': 'Nyelv',
+    'app.footer': 'Készítsd el gyorsan és egyszerűen a szülői igazolást 📄',
+    'app.downloaded': 'PDF sikeresen letöltve!',
+    'common.retry': 'Újrapróbálom',
+    'common.close': 'Bezárás',
+
+    // Form
+    'form.heading': 'Adatok kitöltése',
+    'form.documentType': 'Dokumentum típusa',
+    'form.documentLanguage': 'A dokumentum nyelve',
+    'form.childName': 'Gyermek neve',
+    'form.childNamePlaceholder': 'pl. Kis Péter',
+    'form.required': '— kötelező',
+    'form.optional': '(nem kötelező)',
+    'form.period': '{n}. időszak',
+    'form.removePeriod': '{n}. időszak törlése',
+    'form.remove': 'Eltávolítás',
+    'form.from': '-tól',
+    'form.to': '-ig',
+    'form.addPeriod': '+ Újabb időszak',
+    'form.total': 'Összesen',
+    'form.printDayCount': 'Napok számának feltüntetése az igazoláson',
+    'form.signatureDate': 'Aláírás dátuma',
+    'form.signatureHeading': 'Aláírás kiválasztása',
+    'form.pickOne': '— válassz egyet',
+    'form.typed': 'Géppel',
+    'form.drawn': 'Kézzel',
+    'form.drawnAlt': 'Kézzel rajzolt aláírás',
+    'form.photo': 'Fotóról',
+    'form.photoAlt': 'Papírról fényképezett aláírás',
+    'form.typeYourName': 'Írd be a neved...',
+    'form.chooseStyle': 'Stílus kiválasztása',
+    'form.signWithFinger': 'Írja alá ujjával az alábbi mezőben:',
+    'form.signWithMouse': 'Írja alá egérrel az alábbi mezőben:',
+    'form.signatureCaptured': 'Aláírás rögzítve ✓',
+    'form.redo': 'Újra',
+    'form.backToOptions': '← Vissza a lehetőségekhez',
+    'form.mouseSignature': 'Aláírás egérrel',
+    'form.phoneSignature': 'Aláírás telefonon',
+    'form.phonePaired': 'Telefon csatlakoztatva – a letöltött PDF oda is megérkezik.',
+    'form.phoneSent': 'A PDF-et a telefonjára is elküldtük.',
+    'form.phoneDisconnect': 'Leválasztás',
+    'form.phoneEdit': '📱 Kitöltés telefonon',
+    'form.phoneEditing': 'Telefon csatlakoztatva – a módosítások azonnal megjelennek mindkét helyen.',
+    'form.phoneReconnecting': 'Megszakadt a kapcsolat a telefonnal – várakozás az újracsatlakozásra...',
+    'form.phoneExpired': 'A telefonos párosítás lejárt.',
+    'form.phoneIncompatible': 'A telefonon az alkalmazás másik verziója fut. Frissítse az oldalt mindkét eszközön, majd kérjen új QR-kódot.',
+    'form.generating': 'Generálás...',
+    'form.download': 'PDF letöltése',
+    'form.downloadArchival': 'Archív változat (PDF/A-2b)',
+    'form.downloadArchivalHint': 'Hosszú távú megőrzésre: beágyazott betűkészletekkel és színprofillal, átlátszóság nélkül',
+    'form.fixDates': 'Kérlek javítsd a hibás dátumokat',
+    'form.fillAll': 'Kérlek töltsd ki az összes mezőt és válassz aláírást',
+    'form.preview': 'Előnézet',
+    'form.pdfError': 'Hiba történt a PDF generálása közben. Kérlek próbáld újra.',
+    'form.quotaConfirm': 'A(z) {years} nevelési évben ezzel túllépnéd a(z) {limit} napos szülői igazolási keretet. '
+        + 'A keret feletti napokra orvosi igazolás szükséges. Mégis elkészíted az igazolást?',
+
+    // Date validation (absences.js)
+    'validation.futureAbsence': 'Jövőbeli hiányzás nem igazolható.',
+    'validation.endBeforeStart': 'A záró dátum nem lehet korábbi a kezdő dátumnál.',
+    'validation.signBeforeLeave': 'A kérelmet a távolmaradás kezdete előtt kell aláírni.',
+    'validation.signAfterAbsence': 'Az aláírás dátuma nem lehet korábbi a hiányzás végénél.',
+
+    // Document types and their fields (documentTypes.js)
+    'docTypes.kindergartenAbsence': 'Óvodai igazolás',
+    'docTypes.schoolAbsence': 'Iskolai igazolás',
+    'docTypes.leaveRequest': 'Távolmaradási kérelem',
+    'docTypes.pickupAuthorization': 'Meghatalmazás',
+    'fields.kindergartenName': 'Óvoda neve',
+    'fields.kindergartenPlaceholder': 'pl. Napraforgó Óvoda',
+    'fields.schoolName': 'Iskola neve',
+    'fields.schoolPlaceholder': 'pl. Hunyadi János Általános Iskola',
+    'fields.institutionName': 'Intézmény neve',
+    'fields.group': 'Csoport',
+    'fields.groupPlaceholder': 'pl. Katica csoport',
+    'fields.class': 'Osztály',
+    'fields.classPlaceholder': 'pl. 2.b',
+    'fields.groupOrClass': 'Csoport / osztály',
+    'fields.absencePeriod': 'Hiányzás időszaka',
+    'fields.plannedPeriod': 'Tervezett távolmaradás időszaka',
+    'fields.institutionKind': 'Intézmény típusa',
+    'fields.kindergarten': 'Óvoda',
+    'fields.school': 'Iskola',
+    'fields.reason': 'A távolmaradás oka',
+    'fields.reasonPlaceholder': 'pl. családi utazás',
+    'fields.proxyName': 'Meghatalmazott neve',
+    'fields.proxyNamePlaceholder': 'pl. Nagy Mária',
+    'fields.proxyRelation': 'Rokoni kapcsolat',
+    'fields.proxyRelationPlaceholder': 'pl. nagymama',
+    'fields.proxyIdNumber': 'Személyi igazolvány száma',
+    'fields.proxyIdNumberPlaceholder': 'pl. 123456AB',
+    'fields.validity': 'Érvényesség',
+    'units.kindergartenDay': { one: 'nevelési nap', other: 'nevelési nap' },
+    'units.schoolDay': { one: 'tanítási nap', other: 'tanítási nap' },
+
+    // Profiles
+    'profiles.heading': 'Gyermekek',
+    'profiles.delete': 'Profil törlése',
+    'profiles.confirmDelete': 'Biztosan törlöd {name} profilt?',
+    'profiles.confirmDeleteUnnamed': 'Biztosan törlöd ezt a profilt?',
+    'profiles.unnamed': 'Névtelen',
+    'profiles.saveAsNew': '+ Mentés új gyermekként',
+    'profiles.saveChanges': 'Változások mentése',
+
+    // Quota
+    'quota.usage': 'nevelési év: {used} / {limit} nap igazolva',
+    'quota.adding': 'most +{count}',
+    'quota.remaining': 'maradt {count}',
+    'quota.usedUp': 'elfogyott',
+    'quota.exceeded': 'Ez az igazolás túllépi a szülői igazolás keretét — a többi napra orvosi igazolás szükséges.',
+    'quota.limitLabel': 'Éves keret:',
+    'quota.days': 'nap',
+    'quota.limitButton': 'Éves keret: {limit} nap (módosítás)',
+
+    // History
+    'history.back': '← Vissza az űrlaphoz',
+    'history.search': 'Keresés név, óvoda vagy dátum alapján...',
+    'history.loadError': 'Nem sikerült betölteni a korábbi igazolásokat.',
+    'history.confirmDelete': 'Biztosan törlöd ezt az igazolást az előzményekből?',
+    'history.deleteError': 'Nem sikerült törölni az igazolást.',
+    'history.empty': 'Még nincs elmentett igazolás.',
+    'history.noMatch': 'Nincs a keresésnek megfelelő igazolás.',
+    'history.created': 'Készült: {date}',
+    'history.download': 'Letöltés',
+    'history.duplicate': 'Másolás új dátummal',
+    'history.delete': 'Törlés',
+    'signatureMethods.gallery': 'Minta aláírás',
+    'signatureMethods.custom': 'Géppel írt',
+    'signatureMethods.drawn': 'Kézzel rajzolt',
+    'signatureMethods.photo': 'Fényképezett',
+
+    // Signature options and pad
+    'signatures.sample': 'Aláírás {n}',
+    'fonts.dashing': 'Lendületes',
+    'fonts.classic': 'Klasszikus',
+    'fonts.quick': 'Gyors',
+    'fonts.handwritten': 'Kézírásos',
+    'fonts.elegant': 'Elegáns',
+    'signaturePad.hintCompact': 'Írja alá itt',
+    'signaturePad.hint': 'Írja alá ujjával vagy egérrel',
+    'signaturePad.clear': 'Törlés',
+    'signaturePad.undo': 'Visszavonás (Ctrl+Z)',
+    'signaturePad.redo': 'Ismét (Ctrl+Shift+Z)',
+    'signaturePad.eraser': 'Radír – a megérintett vonalakat törli',
+
+    // Signature vault
+    'vault.open': 'Aláírás mentése / betöltése a széfből',
+    'vault.title': 'Aláírás-széf',
+    'vault.lock': 'Lezárás',
+    'vault.close': 'Bezárás',
+    'vault.setupHint': 'A széf jelszóval titkosítva tárolja a rajzolt aláírásaidat ebben a böngészőben. A jelszót nem mentjük el, elfelejtve a széf nem nyitható ki.',
+    'vault.passphrase': 'Jelszó',
+    'vault.repeatPassphrase': 'Jelszó újra',
+    'vault.create': 'Széf létrehozása',
+    'vault.unlock': 'Feloldás',
+    'vault.working': 'Egy pillanat...',
+    'vault.forgot': 'Elfelejtetted a jelszót? Széf törlése',
+    'vault.confirmReset': 'Biztosan törlöd a széfet és a benne lévő összes aláírást?',
+    'vault.empty': 'Még nincs elmentett aláírás. Rajzolj egyet, majd mentsd el ide.',
+    'vault.use': 'Aláírás használata',
+    'vault.delete': 'Aláírás törlése',
+    'vault.confirmDelete': 'Biztosan törlöd a(z) „{label}” aláírást a széfből?',
+    'vault.labelPlaceholder': 'Megnevezés (nem kötelező)',
+    'vault.save': 'Mentés a széfbe',
+    'vault.defaultLabel': 'Aláírás {n}',
+    'vault.tooShort': 'A jelszó legalább {min} karakter legyen.',
+    'vault.mismatch': 'A két jelszó nem egyezik.',
+    'vault.wrongPassphrase': 'Hibás jelszó.',
+    'vault.error': 'A széf nem érhető el ebben a böngészőben.',
+
+    // Photographed signature
+    'photo.hint': 'Írd alá egy fehér papírlapon, és fényképezd le közelről, jó fényben – a háttér automatikusan eltűnik.',
+    'photo.takePhoto': 'Fénykép készítése',
+    'photo.upload': 'Kép feltöltése',
+    'photo.processing': 'Kép feldolgozása...',
+    'photo.replace': 'Új kép',
+    'photo.sensitivity': 'Tinta mennyisége',
+    'photo.noInk': 'Nem található aláírás a képen. Próbáld világosabb háttérrel, közelebbről.',
+    'photo.loadError': 'A kép nem nyitható meg.',
+
+    // QR signing (desktop modal)
+    'qr.title': 'Aláírás telefonon',
+    'qr.scan': 'Olvassa be a QR kódot a telefonjával',
+    'qr.connecting': 'Kapcsolódás...',
+    'qr.waiting': 'Várakozás az aláírásra...',
+    'qr.editTitle': 'Kitöltés telefonon',
+    'qr.editWaiting': 'Várakozás a telefonra...',
+    'qr.reconnecting': 'A telefon kapcsolata megszakadt – várakozás az újracsatlakozásra...',
+    'qr.expiresIn': 'A QR-kód még {time} ideig érvényes',
+    'qr.expired': 'A QR-kód lejárt.',
+    'qr.incompatible': 'A telefonon az alkalmazás másik verziója fut. Frissítse az oldalt mindkét eszközön, majd kérjen új QR-kódot.',
+    'qr.insecure': 'A telefonos aláíráshoz az alkalmazást https-en keresztül kell megnyitni. Kérje meg az üzemeltetőt, hogy állítsa be a HTTPS-t.',
+    'qr.newCode': 'Új QR-kód',
+    'qr.connected': 'Telefon csatlakozva!',
+    'qr.signOnPhone': 'Írja alá a telefonján...',
+    'qr.received': 'Aláírás megérkezett! ✨',
+    'qr.error': 'Kapcsolódási hiba. Kérlek próbáld újra.',
+    'qr.rejected': 'Elutasítottunk {count} ismeretlen kapcsolódási kísérletet, amely nem ebből a QR kódból érkezett.',
+
+    // QR signing (phone page)
+    'mobile.title': 'OviKréta Aláírás',
+    'mobile.connecting': 'Csatlakozás...',
+    'mobile.reconnecting': 'Megszakadt a kapcsolat – újracsatlakozás...',
+    'mobile.instructions': 'Írja alá ujjával az alábbi mezőben',
+    'mobile.editInstructions': 'A módosítások azonnal megjelennek a számítógépen is',
+    'mobile.tabEdit': 'Adatok',
+    'mobile.tabSign': 'Aláírás',
+    'mobile.waitingFields': 'Várakozás az adatokra...',
+    'mobile.toSigning': 'Tovább az aláíráshoz',
+    'mobile.reviewTitle': 'Ezt az igazolást írja alá',
+    'mobile.waitingDocument': 'Várakozás az igazolás adataira...',
+    'mobile.confirm': 'Átnéztem az adatokat, és megerősítem, hogy ezt az igazolást írom alá.',
+    'mobile.confirmFirst': 'Küldés előtt erősítse meg az igazolás adatait.',
+    'mobile.sending': 'Küldés...',
+    'mobile.sendFailed': 'A számítógép nem igazolta vissza az aláírást. Kérjük, küldje el újra.',
+    'mobile.done': 'Kész, aláírtam!',
+    'mobile.sent': 'Aláírás elküldve! 🎉',
+    'mobile.sentDetail': 'Az aláírás megjelent a számítógépén.',
+    'mobile.closeWindow': 'Ezt az ablakot bezárhatja.',
+    'mobile.errorTitle': 'Kapcsolódási hiba',
+    'mobile.errorDetail': 'Nem sikerült csatlakozni. Kérjük, olvassa be újra a QR kódot.',
+    'mobile.rejectedTitle': 'A párosítás nem sikerült',
+    'mobile.rejectedDetail': 'A számítógép nem fogadta el ezt a kapcsolatot. Kérjük, olvassa be újra a most látható QR kódot.',
+    'mobile.incompatibleTitle': 'Eltérő verzió',
+    'mobile.incompatibleDetail': 'Ez az oldal és a számítógépen futó alkalmazás különböző verziójú. Frissítse az oldalt mindkét eszközön, és olvassa be újra a QR-kódot.',
+    'mobile.insecureTitle': 'Biztonságos kapcsolat szükséges',
+    'mobile.insecureDetail': 'Ez az oldal nem https-en keresztül nyílt meg, ezért a böngésző nem engedi a titkosított párosítást. Az alkalmazást https-címen kell elérni.',
+    'mobile.reload': 'Oldal frissítése',
+    'mobile.waitingPdf': 'Ha a számítógépen letölti az igazolást, a PDF ide is megérkezik.',
+    'mobile.pdfReady': 'Megérkezett a PDF',
+    'mobile.download': 'Letöltés',
+    'mobile.share': 'Megosztás',
+    'mobile.shareError': 'A megosztás nem sikerült.',
+
+    // QR signing (transport in use)
+    'transport.webrtc': 'Közvetlen kapcsolat (WebRTC)',
+    'transport.relay': 'Kapcsolat a szerveren keresztül (relay)',
+
+    'verify.title': 'Igazolás ellenőrzése',
+    'verify.intro': 'Írja be a papíron szereplő adatokat, az aláírás-azonosítót és az ellenőrző kódot. Az ellenőrzés ebben a böngészőben történik, semmi nem kerül elküldésre.',
+    'verify.fromQr': 'Az adatokat a QR kód töltötte ki. Vesse össze őket a papíron szereplőkkel, majd ellenőrizze: ha valamit átírtak a dokumentumon, a kód nem fog egyezni.',
+    'verify.documentType': 'Dokumentum típusa',
+    'verify.signatureId': 'Aláírás-azonosító',
+    'verify.code': 'Ellenőrző kód',
+    'verify.check': 'Ellenőrzés',
+    'verify.valid': '✓ A kód egyezik: az adatok és az aláírás megfelelnek a kiállításkorinak.',
+    'verify.invalid': '✗ A kód nem egyezik. Az adatok, az aláírás vagy a kód eltér a kiállításkoritól.',
+    'verify.unavailable': 'Ez a böngésző nem tudja elvégezni az ellenőrzést.',
+
+    // Document text (PDF templates and previews)
+    'doc.parentalNote.title': 'SZÜLŐI IGAZOLÁS',
+    'doc.leaveRequest.title': 'TÁVOLMARADÁSI KÉRELEM',
+    'doc.pickup.title': 'MEGHATALMAZÁS',
+    'doc.kindergartenName': 'óvoda neve',
+    'doc.schoolName': 'iskola neve',
+    'doc.institutionName': 'intézmény neve',
+    'doc.childName': 'gyermek neve',
+    'doc.certifyIntro': 'Alulírott szülő (gondviselő, gyám) ezúton igazolom, hogy gyermekem',
+    'doc.absentFromKindergarten': {
+        one: 'az alábbi időszakban hiányzott az óvodából:',
+        other: 'az alábbi időszakokban hiányzott az óvodából:',
+    },
+    'doc.absentFromSchool': {
+        one: 'az alábbi időszakban hiányzott az iskolai foglalkozásokról:',
+        other: 'az alábbi időszakokban hiányzott az iskolai foglalkozásokról:',
+    },
+    'doc.dayTotal': '(összesen {days})',
+    'doc.leave.intro': 'Alulírott szülő (gondviselő, gyám) ezúton kérem, hogy gyermekem',
+    'doc.leave.fromKindergarten': {
+        one: 'az alábbi időszakban távol maradhasson az óvodából:',
+        other: 'az alábbi időszakokban távol maradhasson az óvodából:',
+    },
+    'doc.leave.fromSchool': {
+        one: 'az alábbi időszakban távol maradhasson az iskolából:',
+        other: 'az alábbi időszakokban távol maradhasson az iskolából:',
+    },
+    'doc.leave.reason': 'A távolmaradás oka:',
+    'doc.leave.reasonPlaceholder': 'indoklás',
+    'doc.leave.closing': 'Kérem kérelmem szíves jóváhagyását.',
+    'doc.pickup.intro': 'Alulírott szülő (gondviselő, gyám) ezúton meghatalmazom',
+    'doc.pickup.proxyName': 'meghatalmazott neve',
+    'doc.pickup.idNumber': 'személyazonosító igazolvány száma: ',
+    'doc.pickup.number': 'szám',
+    'doc.pickup.child': 'hogy gyermekemet',
+    'doc.pickup.fromKindergarten': 'az óvodából helyettem elvigye.',
+    'doc.pickup.fromSchool': 'az iskolából helyettem elvigye.',
+    'doc.pickup.validity': 'A meghatalmazás érvényes: ',
+    'doc.pickup.untilRevoked': 'visszavonásig',
+    'doc.signatureCaption': 'Szülő (gondviselő, gyám) aláírása',
+    'doc.verification.code': 'Ellenőrző kód: {code}',
+    'doc.verification.signature': 'Aláírás-azonosító: {id}',
+    'doc.verification.where': 'Ellenőrzés: {url}',
+    'doc.meta.author': 'Szülő (gondviselő, gyám)',
+};
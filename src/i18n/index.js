@@ -0,0 +1,79 @@
+// --- Locales and message lookup ---
+//
+// The UI language and the document (PDF) language are chosen separately:
+// institutions usually still want the Hungarian document even when the
+// parent reads the form in English or German.
+
+import hu from './hu';
+import en from './en';
+import de from './de';
+
+const UI_LOCALE_KEY = 'ovikreta_locale';
+const PDF_LOCALE_KEY = 'ovikreta_pdf_locale';
+
+export const DEFAULT_LOCALE = 'hu';
+
+export const locales = [
+    { id: 'hu', label: 'Magyar', short: 'HU', tag: 'hu-HU' },
+    { id: 'en', label: 'English', short: 'EN', tag: 'en-GB' },
+    { id: 'de', label: 'Deutsch', short: 'DE', tag: 'de-DE' },
+];
+
+const catalogues = { hu, en, de };
+const pluralRules = {};
+
+export function isLocale(id) {
+    return Object.prototype.hasOwnProperty.call(catalogues, id);
+}
+
+/** BCP 47 tag for Intl formatting, e.g. 'hu-HU'. */
+export function localeTag(locale) {
+    return (locales.find(l => l.id === locale) || locales[0]).tag;
+}
+
+/**
+ * Message for `key` in `locale`, falling back to Hungarian and then to the key
+ * itself. Plural messages pick their form by `params.count`.
+ */
+export function translate(locale, key, params = {}) {
+    let message = catalogues[locale]?.[key] ?? hu[key];
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+        pluralRules[locale] ||= new Intl.PluralRules(localeTag(locale));
+        message = message[pluralRules[locale].select(params.count ?? 1)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+export function createTranslator(locale) {
+    return (key, params) => translate(locale, key, params);
+}
+
+// First supported language the browser asks for, Hungarian otherwise
+function browserLocale() {
+    const preferred = (navigator.languages || [navigator.language || '']).map(l => l.slice(0, 2).toLowerCase());
+    return preferred.find(isLocale) || DEFAULT_LOCALE;
+}
+
+export function loadUiLocale() {
+    try {
+        const stored = localStorage.getItem(UI_LOCALE_KEY);
+        return isLocale(stored) ? stored : browserLocale();
+    } catch { return browserLocale(); }
+}
+
+export function saveUiLocale(locale) {
+    try { localStorage.setItem(UI_LOCALE_KEY, locale); } catch { }
+}
+
+/** Document language; Hungarian unless the user picked another one. */
+export function loadPdfLocale() {
+    try {
+        const stored = localStorage.getItem(PDF_LOCALE_KEY);
+        return isLocale(stored) ? stored : DEFAULT_LOCALE;
+    } catch { return DEFAULT_LOCALE; }
+}
+
+export function savePdfLocale(locale) {
+    try { localStorage.setItem(PDF_LOCALE_KEY, locale); } catch { }
+}
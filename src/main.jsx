@@ -2,6 +2,9 @@ import React, { useState, useEffect } from 'react'
 import ReactDOM from 'react-dom/client'
 import ParentalAbsenceForm from './ParentalAbsenceForm.jsx'
 import MobileSignPage from './MobileSignPage.jsx'
+import HistoryPage from './HistoryPage.jsx'
+import VerifyPage from './VerifyPage.jsx'
+import { LocaleProvider } from './i18n/LocaleProvider.jsx'
 import './index.css'
 
 function App() {
@@ -9,8 +12,15 @@ function App() {
 
     function parseHash() {
         const hash = window.location.hash;
-        const match = hash.match(/^#\/sign\/(.+)$/);
-        if (match) return { page: 'sign', peerId: match[1] };
+        const sign = hash.match(/^#\/sign(?:\/([^?]+))?(?:\?(.*))?$/);
+        if (sign) {
+            const params = new URLSearchParams(sign[2] || '');
+            const relaySession = params.get('relay');
+            if (sign[1] || relaySession) return { page: 'sign', peerId: sign[1] || null, relaySession, secret: params.get('secret'), mode: params.get('mode') };
+        }
+        if (hash === '#/history') return { page: 'history' };
+        const verify = hash.match(/^#\/verify(?:\?(.*))?$/);
+        if (verify) return { page: 'verify', params: new URLSearchParams(verify[1] || '') };
         return { page: 'main' };
     }
 
@@ -21,7 +31,15 @@ function App() {
     }, []);
 
     if (route.page === 'sign') {
-        return <MobileSignPage targetPeerId={route.peerId} />;
+        return <MobileSignPage targetPeerId={route.peerId} relaySession={route.relaySession} secret={route.secret} mode={route.mode} />;
+    }
+
+    if (route.page === 'history') {
+        return <HistoryPage />;
+    }
+
+    if (route.page === 'verify') {
+        return <VerifyPage key={route.params.toString()} params={route.params} />;
     }
 
     return <ParentalAbsenceForm />;
@@ -29,6 +47,8 @@ function App() {
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
-        <App />
+        <LocaleProvider>
+            <App />
+        </LocaleProvider>
     </React.StrictMode>,
 )
@@ -0,0 +1,268 @@
+// --- Authenticated, end-to-end encrypted phone pairing ---
+//
+// Knowing the desktop's peer ID (or relay session) is not enough to talk to
+// it: the QR code also carries a one-time secret, in the URL fragment, which
+// never reaches a server. Once a connection opens the two sides run a short
+// handshake over it:
+//
+//   desktop → phone   { type: 'hello', key }         fresh ECDH (P-256) public key
+//   phone → desktop   { type: 'auth', key, proof }   its own public key, and an
+//                                                    HMAC of both keys under the secret
+//   desktop → phone   sealed { type: 'ready' }
+//
+// A wrong proof gets { type: 'rejected' } and the connection closed. Both
+// sides derive an AES-GCM key from the ECDH secret (HKDF, salted with the
+// pairing secret), and every later message travels sealed with it, so neither
+// the signalling server nor the relay can read or forge a signature or PDF.
+// secureChannel wraps a PeerJS or relay connection (same interface) this way.
+//
+// The secret in the QR code only works once: a handshake also derives the
+// next secret from the ECDH secret (`resumeSecret`, HKDF under another label),
+// and once the desktop has adopted a connection it only takes that one. The
+// phone keeps it to come back after dropping out, while someone who saw the
+// URL (in the phone's history, over a shoulder) is turned down; every
+// resumption moves on to a new secret again.
+//
+// All of this needs Web Crypto (crypto.subtle), which browsers only offer in a
+// secure context: a page served over https, or from localhost. Both pages
+// check pairingSupported() first and explain instead of failing the handshake.
+
+const HANDSHAKE_TIMEOUT = 15000;
+const KEY_INFO = 'ovikreta-igazolas pairing v1';
+const RESUME_INFO = 'ovikreta-igazolas resume v1';
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    return Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+}
+
+function concat(...parts) {
+    const arrays = parts.map(part => (typeof part === 'string' ? encoder.encode(part) : new Uint8Array(part)));
+    const out = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+    let offset = 0;
+    arrays.forEach((a) => {
+        out.set(a, offset);
+        offset += a.length;
+    });
+    return out;
+}
+
+/** Whether this page can pair with the phone at all: Web Crypto needs a secure context. */
+export function pairingSupported() {
+    return Boolean(globalThis.isSecureContext && globalThis.crypto?.subtle);
+}
+
+/** A new one-time pairing secret, for the QR code. */
+export function createPairingSecret() {
+    return toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+function proofKey(secret) {
+    return crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+// What the phone signs: both public keys, so a proof cannot be replayed
+const proofData = (desktopKey, phoneKey) => concat('auth', desktopKey, phoneKey);
+
+// The AES-GCM key of the connection, and the secret for the next handshake
+async function sessionSecrets(secret, privateKey, publicKeyRaw) {
+    const publicKey = await crypto.subtle.importKey('raw', publicKeyRaw, ECDH, false, []);
+    const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const hkdf = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey', 'deriveBits']);
+    const key = await crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: secret, info: encoder.encode(KEY_INFO) },
+        hkdf, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'],
+    );
+    const resume = await crypto.subtle.deriveBits(
+        { name: 'HKDF', hash: 'SHA-256', salt: secret, info: encoder.encode(RESUME_INFO) }, hkdf, 256,
+    );
+    return { key, resumeSecret: toBase64Url(new Uint8Array(resume)) };
+}
+
+/**
+ * A message as bytes, the plaintext that gets sealed: 4-byte JSON length, the
+ * JSON, then the binary `data` field (the PDF) as is, if any.
+ */
+export function pack(message) {
+    const { data, ...rest } = message;
+    const binary = data instanceof ArrayBuffer;
+    const json = encoder.encode(JSON.stringify(binary ? rest : message));
+    const length = new Uint8Array(4);
+    new DataView(length.buffer).setUint32(0, json.length);
+    return concat(length, json, binary ? data : new ArrayBuffer(0));
+}
+
+/** The message `pack` made the bytes from. */
+export function unpack(bytes) {
+    const length = new DataView(bytes.buffer, bytes.byteOffset).getUint32(0);
+    const message = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + length)));
+    if (bytes.length > 4 + length) message.data = bytes.slice(4 + length).buffer;
+    return message;
+}
+
+async function seal(key, message) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, pack(message));
+    return { type: 'sealed', iv: iv.buffer, data };
+}
+
+async function unseal(key, sealed) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+    return unpack(new Uint8Array(plain));
+}
+
+/**
+ * Wraps a connection (PeerJS DataConnection or relay connection) in the
+ * pairing handshake and sealing. The wrapper has the same interface; its
+ * 'open' fires once the handshake has succeeded and 'data' only carries
+ * messages that decrypted correctly. 'reject' fires when the other side
+ * failed the check (desktop) or turned this side down (phone). Once open,
+ * `resumeSecret` is the secret the next handshake of this pairing uses.
+ * @param {object} conn - not yet open
+ * @param {{ role: 'desktop' | 'phone', secret: string | (() => string) }} options - the secret,
+ *   or a function returning the current one when the handshake starts
+ */
+export function secureChannel(conn, { role, secret }) {
+    const handlers = {};
+    const emit = (event, arg) => (handlers[event] || []).forEach(handler => handler(arg));
+    let secretBytes = null;
+    let keyPair = null;
+    let peerKey = null;
+    let key = null;
+    let timer = null;
+    // Messages are handled one at a time, as crypto is asynchronous
+    let incoming = Promise.resolve();
+    let outgoing = Promise.resolve();
+
+    const channel = {
+        open: false,
+        resumeSecret: null,
+        on(event, handler) {
+            (handlers[event] = handlers[event] || []).push(handler);
+            return channel;
+        },
+        /**
+         * Seals and sends a message; resolves once it is handed to the connection.
+         * Messages go out in order, and one that fails does not hold up the next.
+         */
+        send(message) {
+            const sent = outgoing.then(async () => conn.send(await seal(key, message)));
+            outgoing = sent.catch(() => {});
+            return sent;
+        },
+        close() {
+            clearTimeout(timer);
+            conn.close();
+        },
+    };
+
+    const reject = (reason) => {
+        console.warn('Pairing rejected:', reason);
+        clearTimeout(timer);
+        if (role === 'desktop') {
+            conn.send({ type: 'rejected' });
+            // Give the refusal time to go out before closing
+            setTimeout(() => conn.close(), 500);
+        } else {
+            conn.close();
+        }
+        emit('reject');
+    };
+
+    const ready = () => {
+        clearTimeout(timer);
+        channel.open = true;
+        emit('open');
+    };
+
+    async function handle(message) {
+        if (!message || typeof message !== 'object') return;
+
+        if (key && channel.open) {
+            if (message.type !== 'sealed') return;
+            let inner;
+            try {
+                inner = await unseal(key, message);
+            } catch {
+                console.warn('Dropped a message that did not decrypt');
+                return;
+            }
+            emit('data', inner);
+            return;
+        }
+
+        if (role === 'desktop') {
+            if (message.type !== 'auth' || !(message.key instanceof ArrayBuffer) || !(message.proof instanceof ArrayBuffer)) {
+                reject('unexpected message');
+                return;
+            }
+            const valid = await crypto.subtle.verify('HMAC', await proofKey(secretBytes), message.proof,
+                proofData(await crypto.subtle.exportKey('raw', keyPair.publicKey), message.key));
+            if (!valid) {
+                reject('wrong proof');
+                return;
+            }
+            ({ key, resumeSecret: channel.resumeSecret } = await sessionSecrets(secretBytes, keyPair.privateKey, message.key));
+            await channel.send({ type: 'ready' });
+            ready();
+            return;
+        }
+
+        // Phone
+        if (message.type === 'rejected') {
+            reject('turned down by the desktop');
+        } else if (message.type === 'hello' && message.key instanceof ArrayBuffer && !keyPair) {
+            peerKey = message.key;
+            keyPair = await crypto.subtle.generateKey(ECDH, false, ['deriveBits']);
+            const ownKey = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+            const proof = await crypto.subtle.sign('HMAC', await proofKey(secretBytes), proofData(peerKey, ownKey));
+            ({ key, resumeSecret: channel.resumeSecret } = await sessionSecrets(secretBytes, keyPair.privateKey, peerKey));
+            conn.send({ type: 'auth', key: ownKey, proof });
+        } else if (message.type === 'sealed' && key) {
+            // The desktop's first sealed message shows it holds the secret too
+            try {
+                if ((await unseal(key, message)).type === 'ready') ready();
+            } catch {
+                reject('desktop failed the check');
+            }
+        }
+    }
+
+    conn.on('open', async () => {
+        timer = setTimeout(() => {
+            if (!channel.open) conn.close();
+        }, HANDSHAKE_TIMEOUT);
+        try {
+            secretBytes = fromBase64Url((typeof secret === 'function' ? secret() : secret) || '');
+            if (secretBytes.length < 16) throw new Error('missing pairing secret');
+            if (role === 'desktop') {
+                keyPair = await crypto.subtle.generateKey(ECDH, false, ['deriveBits']);
+                conn.send({ type: 'hello', key: await crypto.subtle.exportKey('raw', keyPair.publicKey) });
+            }
+        } catch (err) {
+            reject(err.message);
+        }
+    });
+
+    conn.on('data', (message) => {
+        incoming = incoming.then(() => handle(message)).catch((err) => {
+            console.error('Pairing message failed:', err);
+        });
+    });
+
+    conn.on('close', () => {
+        clearTimeout(timer);
+        channel.open = false;
+        emit('close');
+    });
+
+    conn.on('error', err => emit('error', err));
+
+    return channel;
+}
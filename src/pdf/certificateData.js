@@ -0,0 +1,155 @@
+// --- Machine-readable certificate data inside the PDF ---
+//
+// Besides the drawn text every PDF carries its form data twice: in the
+// document properties (title, subject, keywords — what file managers and
+// search indexes show) and in full as a JSON file attachment, which tools can
+// read without OCR and which "open existing certificate" restores the form from.
+// The attachment is written uncompressed through jsPDF's output events, the
+// same way its own addJS and addMetadata plugins add objects. PDF/A-2 files
+// may only attach other PDF/A files, so archival copies keep the JSON in their
+// XMP metadata instead (see pdfa.js).
+
+import { version as APP_VERSION } from '../../package.json';
+import { translate } from '../i18n';
+
+export const PAYLOAD_FORMAT = 'ovikreta-igazolas';
+const PAYLOAD_VERSION = 1;
+const PAYLOAD_FILENAME = 'igazolas.json';
+const PAYLOAD_NS = 'urn:ovikreta-igazolas:payload:1/';
+
+/**
+ * The JSON stored in the PDF: the form as archived in the history (see
+ * history.js) plus what produced it.
+ */
+export function certificatePayload(form, signatureMethod) {
+    return {
+        format: PAYLOAD_FORMAT,
+        formatVersion: PAYLOAD_VERSION,
+        appVersion: APP_VERSION,
+        createdAt: new Date().toISOString(),
+        signatureMethod,
+        ...form,
+    };
+}
+
+/** Title, subject, author and keywords in the document's language, for setDocumentProperties. */
+export function certificateProperties(docType, form) {
+    const m = (key, params) => translate(form.locale, key, params);
+    const ranges = (form.absences || []).filter(a => a.from && a.to).map(a => `${a.from} – ${a.to}`);
+    return {
+        title: [m(docType.label), form.childName].filter(Boolean).join(' – '),
+        subject: [form.childName, form.groupName, form.kindergartenName, ...ranges].filter(Boolean).join(', '),
+        author: (form.selectedSignature === 'custom' && form.customSignatureName.trim()) || m('doc.meta.author'),
+        keywords: [m(docType.label), form.childName, form.kindergartenName, form.signatureDate, ...ranges].filter(Boolean).join(', '),
+        creator: `${m('app.title')} ${APP_VERSION}`,
+    };
+}
+
+// UTF-8 bytes as the byte string jsPDF writes out
+function toByteString(text) {
+    let bytes = '';
+    new TextEncoder().encode(text).forEach(byte => { bytes += String.fromCharCode(byte); });
+    return bytes;
+}
+
+/** Embeds the payload as a JSON file attachment (listed in the viewer's attachments panel). */
+export function attachPayload(doc, payload) {
+    const content = toByteString(JSON.stringify(payload, null, 2));
+    let fileSpec;
+    doc.internal.events.subscribe('postPutResources', function () {
+        const stream = this.internal.newObject();
+        this.internal.write(`<< /Type /EmbeddedFile /Subtype /application#2Fjson /Length ${content.length} /Params << /Size ${content.length} >> >>`);
+        this.internal.write('stream');
+        this.internal.write(content);
+        this.internal.write('endstream');
+        this.internal.write('endobj');
+
+        fileSpec = this.internal.newObject();
+        this.internal.write(`<< /Type /Filespec /F (${PAYLOAD_FILENAME}) /UF (${PAYLOAD_FILENAME}) /Desc (${PAYLOAD_FORMAT}) /EF << /F ${stream} 0 R >> >>`);
+        this.internal.write('endobj');
+    });
+    doc.internal.events.subscribe('putCatalog', function () {
+        if (fileSpec) this.internal.write(`/Names << /EmbeddedFiles << /Names [(${PAYLOAD_FILENAME}) ${fileSpec} 0 R] >> >>`);
+    });
+}
+
+const escapeXml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const unescapeXml = text => text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+/**
+ * The payload as XMP: an `ovk:payload` property holding the JSON, and the
+ * extension schema PDF/A requires for properties outside the standard ones.
+ */
+export function payloadXmp(payload) {
+    return `<rdf:Description rdf:about="" xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/" xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#" xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+<pdfaExtension:schemas><rdf:Bag><rdf:li rdf:parseType="Resource">
+<pdfaSchema:schema>Certificate form data</pdfaSchema:schema>
+<pdfaSchema:namespaceURI>${PAYLOAD_NS}</pdfaSchema:namespaceURI>
+<pdfaSchema:prefix>ovk</pdfaSchema:prefix>
+<pdfaSchema:property><rdf:Seq><rdf:li rdf:parseType="Resource">
+<pdfaProperty:name>payload</pdfaProperty:name>
+<pdfaProperty:valueType>Text</pdfaProperty:valueType>
+<pdfaProperty:category>external</pdfaProperty:category>
+<pdfaProperty:description>The form data of the certificate as JSON</pdfaProperty:description>
+</rdf:li></rdf:Seq></pdfaSchema:property>
+</rdf:li></rdf:Bag></pdfaExtension:schemas>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:ovk="${PAYLOAD_NS}">
+<ovk:payload>${escapeXml(JSON.stringify(payload))}</ovk:payload>
+</rdf:Description>`;
+}
+
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads the payload back from a PDF made by this app, from its attachment or
+ * (PDF/A copies) its XMP metadata. Embedded files are found by their object
+ * dictionaries, so a viewer re-saving the file with compressed streams is
+ * fine; a PDF that packs its objects into object streams is not.
+ * @param {Blob} file
+ * @returns {Promise<object | null>} the payload, or null when the PDF has none
+ */
+export async function readPayload(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+
+    for (let at = text.indexOf('/EmbeddedFile'); at !== -1; at = text.indexOf('/EmbeddedFile', at + 1)) {
+        if (/[A-Za-z]/.test(text[at + 13])) continue; // /EmbeddedFiles in the name tree
+        const dictStart = text.lastIndexOf('obj', at);
+        const streamAt = text.indexOf('stream', at);
+        if (dictStart === -1 || streamAt === -1) continue;
+        const dict = text.slice(dictStart, streamAt);
+
+        let start = streamAt + 6;
+        if (text[start] === '\r') start++;
+        if (text[start] === '\n') start++;
+        const length = dict.match(/\/Length (\d+)(?!\d| \d+ R)/);
+        const end = length ? start + Number(length[1]) : text.indexOf('endstream', start);
+
+        try {
+            let data = bytes.subarray(start, end);
+            if (/\/Filter\s*\/FlateDecode/.test(dict)) data = await inflate(data);
+            else if (/\/Filter/.test(dict)) continue;
+            const payload = JSON.parse(new TextDecoder().decode(data));
+            if (payload && payload.format === PAYLOAD_FORMAT) return payload;
+        } catch {
+            // some other attachment; keep looking
+        }
+    }
+
+    const open = text.indexOf('<ovk:payload>');
+    const close = text.indexOf('</ovk:payload>', open);
+    if (open === -1 || close === -1) return null;
+    try {
+        const payload = JSON.parse(unescapeXml(new TextDecoder().decode(bytes.subarray(open + 13, close))));
+        return payload && payload.format === PAYLOAD_FORMAT ? payload : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,191 @@
+// --- PDF/A-2b archival output ---
+//
+// What jsPDF leaves out of a PDF/A-2b file is added around a normally rendered
+// document: XMP metadata mirroring the document properties, an sRGB output
+// intent (the ICC profile is built here rather than shipped as a binary) and
+// the complete font programs instead of jsPDF's used-glyphs-only copies.
+// Transparency is the caller's part: signatures are flattened before they are
+// drawn (see flattenVector and flattenImage).
+
+import { jsPDF } from 'jspdf';
+import { payloadXmp } from './certificateData';
+
+/** jsPDF options an archival document must be created with: no unembedded standard fonts listed. */
+export const PDFA_OPTIONS = { putOnlyUsedFonts: true };
+
+const SRGB = 'sRGB IEC61966-2.1';
+
+// --- sRGB ICC profile (version 2, matrix/TRC display profile) ---
+
+const D50 = [0.9642, 1, 0.8249];
+const D65 = [0.9505, 1, 1.089];
+// sRGB primaries adapted to D50 (Bradford)
+const PRIMARIES = {
+    rXYZ: [0.4361, 0.2225, 0.0139],
+    gXYZ: [0.3851, 0.7169, 0.0971],
+    bXYZ: [0.1431, 0.0606, 0.7141],
+};
+const TRC_POINTS = 1024;
+
+function ascii(text) {
+    return Array.from(text, c => c.charCodeAt(0));
+}
+
+function u16(value) {
+    return [(value >> 8) & 0xff, value & 0xff];
+}
+
+function u32(value) {
+    return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+const s15Fixed16 = value => u32(Math.round(value * 65536) | 0);
+
+function xyzType([x, y, z]) {
+    return [...ascii('XYZ '), ...u32(0), ...s15Fixed16(x), ...s15Fixed16(y), ...s15Fixed16(z)];
+}
+
+function textType(text) {
+    return [...ascii('text'), ...u32(0), ...ascii(text), 0];
+}
+
+function descType(text) {
+    return [...ascii('desc'), ...u32(0), ...u32(text.length + 1), ...ascii(text), 0,
+        ...u32(0), ...u32(0), ...u16(0), 0, ...new Array(67).fill(0)];
+}
+
+// The sRGB transfer curve, sampled
+function curveType() {
+    const curve = [...ascii('curv'), ...u32(0), ...u32(TRC_POINTS)];
+    for (let i = 0; i < TRC_POINTS; i++) {
+        const v = i / (TRC_POINTS - 1);
+        const linear = v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+        curve.push(...u16(Math.round(linear * 65535)));
+    }
+    return curve;
+}
+
+/** An sRGB ICC profile as a byte string. */
+function srgbProfile() {
+    const curve = curveType();
+    const tags = [
+        ['desc', descType(SRGB)],
+        ['cprt', textType('No copyright, use freely')],
+        ['wtpt', xyzType(D65)],
+        ...Object.entries(PRIMARIES).map(([sig, xyz]) => [sig, xyzType(xyz)]),
+        ['rTRC', curve],
+        ['gTRC', curve],
+        ['bTRC', curve],
+    ];
+
+    const table = [...u32(tags.length)];
+    const data = [];
+    const offsets = new Map();
+    let offset = 128 + 4 + tags.length * 12;
+    tags.forEach(([sig, bytes]) => {
+        if (!offsets.has(bytes)) {
+            offsets.set(bytes, offset);
+            const padded = [...bytes, ...new Array((4 - bytes.length % 4) % 4).fill(0)];
+            data.push(...padded);
+            offset += padded.length;
+        }
+        table.push(...ascii(sig), ...u32(offsets.get(bytes)), ...u32(bytes.length));
+    });
+
+    const header = [
+        ...u32(offset), ...u32(0), ...u32(0x02100000),
+        ...ascii('mntr'), ...ascii('RGB '), ...ascii('XYZ '),
+        ...u16(2025), ...u16(1), ...u16(1), ...u16(0), ...u16(0), ...u16(0),
+        ...ascii('acsp'), ...u32(0), ...u32(0), ...u32(0), ...u32(0), ...u32(0), ...u32(0),
+        ...u32(0), // perceptual
+        ...s15Fixed16(D50[0]), ...s15Fixed16(D50[1]), ...s15Fixed16(D50[2]),
+        ...u32(0), ...new Array(44).fill(0),
+    ];
+
+    let profile = '';
+    [...header, ...table, ...data].forEach(byte => { profile += String.fromCharCode(byte); });
+    return profile;
+}
+
+// --- XMP metadata ---
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// The same moment as jsPDF's CreationDate, in XMP's notation
+function xmpDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const zone = `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}${zone}`;
+}
+
+// Every Info dictionary entry jsPDF writes has its XMP counterpart, as PDF/A requires
+function metadata({ title, subject, author, keywords, creator }, payload, date) {
+    const alt = text => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+    const created = xmpDate(date);
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+<pdfaid:part>2</pdfaid:part>
+<pdfaid:conformance>B</pdfaid:conformance>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:format>application/pdf</dc:format>
+${title ? `<dc:title>${alt(title)}</dc:title>` : ''}
+${subject ? `<dc:description>${alt(subject)}</dc:description>` : ''}
+${author ? `<dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>` : ''}
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+<xmp:CreateDate>${created}</xmp:CreateDate>
+<xmp:MetadataDate>${created}</xmp:MetadataDate>
+${creator ? `<xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>` : ''}
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+<pdf:Producer>jsPDF ${jsPDF.version}</pdf:Producer>
+${keywords ? `<pdf:Keywords>${escapeXml(keywords)}</pdf:Keywords>` : ''}
+</rdf:Description>
+${payload ? payloadXmp(payload) : ''}
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+// jsPDF only writes the glyphs a document used; archival copies carry whole fonts
+function embedFontsFully(doc) {
+    Object.entries(doc.getFontList()).forEach(([family, styles]) => styles.forEach(style => {
+        const font = doc.internal.getFont(family, style);
+        if (!font.metadata || !font.metadata.glyIdsUsed) return; // standard fonts, never embedded
+        for (let id = 0; id < font.metadata.maxp.numGlyphs; id++) font.metadata.glyIdsUsed.push(id);
+    }));
+}
+
+/**
+ * Turns a rendered document into a PDF/A-2b file when it is written out.
+ * Call after rendering, on a document created with PDFA_OPTIONS.
+ * @param {jsPDF} doc
+ * @param {{ properties: object, payload?: object, date?: Date }} options - the document
+ *   properties as passed to setDocumentProperties, and the certificate data to keep in the XMP
+ */
+export function makePdfA(doc, { properties, payload, date = new Date() }) {
+    doc.setCreationDate(date);
+    embedFontsFully(doc);
+    doc.addMetadata(metadata(properties, payload, date), true);
+
+    const profile = srgbProfile();
+    let profileObject;
+    doc.internal.events.subscribe('postPutResources', function () {
+        profileObject = this.internal.newObject();
+        this.internal.write(`<< /N 3 /Length ${profile.length} >>`);
+        this.internal.write('stream');
+        this.internal.write(profile);
+        this.internal.write('endstream');
+        this.internal.write('endobj');
+    });
+    doc.internal.events.subscribe('putCatalog', function () {
+        if (!profileObject) return;
+        this.internal.write(`/OutputIntents [<< /Type /OutputIntent /S /GTS_PDFA1 /OutputConditionIdentifier (${SRGB}) /Info (${SRGB}) /DestOutputProfile ${profileObject} 0 R >>]`);
+    });
+}
@@ -0,0 +1,257 @@
+// --- Declarative PDF layout renderer ---
+//
+// A template is a plain object: page geometry, a base font and a list of
+// blocks laid out top to bottom. Every measurement (wrapping, underline
+// widths, page breaks, footer placement) happens here, so templates only
+// describe *what* goes on the page.
+//
+// Any text-like property may be a string or a function `(data, scope) => string`,
+// where `scope` is `{ item, index, count }` inside a `repeat` block.
+//
+// Block types (all accept `spaceBefore` in mm and an optional `when` predicate):
+//  - text      { text, style, size, color, align, underline }
+//  - field     { value, placeholder, align, caption, minWidth } — dotted underline, wraps
+//  - runs      { runs: [{ text } | { field, minWidth, after }] } — one inline line; runs accept `when` too,
+//              and the list itself may be a function for language-dependent word order
+//  - repeat    { items, gap, blocks }
+//  - footer    { minY, runs, signature: { width, caption, maxWidth, maxHeight, image } }
+//              where `image` resolves to { dataUrl, aspectRatio, opaque } (PNG, or a JPEG
+//              when opaque) or { vector } (see signatureVector.js), fitted into maxWidth × maxHeight
+//  - stamp     { size, lines, qr } — small print at the bottom of the page with a
+//              size × size vector QR code on the right (a new page if the content reaches it)
+
+const DOTTED = [0.8, 1.2];
+const FIELD_COLOR = [100, 100, 100];
+const CAPTION_COLOR = [150, 150, 150];
+const CAPTION_SIZE = 8;
+const LINE_WIDTH = 0.4;
+
+function resolve(value, data, scope) {
+    return typeof value === 'function' ? value(data, scope) : value;
+}
+
+function setStyle(ctx, { style = 'normal', size, color } = {}) {
+    const { doc, template } = ctx;
+    doc.setFont(template.font.family, style);
+    doc.setFontSize(size || template.font.size);
+    doc.setTextColor(...(color || [0, 0, 0]));
+}
+
+function dottedLine(doc, x1, y, x2) {
+    doc.setLineDashPattern(DOTTED, 0);
+    doc.setDrawColor(...FIELD_COLOR);
+    doc.line(x1, y, x2, y);
+    doc.setLineDashPattern([], 0);
+}
+
+// Starts a new page when `height` more millimetres would not fit; returns whether it did
+function ensureSpace(ctx, height) {
+    if (ctx.y + height <= ctx.bottom) return false;
+    ctx.doc.addPage();
+    ctx.y = ctx.template.page.top;
+    return true;
+}
+
+// Vector signature scaled into the box at (x, y); see signatureVector.js for the format
+function drawVector(doc, vector, x, y, width) {
+    const scale = width / vector.width;
+    const px = (vx, vy) => [x + vx * scale, y + vy * scale];
+
+    doc.setLineCap('round');
+    doc.setLineJoin('round');
+    vector.paths.forEach(path => {
+        doc.setDrawColor(path.color || vector.color);
+        doc.setFillColor(path.color || vector.color);
+        if (path.opacity < 1) doc.setGState(new doc.GState({ opacity: path.opacity, 'stroke-opacity': path.opacity }));
+        doc.setLineWidth(path.lineWidth * scale);
+        path.commands.forEach(([op, ...c]) => {
+            if (op === 'M') doc.moveTo(...px(c[0], c[1]));
+            else if (op === 'L') doc.lineTo(...px(c[0], c[1]));
+            else if (op === 'C') doc.curveTo(...px(c[0], c[1]), ...px(c[2], c[3]), ...px(c[4], c[5]));
+            else doc.close();
+        });
+        if (path.fill && path.stroke) doc.fillStroke();
+        else if (path.fill) (path.evenOdd ? doc.fillEvenOdd() : doc.fill());
+        else doc.stroke();
+        if (path.opacity < 1) doc.setGState(new doc.GState({ opacity: 1, 'stroke-opacity': 1 }));
+    });
+    doc.setLineCap('butt');
+    doc.setLineJoin('miter');
+    doc.setLineWidth(LINE_WIDTH);
+}
+
+function alignedX(ctx, align, width) {
+    if (align === 'center') return ctx.cx - width / 2;
+    if (align === 'right') return ctx.right - width;
+    return ctx.left;
+}
+
+// Draws wrapped lines; ctx.y ends on the baseline of the last one
+function drawLines(ctx, lines, block, decorate) {
+    const { doc } = ctx;
+    const lineHeight = block.lineHeight || ctx.template.font.lineHeight;
+    lines.forEach((line, i) => {
+        if (i > 0) {
+            ensureSpace(ctx, lineHeight);
+            ctx.y += lineHeight;
+        }
+        const width = doc.getTextWidth(line);
+        const x = alignedX(ctx, block.align, width);
+        doc.text(line, x, ctx.y);
+        if (decorate) decorate(x, width);
+    });
+}
+
+const renderers = {
+    text(ctx, block, data, scope) {
+        const { doc } = ctx;
+        setStyle(ctx, block);
+        const text = resolve(block.text, data, scope);
+        const lines = doc.splitTextToSize(text, ctx.contentWidth);
+        drawLines(ctx, lines, block, block.underline && ((x, width) => {
+            doc.setDrawColor(0, 0, 0);
+            doc.line(x, ctx.y + 1.5, x + width, ctx.y + 1.5);
+        }));
+    },
+
+    field(ctx, block, data, scope) {
+        const { doc } = ctx;
+        setStyle(ctx, block);
+        const text = resolve(block.value, data, scope) || block.placeholder || '';
+        const lines = doc.splitTextToSize(text, ctx.contentWidth);
+        // Each wrapped line gets its own underline, measured on that line only
+        drawLines(ctx, lines, block, (x, width) => {
+            const extra = Math.max(0, (block.minWidth || 0) - width);
+            const x1 = block.align === 'center' ? x - extra / 2 : x;
+            dottedLine(doc, x1, ctx.y + (block.underlineOffset ?? 1), x1 + width + extra);
+        });
+
+        if (block.caption) {
+            ctx.y += block.captionGap ?? 6;
+            setStyle(ctx, { size: CAPTION_SIZE, color: CAPTION_COLOR });
+            const centered = block.align === 'center';
+            doc.text(resolve(block.caption, data, scope), centered ? ctx.cx : ctx.left, ctx.y, { align: centered ? 'center' : 'left' });
+        }
+    },
+
+    runs(ctx, block, data, scope) {
+        setStyle(ctx, block);
+        drawRuns(ctx, resolve(block.runs, data, scope), ctx.left, ctx.y, data, scope);
+    },
+
+    repeat(ctx, block, data) {
+        const items = resolve(block.items, data) || [];
+        items.forEach((item, index) => {
+            const scope = { item, index, count: items.length };
+            if (index > 0) ctx.y += block.gap || 0;
+            renderBlocks(ctx, block.blocks, data, scope);
+        });
+    },
+
+    footer(ctx, block, data, scope) {
+        const { doc } = ctx;
+        const sig = block.signature;
+        ctx.y = Math.max(block.minY || 0, ctx.y);
+        ensureSpace(ctx, 20);
+
+        setStyle(ctx, block);
+        drawRuns(ctx, resolve(block.runs, data, scope), ctx.left, ctx.y, data, scope);
+
+        if (!sig) return;
+        const sigX = ctx.right - sig.width;
+        const lineY = ctx.y + 2;
+        dottedLine(doc, sigX, lineY, sigX + sig.width);
+
+        setStyle(ctx, { size: CAPTION_SIZE, color: CAPTION_COLOR });
+        doc.text(resolve(sig.caption, data, scope), sigX + sig.width / 2, lineY + 5, { align: 'center' });
+
+        const image = resolve(sig.image, data, scope);
+        if (image && (image.dataUrl || image.vector)) {
+            const aspectRatio = image.vector ? image.vector.width / image.vector.height : image.aspectRatio;
+            const maxW = sig.maxWidth, maxH = sig.maxHeight;
+            let imgW = maxW, imgH = maxH;
+            if (aspectRatio) {
+                if (aspectRatio > maxW / maxH) {
+                    imgW = maxW;
+                    imgH = maxW / aspectRatio;
+                } else {
+                    imgH = maxH;
+                    imgW = maxH * aspectRatio;
+                }
+            }
+            const imgX = sigX + (sig.width - imgW) / 2;
+            if (image.vector) drawVector(doc, image.vector, imgX, lineY - imgH, imgW);
+            else doc.addImage(image.dataUrl, image.opaque ? 'JPEG' : 'PNG', imgX, lineY - imgH, imgW, imgH);
+            // An opaque image hides the line where it overlaps it
+            if (image.opaque) dottedLine(doc, sigX, lineY, sigX + sig.width);
+        }
+        ctx.y = lineY + 5;
+    },
+
+    stamp(ctx, block, data, scope) {
+        const { doc } = ctx;
+        const size = block.size;
+        const top = ctx.bottom - size;
+        if (ctx.y + 4 > top) doc.addPage();
+
+        const qr = resolve(block.qr, data, scope);
+        if (qr) drawVector(doc, qr, ctx.right - size, top, size);
+
+        // Lines sit on the QR code's bottom edge, the last one lowest
+        setStyle(ctx, { size: CAPTION_SIZE - 1, color: CAPTION_COLOR });
+        const lines = resolve(block.lines, data, scope) || [];
+        lines.forEach((line, i) => doc.text(line, ctx.left, ctx.bottom - (lines.length - 1 - i) * 3.5));
+        ctx.y = ctx.bottom;
+    },
+};
+
+function drawRuns(ctx, runs, x, y, data, scope) {
+    const { doc } = ctx;
+    runs.forEach(run => {
+        if (run.when && !resolve(run.when, data, scope)) return;
+        if (run.field) {
+            const text = resolve(run.field, data, scope) || run.placeholder || '';
+            const w = Math.max(doc.getTextWidth(text), run.minWidth || 10);
+            doc.text(text, x, y);
+            dottedLine(doc, x, y + 1, x + w);
+            x += w + (run.after ?? 1);
+        } else {
+            const text = resolve(run.text, data, scope);
+            doc.text(text, x, y);
+            x += doc.getTextWidth(text);
+        }
+    });
+}
+
+// The first block of a list (and of every repeated item) ignores its spaceBefore;
+// the enclosing block or the repeat gap already positioned it
+function renderBlocks(ctx, blocks, data, scope) {
+    blocks.forEach((block, i) => {
+        if (block.when && !resolve(block.when, data, scope)) return;
+        const space = i === 0 ? 0 : (block.spaceBefore || 0);
+        const contained = block.type === 'repeat' || block.type === 'footer' || block.type === 'stamp';
+        if (contained || !ensureSpace(ctx, space + ctx.template.font.lineHeight)) ctx.y += space;
+        renderers[block.type](ctx, block, data, scope);
+    });
+}
+
+/**
+ * Renders `template` into a jsPDF document (unit: mm). Fonts named in the
+ * template must already be registered on `doc`.
+ */
+export function renderTemplate(doc, template, data) {
+    const { page } = template;
+    const ctx = {
+        doc,
+        template,
+        left: page.marginX,
+        right: page.width - page.marginX,
+        cx: page.width / 2,
+        contentWidth: page.width - page.marginX * 2,
+        bottom: page.height - page.marginBottom,
+        y: page.top,
+    };
+    doc.setLineWidth(LINE_WIDTH);
+    renderBlocks(ctx, template.blocks, data, null);
+    doc.setLineDashPattern([], 0);
+}
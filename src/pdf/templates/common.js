@@ -0,0 +1,119 @@
+// --- Building blocks shared by the document templates ---
+//
+// Template data carries `locale`, the document language; every text goes
+// through the message catalogues in that language.
+
+import { absenceDateParts, signatureDateParts } from '../../dateFormat';
+import { translate } from '../../i18n';
+
+const GREY = [120, 120, 120];
+const BLANK_WIDTHS = { year: 10, month: 18, day: 6 };
+
+export const page = { width: 210, height: 297, marginX: 25, top: 30, marginBottom: 17 };
+export const font = { family: 'NotoSerif', size: 11, lineHeight: 6 };
+
+/** Resolver for a catalogue message in the document language. */
+export function msg(key, params) {
+    return d => translate(d.locale, key, params);
+}
+
+/** Message chosen by the institution kind ('óvoda' or 'iskola') of documents that cover both. */
+export function byInstitutionKind(kindergartenKey, schoolKey, params) {
+    return d => translate(d.locale, d.institutionKind === 'iskola' ? schoolKey : kindergartenKey, params && params(d));
+}
+
+export function headerBlocks(titleKey) {
+    return [
+        { type: 'text', text: 'OVIKRÉTA', style: 'bold', size: 13, color: GREY, align: 'center' },
+        { type: 'text', text: msg(titleKey), style: 'bold', size: 15, align: 'center', underline: true, spaceBefore: 14 },
+    ];
+}
+
+export function institutionBlock(captionKey) {
+    return {
+        type: 'field',
+        value: d => d.kindergartenName,
+        placeholder: '.......................................................',
+        align: 'center',
+        underlineOffset: 2,
+        caption: msg(captionKey),
+        spaceBefore: 14,
+    };
+}
+
+export function childBlock(spaceBefore = 6) {
+    return {
+        type: 'field',
+        value: d => (d.childName && d.groupName ? `${d.childName} (${d.groupName})` : d.childName),
+        placeholder: '.................................',
+        align: 'center',
+        spaceBefore,
+    };
+}
+
+// Date parts from dateFormat.js as runs: blanks become dotted fields
+function dateRuns(parts) {
+    return parts.map(part => (part.blank
+        ? { field: part.value, minWidth: BLANK_WIDTHS[part.blank] }
+        : { text: part.text }));
+}
+
+const rangeParts = (d, { item, index, count }) => absenceDateParts(item, d.locale, { last: index === count - 1 });
+
+// One two-line block per range; whatever follows sits below the last one
+export function absenceRangesBlock(spaceBefore = 9) {
+    return {
+        type: 'repeat',
+        items: d => d.absences,
+        spaceBefore,
+        gap: 8,
+        blocks: [
+            { type: 'runs', runs: (d, scope) => dateRuns(rangeParts(d, scope).from) },
+            { type: 'runs', spaceBefore: 6, runs: (d, scope) => dateRuns(rangeParts(d, scope).to) },
+        ],
+    };
+}
+
+// unitKey is a plural message key, or a function of the data returning one
+export function dayCountBlock(unitKey) {
+    return {
+        type: 'text',
+        when: d => d.printDayCount && d.kindergartenDays > 0,
+        text: d => translate(d.locale, 'doc.dayTotal', {
+            days: `${d.kindergartenDays} ${translate(d.locale, typeof unitKey === 'function' ? unitKey(d) : unitKey, { count: d.kindergartenDays })}`,
+        }),
+        spaceBefore: 8,
+    };
+}
+
+export function footerBlock(spaceBefore = 34) {
+    return {
+        type: 'footer',
+        minY: 140,
+        spaceBefore,
+        runs: d => [{ text: 'Budapest, ' }, ...dateRuns(signatureDateParts(d.signatureDate, d.locale))],
+        signature: {
+            width: 55,
+            caption: msg('doc.signatureCaption'),
+            maxWidth: 50,
+            maxHeight: 14,
+            image: d => d.signature,
+        },
+    };
+}
+
+// Verification code, signature ID and QR code (see verification.js); only
+// printed when the data carries `verification`
+export function verificationBlock() {
+    return {
+        type: 'stamp',
+        when: d => !!d.verification,
+        size: 22,
+        qr: d => d.verification.qr,
+        lines: d => [
+            translate(d.locale, 'doc.verification.code', { code: d.verification.code }),
+            translate(d.locale, 'doc.verification.signature', { id: d.verification.sigId }),
+            translate(d.locale, 'doc.verification.where', { url: d.verification.pageUrl }),
+        ],
+    };
+}
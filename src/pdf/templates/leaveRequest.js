@@ -0,0 +1,29 @@
+// --- "TÁVOLMARADÁSI KÉRELEM", sent before a planned absence ---
+//
+// Data: absence-certificate data plus { institutionKind, reason, dayUnit }
+// (the day count's unit, see dayUnitOf in documentTypes.js)
+
+import { page, font, msg, byInstitutionKind, headerBlocks, institutionBlock, childBlock, absenceRangesBlock, dayCountBlock, footerBlock, verificationBlock } from './common';
+
+export default {
+    page,
+    font,
+    blocks: [
+        ...headerBlocks('doc.leaveRequest.title'),
+        institutionBlock('doc.institutionName'),
+        { type: 'text', text: msg('doc.leave.intro'), spaceBefore: 14 },
+        childBlock(),
+        {
+            type: 'text',
+            text: byInstitutionKind('doc.leave.fromKindergarten', 'doc.leave.fromSchool', d => ({ count: d.absences.length })),
+            spaceBefore: 7,
+        },
+        absenceRangesBlock(),
+        dayCountBlock(d => d.dayUnit),
+        { type: 'text', text: msg('doc.leave.reason'), spaceBefore: 10 },
+        { type: 'field', value: d => d.reason, placeholder: '.......................................................', spaceBefore: 6 },
+        { type: 'text', text: msg('doc.leave.closing'), spaceBefore: 10 },
+        footerBlock(30),
+        verificationBlock(),
+    ],
+};
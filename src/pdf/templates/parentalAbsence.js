@@ -0,0 +1,28 @@
+// --- "SZÜLŐI IGAZOLÁS" kindergarten absence certificate ---
+//
+// Data: { locale, kindergartenName, childName, groupName, absences, printDayCount,
+//         kindergartenDays, signatureDate, signature: { dataUrl, aspectRatio } | { vector },
+//         verification: { code, sigId, pageUrl, qr } (optional) }
+
+import { page, font, msg, headerBlocks, institutionBlock, childBlock, absenceRangesBlock, dayCountBlock, footerBlock, verificationBlock } from './common';
+import { translate } from '../../i18n';
+
+export default {
+    page,
+    font,
+    blocks: [
+        ...headerBlocks('doc.parentalNote.title'),
+        institutionBlock('doc.kindergartenName'),
+        { type: 'text', text: msg('doc.certifyIntro'), spaceBefore: 14 },
+        childBlock(),
+        {
+            type: 'text',
+            text: d => translate(d.locale, 'doc.absentFromKindergarten', { count: d.absences.length }),
+            spaceBefore: 7,
+        },
+        absenceRangesBlock(),
+        dayCountBlock('units.kindergartenDay'),
+        footerBlock(),
+        verificationBlock(),
+    ],
+};
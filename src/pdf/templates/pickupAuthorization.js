@@ -0,0 +1,45 @@
+// --- "MEGHATALMAZÁS" for another adult to pick the child up ---
+//
+// Data: { locale, kindergartenName, childName, groupName, institutionKind, proxyName,
+//         proxyIdNumber, proxyRelation, validity, signatureDate, signature, verification }
+
+import { page, font, msg, byInstitutionKind, headerBlocks, institutionBlock, childBlock, footerBlock, verificationBlock } from './common';
+import { translate } from '../../i18n';
+
+export default {
+    page,
+    font,
+    blocks: [
+        ...headerBlocks('doc.pickup.title'),
+        institutionBlock('doc.institutionName'),
+        { type: 'text', text: msg('doc.pickup.intro'), spaceBefore: 14 },
+        {
+            type: 'field',
+            value: d => (d.proxyName && d.proxyRelation ? `${d.proxyName} (${d.proxyRelation})` : d.proxyName),
+            placeholder: '.................................',
+            align: 'center',
+            spaceBefore: 6,
+        },
+        {
+            type: 'runs',
+            spaceBefore: 7,
+            runs: [
+                { text: msg('doc.pickup.idNumber') },
+                { field: d => d.proxyIdNumber, placeholder: '...............', minWidth: 30 },
+            ],
+        },
+        { type: 'text', text: msg('doc.pickup.child'), spaceBefore: 7 },
+        childBlock(),
+        { type: 'text', text: byInstitutionKind('doc.pickup.fromKindergarten', 'doc.pickup.fromSchool'), spaceBefore: 7 },
+        {
+            type: 'runs',
+            spaceBefore: 10,
+            runs: [
+                { text: msg('doc.pickup.validity') },
+                { field: d => d.validity || translate(d.locale, 'doc.pickup.untilRevoked'), minWidth: 40 },
+            ],
+        },
+        footerBlock(30),
+        verificationBlock(),
+    ],
+};
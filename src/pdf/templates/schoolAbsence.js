@@ -0,0 +1,25 @@
+// --- "SZÜLŐI IGAZOLÁS" school absence certificate ---
+//
+// Same data as the kindergarten certificate; groupName holds the class.
+
+import { page, font, msg, headerBlocks, institutionBlock, childBlock, absenceRangesBlock, footerBlock, verificationBlock } from './common';
+import { translate } from '../../i18n';
+
+export default {
+    page,
+    font,
+    blocks: [
+        ...headerBlocks('doc.parentalNote.title'),
+        institutionBlock('doc.schoolName'),
+        { type: 'text', text: msg('doc.certifyIntro'), spaceBefore: 14 },
+        childBlock(),
+        {
+            type: 'text',
+            text: d => translate(d.locale, 'doc.absentFromSchool', { count: d.absences.length }),
+            spaceBefore: 7,
+        },
+        absenceRangesBlock(),
+        footerBlock(),
+        verificationBlock(),
+    ],
+};
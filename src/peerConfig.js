@@ -0,0 +1,55 @@
+// --- PeerJS signalling, ICE servers and relay ---
+//
+// Phone signing pairs the two devices through a PeerJS signalling server.
+// Without configuration that is the public PeerJS cloud broker; a self-hosted
+// one (see server/) is set at build time through VITE_PEER_* variables, which
+// .env.example describes, as is the relay used when WebRTC is blocked
+// (VITE_RELAY_URL). Desktop and phone run the same build, so they always meet
+// on the same servers, and back off the same way when a connection drops.
+
+const env = import.meta.env;
+
+// RTCIceServer list as JSON, e.g. [{"urls":"stun:stun.example.org"}]
+function iceServers() {
+    if (!env.VITE_ICE_SERVERS) return null;
+    try {
+        const servers = JSON.parse(env.VITE_ICE_SERVERS);
+        if (Array.isArray(servers)) return servers;
+    } catch { }
+    console.warn('Ignoring VITE_ICE_SERVERS: not a JSON array of ICE servers');
+    return null;
+}
+
+/** Options for `new Peer()`; empty when the PeerJS cloud defaults apply. */
+export function peerOptions() {
+    const options = {};
+    if (env.VITE_PEER_HOST) {
+        const secure = env.VITE_PEER_SECURE
+            ? env.VITE_PEER_SECURE === 'true'
+            : window.location.protocol === 'https:';
+        // '/' is the host serving the app (PeerJS resolves it the same way)
+        const samePort = env.VITE_PEER_HOST === '/' && window.location.port;
+        options.host = env.VITE_PEER_HOST;
+        options.port = Number(env.VITE_PEER_PORT) || Number(samePort) || (secure ? 443 : 80);
+        options.path = env.VITE_PEER_PATH || '/';
+        options.secure = secure;
+        if (env.VITE_PEER_KEY) options.key = env.VITE_PEER_KEY;
+    }
+    const servers = iceServers();
+    if (servers) options.config = { iceServers: servers };
+    return options;
+}
+
+/** Base URL of the WebSocket relay (see relay.js), or null when there is none. */
+export function relayUrl() {
+    if (!env.VITE_RELAY_URL) return null;
+    return new URL(env.VITE_RELAY_URL, window.location.href).href.replace(/\/$/, '');
+}
+
+// Waits between reconnection attempts: quick at first, then every half minute
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 20000, 30000];
+
+/** How long to wait before reconnection attempt number `attempt` (counting from 0). */
+export function reconnectDelay(attempt) {
+    return RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)];
+}
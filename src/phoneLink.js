@@ -0,0 +1,380 @@
+// --- Phone pairing channel (desktop side) ---
+//
+// The PeerJS peer behind "sign on phone" belongs to the form rather than to
+// the QR modal. While the phone is connected it is sent the document being
+// signed ({ type: 'document' }), kept current as the form changes, for the
+// signer to review and confirm; once the phone has sent its signature the
+// connection stays open, and every PDF generated afterwards is pushed back to
+// the phone (see MobileSignPage), where it can be downloaded or shared. The
+// signature and the PDFs are delivered and confirmed (see phoneProtocol.js):
+// a PDF counts as sent once the phone has it.
+//
+// The phone can also edit the form (see MobileFormEditor). The desktop owns
+// the data: it sends its fields ({ type: 'fields', fields, ack }) whenever
+// they change, the phone sends numbered patches ({ type: 'edit', seq, patch })
+// and `ack` is the last patch applied, so the phone knows which of its own
+// edits are still in flight and keeps them on top.
+//
+// When a relay is configured (see relay.js) the desktop also waits there, and
+// the QR code carries the relay session: a phone whose WebRTC connection does
+// not open in time tries the relay too. Should both get through, the desktop
+// decides: it uses the first one and confirms it to the phone
+// ({ type: 'adopted' }), which waits for that and drops the other. Either way
+// the phone has to prove it scanned the QR code, and all traffic is
+// end-to-end encrypted (see pairing.js).
+//
+// A pairing is a small state machine:
+//
+//   idle → connecting → waiting → connected → signed
+//                 ↓         ↓         ↕         ↕
+//               error    expired   reconnecting
+//
+// and incompatible, when the phone runs another version of the page (see
+// phoneProtocol.js): both pages have to be reloaded. A page that is not
+// served over https cannot pair at all (see pairing.js): start() goes
+// straight to insecure.
+//
+// The QR code is good for QR_LIFETIME. A phone that drops out (screen lock,
+// network change) may come back with the same QR code within that time and
+// carries on where it was; meanwhile both transports rejoin their servers
+// with backoff, and a PDF generated in the gap waits for the phone. Only that
+// phone: the QR code's secret is spent on the first connection (see
+// pairing.js). A new
+// pairing can be started in any state without touching the form.
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import Peer from 'peerjs';
+import { peerOptions, relayUrl, reconnectDelay } from './peerConfig';
+import { createRelaySession, connectRelay } from './relay';
+import { createPairingSecret, pairingSupported, secureChannel } from './pairing';
+import { protocolChannel } from './phoneProtocol';
+
+// The relay keeps the session for as long as the desktop holds its seat in it
+// (server/relay.js), so it outlasts the QR code
+const QR_LIFETIME = 5 * 60 * 1000;
+
+/** Address the QR code links to: the mobile signing page for this pairing. */
+function signingUrlFor(peerId, relaySession, secret, mode) {
+    if (!peerId && !relaySession) return null;
+    const params = new URLSearchParams({ secret });
+    if (relaySession) params.set('relay', relaySession);
+    if (mode === 'edit') params.set('mode', mode);
+    return `${window.location.origin}${window.location.pathname}#/sign${peerId ? `/${peerId}` : ''}?${params}`;
+}
+
+/**
+ * Owns the desktop peer, the relay session and the phone's connection.
+ * Statuses: idle | connecting | waiting (QR shown) | connected | signed |
+ * reconnecting (the phone dropped out) | expired | incompatible | insecure | error
+ * `expiresAt` is when the QR code stops working, while no phone is connected.
+ * `rejected` counts the connections of this pairing that failed the check.
+ * `start(mode)` opens the phone in signing ('sign') or editing ('edit') mode,
+ * replacing any previous pairing.
+ * @param {{ document: object, fields: object, onSignature: (dataUrl: string, strokes: Array | null) => void,
+ *   onEdit: (patch: object) => void, onConnect?: (mode: string) => void }} options - the document
+ *   data as the previews take it (shown on the phone), the editable fields, and what to do
+ *   with the phone's signature and edits
+ * @returns {{ status: string, mode: string, signingUrl: string | null, transport: 'webrtc' | 'relay' | null,
+ *   expiresAt: number | null, rejected: number, sentFile: string | null, start: (mode?: string) => void,
+ *   stop: () => void, sendPdf: (blob: Blob, filename: string) => Promise<boolean> }}
+ */
+export function usePhoneLink({ document: documentData, fields, onSignature, onEdit, onConnect }) {
+    const [status, setStatus] = useState('idle');
+    const [peerId, setPeerId] = useState(null);
+    const [relaySession, setRelaySession] = useState(null);
+    const [transport, setTransport] = useState(null);
+    const [secret, setSecret] = useState(null);
+    const [expiresAt, setExpiresAt] = useState(null);
+    const [rejected, setRejected] = useState(0);
+    const [mode, setMode] = useState('sign');
+    const [ack, setAck] = useState(0);
+    const [sentFile, setSentFile] = useState(null);
+    const sessionRef = useRef(null);
+    const connRef = useRef(null);
+    const callbacksRef = useRef({ onSignature, onEdit, onConnect });
+
+    useEffect(() => {
+        callbacksRef.current = { onSignature, onEdit, onConnect };
+    }, [onSignature, onEdit, onConnect]);
+
+    // Sent when the phone connects and again whenever the form changes
+    const documentJson = JSON.stringify(documentData);
+    useEffect(() => {
+        const conn = connRef.current;
+        if (status !== 'connected' || !conn || !conn.open) return;
+        conn.send({ type: 'document', data: JSON.parse(documentJson) }).catch((err) => {
+            console.warn('Failed to send the document to the phone:', err);
+        });
+    }, [status, documentJson]);
+
+    // Likewise the editable fields, and after every patch from the phone
+    const fieldsJson = JSON.stringify(fields);
+    useEffect(() => {
+        const conn = connRef.current;
+        if (status !== 'connected' || !conn || !conn.open) return;
+        conn.send({ type: 'fields', fields: JSON.parse(fieldsJson), ack }).catch((err) => {
+            console.warn('Failed to send the fields to the phone:', err);
+        });
+    }, [status, fieldsJson, ack]);
+
+    const stop = useCallback(() => {
+        const session = sessionRef.current;
+        sessionRef.current = null;
+        connRef.current = null;
+        if (session) session.close();
+        setPeerId(null);
+        setRelaySession(null);
+        setTransport(null);
+        setSecret(null);
+        setExpiresAt(null);
+        setRejected(0);
+        setAck(0);
+        setSentFile(null);
+        setStatus('idle');
+    }, []);
+
+    const start = useCallback((pairingMode = 'sign') => {
+        stop();
+        setMode(pairingMode);
+        // Without a secure context the phone could never prove itself
+        if (!pairingSupported()) {
+            setStatus('insecure');
+            return;
+        }
+        const peer = new Peer(peerOptions());
+        const pairingSecret = createPairingSecret();
+        // What the next handshake has to prove: the QR code's secret until a
+        // phone has been adopted, then the one agreed with it (see pairing.js)
+        let currentSecret = pairingSecret;
+        const timers = new Set();
+        let relay = null;
+        let closed = false;
+        let expiry = null;
+        let signed = false;
+        // A PDF generated while the phone was away, sent when it is back
+        let pendingPdf = null;
+        // Messages from the phone already handled, whichever connection they came on
+        const seen = new Set();
+
+        const session = {
+            dropped: false,
+            queuePdf(pdf) {
+                pendingPdf = pdf;
+            },
+            close() {
+                closed = true;
+                timers.forEach(clearTimeout);
+                timers.clear();
+                peer.destroy();
+                const channel = relay;
+                relay = null;
+                if (channel) channel.close();
+            },
+        };
+        sessionRef.current = session;
+        setSecret(pairingSecret);
+        setStatus('connecting');
+
+        // Timers of this pairing, cancelled when it ends
+        const later = (fn, delay) => {
+            const id = setTimeout(() => {
+                timers.delete(id);
+                if (!closed) fn();
+            }, delay);
+            timers.add(id);
+            return id;
+        };
+
+        // No phone connected: the QR code counts down
+        const armExpiry = () => {
+            clearTimeout(expiry);
+            timers.delete(expiry);
+            setExpiresAt(Date.now() + QR_LIFETIME);
+            expiry = later(() => {
+                // A signed pairing has done its job; otherwise a new QR code is needed
+                stop();
+                if (!signed) setStatus('expired');
+            }, QR_LIFETIME);
+        };
+
+        const disarmExpiry = () => {
+            clearTimeout(expiry);
+            timers.delete(expiry);
+            setExpiresAt(null);
+        };
+
+        // The QR code is shown once every transport has come up or failed
+        const transports = { webrtc: 'starting', relay: relayUrl() ? 'starting' : 'off' };
+        const settle = (kind, state) => {
+            if (sessionRef.current !== session || transports[kind] !== 'starting') return;
+            transports[kind] = state;
+            const states = Object.values(transports);
+            if (states.includes('starting')) return;
+            if (states.includes('ready')) {
+                setStatus('waiting');
+                armExpiry();
+            } else {
+                setStatus('error');
+            }
+        };
+
+        const secure = (conn) => {
+            const channel = secureChannel(conn, { role: 'desktop', secret: () => currentSecret });
+            channel.on('reject', () => {
+                if (sessionRef.current === session) setRejected(n => n + 1);
+            });
+            return channel;
+        };
+
+        // The phone's connection, whichever transport it arrived on
+        const adopt = (channel, kind) => {
+            if (connRef.current || sessionRef.current !== session) {
+                channel.close();
+                return;
+            }
+            const conn = protocolChannel(channel, { seen });
+            connRef.current = conn;
+            currentSecret = channel.resumeSecret;
+            // The phone uses this connection only once told so, before anything else
+            conn.send({ type: 'adopted' }).catch((err) => {
+                console.warn('Failed to confirm the connection to the phone:', err);
+            });
+            conn.on('incompatible', () => {
+                // Give the answer time to go out before closing
+                later(() => {
+                    stop();
+                    setStatus('incompatible');
+                }, 500);
+            });
+            session.dropped = false;
+            disarmExpiry();
+            setTransport(kind);
+            setAck(0);
+            setStatus(signed ? 'signed' : 'connected');
+            if (callbacksRef.current.onConnect) callbacksRef.current.onConnect(pairingMode);
+
+            if (pendingPdf) {
+                const { blob, filename } = pendingPdf;
+                pendingPdf = null;
+                blob.arrayBuffer()
+                    .then(data => conn.deliver({ type: 'pdf', filename, data }))
+                    .then(() => setSentFile(filename))
+                    .catch(err => console.warn('Failed to send the PDF to the phone:', err));
+            }
+
+            conn.on('data', (data) => {
+                if (data && data.type === 'signature' && data.dataUrl) {
+                    signed = true;
+                    setStatus('signed');
+                    callbacksRef.current.onSignature(data.dataUrl, Array.isArray(data.strokes) ? data.strokes : null);
+                } else if (data && data.type === 'edit' && data.patch && Number.isInteger(data.seq) && !signed) {
+                    callbacksRef.current.onEdit(data.patch);
+                    setAck(data.seq);
+                }
+            });
+
+            conn.on('close', () => {
+                if (connRef.current !== conn) return;
+                // Gone (screen lock, network change, switched to the relay): it may come back
+                connRef.current = null;
+                session.dropped = true;
+                setTransport(null);
+                setStatus('reconnecting');
+                armExpiry();
+            });
+        };
+
+        // WebRTC: a peer that loses the signalling server claims the same ID
+        // again, so the QR code stays valid
+        let peerOpened = false;
+        let peerAttempt = 0;
+
+        peer.on('open', (id) => {
+            peerOpened = true;
+            peerAttempt = 0;
+            setPeerId(id);
+            settle('webrtc', 'ready');
+        });
+
+        peer.on('disconnected', () => {
+            if (!peerOpened || peer.destroyed) return;
+            later(() => {
+                if (peer.disconnected && !peer.destroyed) peer.reconnect();
+            }, reconnectDelay(peerAttempt++));
+        });
+
+        peer.on('connection', (conn) => {
+            if (connRef.current) {
+                conn.close();
+                return;
+            }
+            const channel = secure(conn);
+            channel.on('open', () => adopt(channel, 'webrtc'));
+        });
+
+        peer.on('error', (err) => {
+            console.error('PeerJS error:', err);
+            settle('webrtc', 'failed');
+        });
+
+        // Relay: the desktop holds its seat in the session, and takes it again
+        // whenever its connection ends, for the phone's next one, unless the
+        // relay has dropped the session
+        let relayAttempt = 0;
+        const listenOnRelay = (id) => {
+            const seat = connectRelay(id, 'desktop');
+            const channel = secure(seat);
+            relay = channel;
+            channel.on('open', () => {
+                relayAttempt = 0;
+                adopt(channel, 'relay');
+            });
+            channel.on('close', () => {
+                if (relay !== channel) return;
+                relay = null;
+                if (seat.gone) {
+                    console.warn('Relay session expired');
+                    return;
+                }
+                later(() => listenOnRelay(id), reconnectDelay(relayAttempt++));
+            });
+        };
+
+        if (transports.relay === 'starting') {
+            createRelaySession().then((id) => {
+                if (sessionRef.current !== session) return;
+                listenOnRelay(id);
+                setRelaySession(id);
+                settle('relay', 'ready');
+            }).catch((err) => {
+                console.warn('Relay unavailable:', err);
+                settle('relay', 'failed');
+            });
+        }
+    }, [stop]);
+
+    useEffect(() => () => {
+        if (sessionRef.current) sessionRef.current.close();
+    }, []);
+
+    /**
+     * Pushes a generated PDF to the paired phone, resolving once the phone has
+     * confirmed it; false when no phone is connected. A phone that dropped out
+     * gets it when it is back.
+     */
+    const sendPdf = useCallback(async (blob, filename) => {
+        const conn = connRef.current;
+        if (!conn || !conn.open) {
+            if (sessionRef.current && sessionRef.current.dropped) sessionRef.current.queuePdf({ blob, filename });
+            return false;
+        }
+        await conn.deliver({ type: 'pdf', filename, data: await blob.arrayBuffer() });
+        setSentFile(filename);
+        return true;
+    }, []);
+
+    return {
+        status, mode, signingUrl: signingUrlFor(peerId, relaySession, secret, mode),
+        transport, expiresAt, rejected, sentFile, start, stop, sendPdf,
+    };
+}
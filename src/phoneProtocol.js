@@ -0,0 +1,199 @@
+// --- Phone ↔ desktop message protocol ---
+//
+// What the paired pages say to each other over the encrypted channel (see
+// pairing.js). Every message carries the protocol version `v`. A side that
+// gets a message of another version (say, from a phone page cached from an
+// older release) answers { type: 'incompatible', v } — understood by every
+// version — and from then on drops everything; both sides report it
+// ('incompatible' event), so each page can ask for a reload.
+//
+// Most messages are simply sent: the document and the fields go out again
+// whenever they change anyway. Those that must arrive — the signature, the
+// PDF — are delivered instead: split into chunks, checked against a SHA-256
+// checksum once put back together, and confirmed by the receiver:
+//
+//   sender → receiver   { type: 'chunk', id, index, count, checksum, data }   × count
+//   receiver → sender   { type: 'ack', id }    arrived intact and was handled
+//                       { type: 'nack', id }   checksum mismatch: send it again
+//
+// Without a confirmation within ACK_TIMEOUT the sender tries again, up to
+// MAX_ATTEMPTS times. A message ID seen before is confirmed again but not
+// handled twice, so a message can also be delivered again after reconnecting.
+
+import { pack, unpack } from './pairing';
+
+// 2: the desktop confirms the connection it uses (see phoneLink.js)
+export const PROTOCOL_VERSION = 2;
+
+const CHUNK_SIZE = 64 * 1024;
+const ACK_TIMEOUT = 10000;
+const MAX_ATTEMPTS = 3;
+
+const toHex = buffer => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+async function checksum(bytes) {
+    return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/** A new ID for a delivered message; pass it again when delivering the same message again. */
+export function messageId() {
+    return toHex(crypto.getRandomValues(new Uint8Array(12)));
+}
+
+/**
+ * Wraps an open secure channel in the protocol. The wrapper has the same
+ * interface, and `deliver(message, id?)`, which resolves once the other side
+ * has confirmed the message and rejects when it has not after MAX_ATTEMPTS or
+ * the connection closed first. 'incompatible' fires with the other side's
+ * version once the two turn out to speak different versions.
+ * @param {object} conn - see secureChannel
+ * @param {{ seen?: Set<string> }} options - IDs of the messages already handled,
+ *   shared by the connections of one pairing
+ */
+export function protocolChannel(conn, { seen = new Set() } = {}) {
+    const handlers = {};
+    const emit = (event, arg) => (handlers[event] || []).forEach(handler => handler(arg));
+    const waiting = new Map(); // deliveries awaiting confirmation, by ID
+    const partial = new Map(); // messages being received, by ID
+    let incompatible = false;
+
+    const send = message => conn.send({ ...message, v: PROTOCOL_VERSION });
+
+    const channel = {
+        get open() {
+            return conn.open;
+        },
+        on(event, handler) {
+            (handlers[event] = handlers[event] || []).push(handler);
+            return channel;
+        },
+        send,
+        async deliver(message, id = messageId()) {
+            const bytes = pack(message);
+            const count = Math.ceil(bytes.length / CHUNK_SIZE);
+            const sum = await checksum(bytes);
+            if (!conn.open) throw new Error('The connection closed');
+
+            return new Promise((resolve, reject) => {
+                let attempts = 0;
+                let timer = null;
+                const finish = (err) => {
+                    clearTimeout(timer);
+                    waiting.delete(id);
+                    if (err) reject(err);
+                    else resolve();
+                };
+                const attempt = () => {
+                    clearTimeout(timer);
+                    if (!waiting.has(id)) return;
+                    if (attempts++ >= MAX_ATTEMPTS) {
+                        finish(new Error('The message was not confirmed'));
+                        return;
+                    }
+                    const sends = [];
+                    for (let index = 0; index < count; index++) {
+                        const data = bytes.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE).buffer;
+                        sends.push(send({ type: 'chunk', id, index, count, checksum: sum, data }));
+                    }
+                    // The wait starts once everything is handed to the connection
+                    Promise.all(sends).then(() => {
+                        if (waiting.has(id)) timer = setTimeout(attempt, ACK_TIMEOUT);
+                    }, err => finish(err));
+                };
+                waiting.set(id, {
+                    confirmed: () => finish(),
+                    refused: attempt,
+                    closed: () => finish(new Error('The connection closed')),
+                });
+                attempt();
+            });
+        },
+        close() {
+            conn.close();
+        },
+    };
+
+    // A lost confirmation is made up for by the sender trying again
+    const confirm = (type, id) => send({ type, id }).catch((err) => {
+        console.warn(`Failed to send the ${type}:`, err);
+    });
+
+    async function receiveChunk({ id, index, count, checksum: sum, data }) {
+        if (typeof id !== 'string' || !(data instanceof ArrayBuffer) || !Number.isInteger(count) ||
+            !Number.isInteger(index) || index < 0 || index >= count) return;
+        if (seen.has(id)) {
+            // Delivered again (our confirmation was lost): confirm, but only once per delivery
+            if (index === count - 1) confirm('ack', id);
+            return;
+        }
+
+        let message = partial.get(id);
+        if (!message || message.count !== count || message.checksum !== sum) {
+            message = { count, checksum: sum, parts: new Array(count), received: 0 };
+            partial.set(id, message);
+        }
+        if (!message.parts[index]) message.received++;
+        message.parts[index] = new Uint8Array(data);
+        if (message.received < count) return;
+
+        partial.delete(id);
+        const bytes = new Uint8Array(message.parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        message.parts.forEach((part) => {
+            bytes.set(part, offset);
+            offset += part.length;
+        });
+        if (await checksum(bytes) !== sum) {
+            console.warn('Message failed the checksum, asking for it again');
+            confirm('nack', id);
+            return;
+        }
+        seen.add(id);
+        emit('data', unpack(bytes));
+        confirm('ack', id);
+    }
+
+    const mismatch = (version, answer) => {
+        if (incompatible) return;
+        incompatible = true;
+        console.warn(`The other side speaks protocol version ${version}, this one ${PROTOCOL_VERSION}`);
+        if (answer) {
+            conn.send({ type: 'incompatible', v: PROTOCOL_VERSION }).catch((err) => {
+                console.warn('Failed to report the version mismatch:', err);
+            });
+        }
+        emit('incompatible', version);
+    };
+
+    conn.on('data', (message) => {
+        if (!message || incompatible) return;
+        if (message.type === 'incompatible') {
+            mismatch(message.v, false);
+            return;
+        }
+        if (message.v !== PROTOCOL_VERSION) {
+            mismatch(message.v, true);
+            return;
+        }
+        if (message.type === 'ack' || message.type === 'nack') {
+            const delivery = waiting.get(message.id);
+            if (delivery) (message.type === 'ack' ? delivery.confirmed : delivery.refused)();
+        } else if (message.type === 'chunk') {
+            receiveChunk(message).catch((err) => {
+                console.error('Failed to receive a message:', err);
+            });
+        } else {
+            emit('data', message);
+        }
+    });
+
+    conn.on('close', () => {
+        waiting.forEach(delivery => delivery.closed());
+        partial.clear();
+        emit('close');
+    });
+
+    conn.on('error', err => emit('error', err));
+
+    return channel;
+}
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Paper, PreviewHeader, InstitutionLine, ChildBlank, AbsenceLines, PreviewFooter } from './PreviewParts';
+import { createTranslator } from '../i18n';
+
+/**
+ * Paper preview of the "SZÜLŐI IGAZOLÁS" for kindergarten and school.
+ *
+ * Props:
+ *  - data — document data (same shape the PDF template receives)
+ *  - signature — current signature selection
+ *  - school — render the school wording instead of the kindergarten one
+ */
+export default function AbsenceCertificatePreview({ data, signature, school = false }) {
+    const { locale } = data;
+    const t = createTranslator(locale);
+
+    return (
+        <Paper>
+            <PreviewHeader title={t('doc.parentalNote.title')} />
+            <InstitutionLine name={data.kindergartenName} caption={t(school ? 'doc.schoolName' : 'doc.kindergartenName')} />
+
+            <div className="leading-relaxed mb-4">
+                <p>
+                    {t('doc.certifyIntro')}{' '}
+                    <ChildBlank childName={data.childName} groupName={data.groupName} locale={locale} />
+                </p>
+            </div>
+
+            <p className="mb-4">
+                {t(school ? 'doc.absentFromSchool' : 'doc.absentFromKindergarten', { count: data.absences.length })}
+            </p>
+
+            <AbsenceLines
+                absences={data.absences}
+                dayCount={!school && data.printDayCount ? data.kindergartenDays : 0}
+                dayUnit="units.kindergartenDay"
+                locale={locale}
+            />
+
+            <PreviewFooter signatureDate={data.signatureDate} signature={signature} locale={locale} />
+        </Paper>
+    );
+}
+
+export function SchoolAbsencePreview(props) {
+    return <AbsenceCertificatePreview {...props} school />;
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Paper, PreviewHeader, InstitutionLine, ChildBlank, AbsenceLines, PreviewFooter, Blank } from './PreviewParts';
+import { createTranslator } from '../i18n';
+
+/** Paper preview of the "TÁVOLMARADÁSI KÉRELEM". */
+export default function LeaveRequestPreview({ data, signature }) {
+    const { locale } = data;
+    const t = createTranslator(locale);
+    const school = data.institutionKind === 'iskola';
+
+    return (
+        <Paper>
+            <PreviewHeader title={t('doc.leaveRequest.title')} />
+            <InstitutionLine name={data.kindergartenName} caption={t('doc.institutionName')} />
+
+            <div className="leading-relaxed mb-4">
+                <p>
+                    {t('doc.leave.intro')}{' '}
+                    <ChildBlank childName={data.childName} groupName={data.groupName} locale={locale} />
+                </p>
+            </div>
+
+            <p className="mb-4">
+                {t(school ? 'doc.leave.fromSchool' : 'doc.leave.fromKindergarten', { count: data.absences.length })}
+            </p>
+
+            <AbsenceLines
+                absences={data.absences}
+                dayCount={data.printDayCount ? data.kindergartenDays : 0}
+                dayUnit={data.dayUnit}
+                locale={locale}
+            />
+
+            <p className="mb-4">
+                {t('doc.leave.reason')} <Blank size="lg" placeholder={t('doc.leave.reasonPlaceholder')}>{data.reason}</Blank>
+            </p>
+            <p>{t('doc.leave.closing')}</p>
+
+            <PreviewFooter signatureDate={data.signatureDate} signature={signature} locale={locale} />
+        </Paper>
+    );
+}
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Paper, PreviewHeader, InstitutionLine, ChildBlank, PreviewFooter, Blank } from './PreviewParts';
+import { createTranslator } from '../i18n';
+
+/** Paper preview of the "MEGHATALMAZÁS" for picking the child up. */
+export default function PickupAuthorizationPreview({ data, signature }) {
+    const { locale } = data;
+    const t = createTranslator(locale);
+
+    return (
+        <Paper>
+            <PreviewHeader title={t('doc.pickup.title')} />
+            <InstitutionLine name={data.kindergartenName} caption={t('doc.institutionName')} />
+
+            <div className="leading-relaxed space-y-3 mb-6">
+                <p>
+                    {t('doc.pickup.intro')}{' '}
+                    <Blank size="lg" placeholder={t('doc.pickup.proxyName')}>
+                        {data.proxyName && (data.proxyRelation ? `${data.proxyName} (${data.proxyRelation})` : data.proxyName)}
+                    </Blank>
+                </p>
+                <p>
+                    {t('doc.pickup.idNumber')}<Blank placeholder={t('doc.pickup.number')}>{data.proxyIdNumber}</Blank>
+                </p>
+                <p>
+                    {t('doc.pickup.child')} <ChildBlank childName={data.childName} groupName={data.groupName} locale={locale} />{' '}
+                    {t(data.institutionKind === 'iskola' ? 'doc.pickup.fromSchool' : 'doc.pickup.fromKindergarten')}
+                </p>
+                <p>
+                    {t('doc.pickup.validity')}<Blank>{data.validity || t('doc.pickup.untilRevoked')}</Blank>
+                </p>
+            </div>
+
+            <PreviewFooter signatureDate={data.signatureDate} signature={signature} locale={locale} />
+        </Paper>
+    );
+}
@@ -0,0 +1,122 @@
+import React from 'react';
+import { absenceDateParts, signatureDateParts } from '../dateFormat';
+import { translate } from '../i18n';
+import { signatures, signatureFonts } from '../signatureOptions';
+
+/**
+ * Pieces of the on-screen paper preview shared by every document type.
+ * They mirror the blocks in pdf/templates/common.js and, like them, are
+ * written in the document language (`locale`), not the UI language.
+ */
+
+const blankWidths = { sm: 'min-w-[30px] px-1', md: 'min-w-[80px] px-2', lg: 'min-w-[150px] px-2' };
+
+export function Blank({ children, placeholder, size = 'md' }) {
+    return (
+        <span className={`inline-block border-b border-dotted border-gray-400 text-center ${blankWidths[size]}`}>
+            {children || (placeholder && <span className="text-gray-300">{placeholder}</span>)}
+        </span>
+    );
+}
+
+export function Paper({ children }) {
+    return (
+        <div className="border border-gray-200 dark:border-gray-600 rounded-xl p-4 md:p-6 bg-white font-serif text-sm text-black">
+            {children}
+        </div>
+    );
+}
+
+export function PreviewHeader({ title }) {
+    return (
+        <div className="text-center mb-6">
+            <div className="text-gray-500 font-bold tracking-wide mb-4">OVIKRÉTA</div>
+            <h3 className="text-lg font-bold underline">{title}</h3>
+        </div>
+    );
+}
+
+export function InstitutionLine({ name, caption }) {
+    return (
+        <div className="text-center mb-6">
+            <div className="inline-block border-b border-dotted border-gray-400 min-w-[200px] px-4 py-1">
+                {name || <span className="text-gray-300">{caption}</span>}
+            </div>
+            <div className="text-xs text-gray-400 mt-1">{caption}</div>
+        </div>
+    );
+}
+
+export function ChildBlank({ childName, groupName, locale }) {
+    return (
+        <Blank size="lg" placeholder={translate(locale, 'doc.childName')}>
+            {childName && (groupName ? `${childName} (${groupName})` : childName)}
+        </Blank>
+    );
+}
+
+const blankSizes = { year: 'sm', month: 'md', day: 'sm' };
+
+// Date parts from dateFormat.js with their blanks drawn as dotted spans
+function DateParts({ parts }) {
+    return parts.map((part, i) => (part.blank
+        ? <Blank key={i} size={blankSizes[part.blank]}>{part.value}</Blank>
+        : <React.Fragment key={i}>{part.text}</React.Fragment>));
+}
+
+export function AbsenceLines({ absences, dayCount, dayUnit, locale }) {
+    return (
+        <div className="mb-6 space-y-2">
+            {absences.map((absence, idx) => {
+                const parts = absenceDateParts(absence, locale, { last: idx === absences.length - 1 });
+                return (
+                    <p key={idx}>
+                        <DateParts parts={parts.from} />{' '}
+                        <DateParts parts={parts.to} />
+                    </p>
+                );
+            })}
+            {dayCount > 0 && (
+                <p>{translate(locale, 'doc.dayTotal', { days: `${dayCount} ${translate(locale, dayUnit, { count: dayCount })}` })}</p>
+            )}
+        </div>
+    );
+}
+
+/** Place, date and the selected signature above the signature line. */
+export function PreviewFooter({ signatureDate, signature, locale }) {
+    const { selectedSignature, customSignatureName, selectedFont, drawnSignature, photoSignature } = signature;
+    const handwritten = selectedSignature === 'drawn' ? drawnSignature : selectedSignature === 'photo' ? photoSignature : null;
+
+    return (
+        <div className="flex justify-between items-end mt-10">
+            <div>
+                <p>
+                    Budapest, <DateParts parts={signatureDateParts(signatureDate, locale)} />
+                </p>
+            </div>
+            <div className="text-center">
+                <div className="signature-line border-b border-dotted border-gray-400 w-48 h-12 flex items-end justify-center pb-1 relative overflow-visible">
+                    {typeof selectedSignature === 'number' && (
+                        <div className="absolute left-1/2 -translate-x-1/2 w-[66px] h-[60px] signature-svg" style={{ bottom: '-8px' }}>
+                            <img src={signatures[selectedSignature].src} alt={translate(locale, 'signatures.sample', { n: selectedSignature + 1 })} className="w-full h-full object-contain signature-ink" />
+                        </div>
+                    )}
+                    {selectedSignature === 'custom' && customSignatureName && (
+                        <div className="w-44 h-10 flex items-end justify-center">
+                            <span className="signature-ink-text" style={{ fontFamily: signatureFonts[selectedFont].family, fontSize: '1.25rem', lineHeight: 1 }}>
+                                {customSignatureName}
+                            </span>
+                        </div>
+                    )}
+                    {handwritten && (
+                        <div className="w-44 h-10 signature-drawn">
+                            <img src={handwritten} alt={translate(locale, selectedSignature === 'photo' ? 'form.photoAlt' : 'form.drawnAlt')} className="w-full h-full object-contain" />
+                        </div>
+                    )}
+                </div>
+                <div className="text-xs text-gray-500 mt-1">{translate(locale, 'doc.signatureCaption')}</div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,73 @@
+// --- Household profiles (persisted in localStorage) ---
+//
+// A profile remembers one child: name, kindergarten, group and the preferred
+// signature. Drawn signatures are not stored here — only the fact that the
+// parent prefers to draw, so no signature image ends up in localStorage.
+
+const PROFILES_KEY = 'ovikreta_profiles';
+const ACTIVE_PROFILE_KEY = 'ovikreta_active_profile';
+const LEGACY_CHILD_COOKIE = 'ovikreta_child_name';
+
+/** The kindergarten the form starts with when nothing is saved yet. */
+export const DEFAULT_KINDERGARTEN_NAME = 'Budapest Főváros XIII. Kerületi Önkormányzat Egyesített Óvoda Zöld Ág Tagóvodája';
+
+function getCookie(name) {
+    const match = document.cookie.match(new RegExp('(^| )' + name + '=([^;]+)'));
+    return match ? decodeURIComponent(match[2]) : '';
+}
+
+function deleteCookie(name) {
+    document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/; SameSite=Lax`;
+}
+
+function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+export function createProfile(fields = {}) {
+    return {
+        id: newId(),
+        childName: fields.childName || '',
+        kindergartenName: fields.kindergartenName || '',
+        groupName: fields.groupName || '',
+        selectedSignature: fields.selectedSignature ?? null,
+        customSignatureName: fields.customSignatureName || '',
+        selectedFont: fields.selectedFont ?? 0,
+    };
+}
+
+export function saveProfiles(profiles) {
+    try { localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles)); } catch { }
+}
+
+/**
+ * Loads all profiles. On first run the old single-child cookie is migrated
+ * into a profile and then removed.
+ */
+export function loadProfiles() {
+    try {
+        const raw = localStorage.getItem(PROFILES_KEY);
+        if (raw) return JSON.parse(raw);
+    } catch { }
+
+    const legacyName = getCookie(LEGACY_CHILD_COOKIE);
+    if (!legacyName) return [];
+
+    // The old version only remembered the child; the kindergarten was always the default
+    const migrated = [createProfile({ childName: legacyName, kindergartenName: DEFAULT_KINDERGARTEN_NAME })];
+    saveProfiles(migrated);
+    saveActiveProfileId(migrated[0].id);
+    deleteCookie(LEGACY_CHILD_COOKIE);
+    return migrated;
+}
+
+export function loadActiveProfileId() {
+    try { return localStorage.getItem(ACTIVE_PROFILE_KEY); } catch { return null; }
+}
+
+export function saveActiveProfileId(id) {
+    try {
+        if (id) localStorage.setItem(ACTIVE_PROFILE_KEY, id);
+        else localStorage.removeItem(ACTIVE_PROFILE_KEY);
+    } catch { }
+}
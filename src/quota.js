@@ -0,0 +1,77 @@
+// --- Parental-certificate quota per nevelési év ---
+//
+// Kindergartens accept only a limited number of parent-certified days per
+// nevelési év (1 September – 31 August); longer absences need a doctor's
+// certificate. Used days are derived from the certificate history, so a
+// re-downloaded or duplicated certificate never counts a day twice.
+
+import { normalizeAbsences, todayIso } from './absences';
+import { kindergartenDaysIn } from './workdays';
+import { getDocumentType } from './documentTypes';
+
+const LIMIT_KEY = 'ovikreta_quota_limit';
+export const DEFAULT_QUOTA_LIMIT = 10;
+
+export function loadQuotaLimit() {
+    try {
+        const value = parseInt(localStorage.getItem(LIMIT_KEY), 10);
+        return Number.isFinite(value) && value > 0 ? value : DEFAULT_QUOTA_LIMIT;
+    } catch { return DEFAULT_QUOTA_LIMIT; }
+}
+
+export function saveQuotaLimit(limit) {
+    try { localStorage.setItem(LIMIT_KEY, String(limit)); } catch { }
+}
+
+/** Starting calendar year of the nevelési év an ISO date belongs to. */
+export function schoolYearOf(iso) {
+    const [y, m] = iso.split('-').map(Number);
+    return m >= 9 ? y : y - 1;
+}
+
+export function schoolYearLabel(startYear) {
+    return `${startYear}/${startYear + 1}`;
+}
+
+const sameChild = (a, b) => (a || '').trim().toLocaleLowerCase('hu') === (b || '').trim().toLocaleLowerCase('hu');
+
+function daysBySchoolYear(absences) {
+    const byYear = new Map();
+    absences.forEach(a => kindergartenDaysIn(a.from, a.to).forEach(day => {
+        const year = schoolYearOf(day);
+        if (!byYear.has(year)) byYear.set(year, new Set());
+        byYear.get(year).add(day);
+    }));
+    return byYear;
+}
+
+/**
+ * Quota usage of one child for every nevelési év touched by the new absences
+ * (or the current one when there are none yet).
+ * @returns {{ year: number, label: string, used: number, adding: number, remaining: number, exceeded: boolean }[]}
+ */
+export function quotaSummary(entries, childName, absences, limit) {
+    const certified = new Map();
+    entries
+        .filter(entry => getDocumentType(entry.form.documentType).tracksQuota && sameChild(entry.form.childName, childName))
+        .forEach(entry => daysBySchoolYear(normalizeAbsences(entry.form)).forEach((days, year) => {
+            if (!certified.has(year)) certified.set(year, new Set());
+            days.forEach(day => certified.get(year).add(day));
+        }));
+
+    const pending = daysBySchoolYear(absences);
+    const years = pending.size ? [...pending.keys()].sort() : [schoolYearOf(todayIso())];
+
+    return years.map(year => {
+        const done = certified.get(year) || new Set();
+        const adding = [...(pending.get(year) || [])].filter(day => !done.has(day)).length;
+        return {
+            year,
+            label: schoolYearLabel(year),
+            used: done.size,
+            adding,
+            remaining: limit - done.size,
+            exceeded: done.size + adding > limit,
+        };
+    });
+}
@@ -0,0 +1,113 @@
+// --- Relay transport for phone signing ---
+//
+// Fallback for networks where the PeerJS data channel never opens: the same
+// messages go through a WebSocket relay instead (server/relay.js). A relay
+// connection behaves like a PeerJS DataConnection — on('open' | 'data' |
+// 'close' | 'error'), send(), close() and `open` — so the pairing code treats
+// both transports alike.
+
+import { relayUrl } from './peerConfig';
+
+const REQUEST_TIMEOUT = 10000;
+// Close code of a session the relay does not know (any more); server/relay.js
+const SESSION_GONE = 4404;
+
+/** Opens a session on the relay; its ID goes into the QR code. */
+export async function createRelaySession() {
+    const res = await fetch(`${relayUrl()}/sessions`, {
+        method: 'POST',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+    });
+    if (!res.ok) throw new Error(`Relay session request failed: ${res.status}`);
+    return (await res.json()).id;
+}
+
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0)).buffer;
+}
+
+// Frames are JSON; binary fields (the PDF) travel as base64
+function encode(message) {
+    const frame = {};
+    Object.entries(message).forEach(([key, value]) => {
+        frame[key] = value instanceof ArrayBuffer ? { $binary: toBase64(value) } : value;
+    });
+    return JSON.stringify(frame);
+}
+
+function decode(frame) {
+    const message = {};
+    Object.entries(frame).forEach(([key, value]) => {
+        message[key] = value && typeof value.$binary === 'string' ? fromBase64(value.$binary) : value;
+    });
+    return message;
+}
+
+/**
+ * Joins a relay session as 'desktop' or 'phone'. The connection opens once
+ * the other side has joined too, and closes when either side leaves. `gone`
+ * is set, before 'close', when the session has expired: joining it again
+ * would be turned down too.
+ */
+export function connectRelay(sessionId, role) {
+    const socket = new WebSocket(`${relayUrl().replace(/^http/, 'ws')}/${encodeURIComponent(sessionId)}?role=${role}`);
+    const handlers = {};
+    const emit = (event, arg) => (handlers[event] || []).forEach(handler => handler(arg));
+    let closed = false;
+
+    const conn = {
+        open: false,
+        gone: false,
+        on(event, handler) {
+            (handlers[event] = handlers[event] || []).push(handler);
+            return conn;
+        },
+        send(message) {
+            socket.send(encode(message));
+        },
+        close() {
+            finish();
+        },
+    };
+
+    function finish() {
+        if (closed) return;
+        closed = true;
+        conn.open = false;
+        socket.close();
+        emit('close');
+    }
+
+    socket.onmessage = (event) => {
+        let frame;
+        try {
+            frame = JSON.parse(event.data);
+        } catch {
+            return;
+        }
+        if (frame.relay === 'open') {
+            conn.open = true;
+            emit('open');
+        } else if (frame.relay === 'closed') {
+            finish();
+        } else if (!frame.relay) {
+            emit('data', decode(frame));
+        }
+    };
+    socket.onerror = () => emit('error', new Error('Relay connection failed'));
+    socket.onclose = (event) => {
+        if (event.code === SESSION_GONE) conn.gone = true;
+        finish();
+    };
+
+    return conn;
+}
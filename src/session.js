@@ -0,0 +1,13 @@
+// --- Session storage helpers ---
+export const STORAGE_KEY = 'ovikreta_form';
+
+export function loadSession() {
+    try {
+        const raw = sessionStorage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : {};
+    } catch { return {}; }
+}
+
+export function saveSession(data) {
+    try { sessionStorage.setItem(STORAGE_KEY, JSON.stringify(data)); } catch { }
+}
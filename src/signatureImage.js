@@ -0,0 +1,189 @@
+// --- Signatures photographed or scanned from paper ---
+//
+// The photo is turned into ink on a transparent background: an adaptive
+// threshold (each pixel against the brightness around it, so shadows and
+// uneven light across the sheet don't matter) separates ink from paper,
+// specks and anything touching the photo's edge are dropped, and what is left
+// is cropped and recoloured to the ink colour used everywhere else.
+
+import { maskToVector } from './signatureVector';
+
+const INK = [0x3b, 0x2d, 0x8b];
+const MAX_SOURCE_SIZE = 1600;
+const MAX_OUTPUT_SIZE = 1200;
+const PADDING = 4;
+
+export const DEFAULT_SENSITIVITY = 0.15;
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load signature image'));
+        img.src = src;
+    });
+}
+
+function canvasOf(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Dark pixels relative to their neighbourhood (Bradley–Roth thresholding)
+function adaptiveThreshold(lum, width, height, sensitivity) {
+    const stride = width + 1;
+    const integral = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+            row += lum[y * width + x];
+            integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + row;
+        }
+    }
+
+    const half = Math.max(4, Math.round(Math.max(width, height) / 32));
+    const mask = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - half), y1 = Math.min(height, y + half + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - half), x1 = Math.min(width, x + half + 1);
+            const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+            const count = (x1 - x0) * (y1 - y0);
+            if (lum[y * width + x] * count <= sum * (1 - sensitivity)) mask[y * width + x] = 1;
+        }
+    }
+    return mask;
+}
+
+// Keeps the 8-connected blobs that look like ink: big enough and clear of the
+// photo's edge (where the table or the paper's border shows up)
+function keepInk(mask, width, height) {
+    const minSize = Math.max(6, Math.round(width * height * 0.00002));
+    const seen = new Uint8Array(width * height);
+    const kept = new Uint8Array(width * height);
+    const stack = [];
+    const blob = [];
+
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || seen[start]) continue;
+        let touchesEdge = false;
+        blob.length = 0;
+        stack.push(start);
+        seen[start] = 1;
+        while (stack.length) {
+            const i = stack.pop();
+            blob.push(i);
+            const x = i % width, y = (i - x) / width;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesEdge = true;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx, ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+                    const n = ny * width + nx;
+                    if (mask[n] && !seen[n]) {
+                        seen[n] = 1;
+                        stack.push(n);
+                    }
+                }
+            }
+        }
+        if (!touchesEdge && blob.length >= minSize) blob.forEach(i => { kept[i] = 1; });
+    }
+    return kept;
+}
+
+/**
+ * Ink of a photographed signature as a cropped transparent PNG.
+ * @param {Blob} file - photo or scan
+ * @param {number} sensitivity - how much darker than its surroundings a pixel must be to count as ink (0–1)
+ * @returns {Promise<string | null>} PNG data URL, or null when no ink was found
+ */
+export async function importSignatureImage(file, sensitivity = DEFAULT_SENSITIVITY) {
+    const url = URL.createObjectURL(file);
+    let img;
+    try {
+        img = await loadImage(url);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+
+    const scale = Math.min(1, MAX_SOURCE_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+    const width = Math.max(1, Math.round(img.naturalWidth * scale));
+    const height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const source = canvasOf(width, height);
+    const sCtx = source.getContext('2d', { willReadFrequently: true });
+    sCtx.fillStyle = '#fff'; // transparent areas of a PNG count as paper
+    sCtx.fillRect(0, 0, width, height);
+    sCtx.drawImage(img, 0, 0, width, height);
+
+    const pixels = sCtx.getImageData(0, 0, width, height).data;
+    const lum = new Float32Array(width * height);
+    for (let i = 0; i < lum.length; i++) {
+        lum[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+    }
+    const mask = keepInk(adaptiveThreshold(lum, width, height, sensitivity), width, height);
+
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!mask[y * width + x]) continue;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+    }
+    if (maxX < 0) return null;
+
+    minX = Math.max(0, minX - PADDING);
+    minY = Math.max(0, minY - PADDING);
+    maxX = Math.min(width - 1, maxX + PADDING);
+    maxY = Math.min(height - 1, maxY + PADDING);
+    const cropW = maxX - minX + 1, cropH = maxY - minY + 1;
+
+    const crop = canvasOf(cropW, cropH);
+    const cCtx = crop.getContext('2d');
+    const out = cCtx.createImageData(cropW, cropH);
+    for (let y = 0; y < cropH; y++) {
+        for (let x = 0; x < cropW; x++) {
+            if (!mask[(y + minY) * width + x + minX]) continue;
+            const o = (y * cropW + x) * 4;
+            out.data[o] = INK[0];
+            out.data[o + 1] = INK[1];
+            out.data[o + 2] = INK[2];
+            out.data[o + 3] = 255;
+        }
+    }
+    cCtx.putImageData(out, 0, 0);
+
+    const outScale = Math.min(1, MAX_OUTPUT_SIZE / Math.max(cropW, cropH));
+    if (outScale === 1) return crop.toDataURL('image/png');
+    const resized = canvasOf(Math.round(cropW * outScale), Math.round(cropH * outScale));
+    resized.getContext('2d').drawImage(crop, 0, 0, resized.width, resized.height);
+    return resized.toDataURL('image/png');
+}
+
+/** Traced vector outline of an imported signature PNG (its opaque pixels). */
+export async function imageToVector(dataUrl) {
+    const img = await loadImage(dataUrl);
+    const canvas = canvasOf(img.naturalWidth, img.naturalHeight);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0);
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+    const mask = new Uint8Array(canvas.width * canvas.height);
+    for (let i = 0; i < mask.length; i++) mask[i] = pixels[i * 4 + 3] >= 128 ? 1 : 0;
+    return maskToVector(mask, canvas.width, canvas.height);
+}
+
+/** The image on white paper as a JPEG, for archival (PDF/A) output without transparency. */
+export async function flattenImage(dataUrl) {
+    const img = await loadImage(dataUrl);
+    const canvas = canvasOf(img.naturalWidth, img.naturalHeight);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0);
+    return canvas.toDataURL('image/jpeg', 0.95);
+}
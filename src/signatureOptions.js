@@ -0,0 +1,19 @@
+// --- Signature choices offered in the form ---
+//
+// Font labels are message keys; gallery images are labelled by position
+// ('signatures.sample').
+
+export const signatures = [
+    { src: '/signatures/20040821T180600-GC2004-Johnathan_Wendel-Fatal1ty-Signature.svg' },
+    { src: '/signatures/ADONXS_signature_2022.svg' },
+    { src: '/signatures/Aleksandrs_Bartaševičs_sign.svg' },
+    { src: '/signatures/Ben_Bernanke_signature.svg' },
+];
+
+export const signatureFonts = [
+    { family: "'Mr Dafoe', cursive", label: 'fonts.dashing', size: '1.6rem' },
+    { family: "'Mrs Saint Delafield', cursive", label: 'fonts.classic', size: '1.6rem' },
+    { family: "'Kristi', cursive", label: 'fonts.quick', size: '1.8rem' },
+    { family: "'Homemade Apple', cursive", label: 'fonts.handwritten', size: '1.2rem' },
+    { family: "'Herr Von Muellerhoff', cursive", label: 'fonts.elegant', size: '1.6rem' },
+];
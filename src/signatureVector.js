@@ -0,0 +1,423 @@
+// --- Signatures as vector paths for the PDF ---
+//
+// A vector signature is `{ width, height, color, paths }` in its own unit
+// space with the origin at the top-left of the ink's bounding box. Each path
+// is `{ commands, fill, stroke, lineWidth, opacity, evenOdd }`, where commands
+// are absolute ['M', x, y] | ['L', x, y] | ['C', x1, y1, x2, y2, x, y] | ['Z'];
+// a path may carry its own `color` in place of the signature's.
+// The PDF renderer scales it into the signature box (see pdf/renderTemplate.js).
+
+const INK = '#3b2d8b';
+// Width of points recorded before the pad measured pressure and speed
+const DEFAULT_INK_WIDTH = 3;
+const KAPPA = 0.5523; // Bézier handle length of a quarter circle
+
+// --- Affine matrices [a, b, c, d, e, f] as in SVG ---
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5],
+    ];
+}
+
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+function parseTransform(value) {
+    let m = IDENTITY;
+    const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = re.exec(value || ''))) {
+        const a = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+        const rad = (a[0] || 0) * Math.PI / 180;
+        let t;
+        switch (match[1]) {
+            case 'matrix': t = a; break;
+            case 'translate': t = [1, 0, 0, 1, a[0] || 0, a[1] || 0]; break;
+            case 'scale': t = [a[0], 0, 0, a[1] ?? a[0], 0, 0]; break;
+            case 'rotate': {
+                const [cx = 0, cy = 0] = a.slice(1);
+                t = multiply(multiply([1, 0, 0, 1, cx, cy], [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0]), [1, 0, 0, 1, -cx, -cy]);
+                break;
+            }
+            case 'skewX': t = [1, 0, Math.tan(rad), 1, 0, 0]; break;
+            default: t = [1, Math.tan(rad), 0, 1, 0, 0];
+        }
+        m = multiply(m, t);
+    }
+    return m;
+}
+
+// --- Path data ---
+
+const ARG_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * SVG path data as absolute M/L/C/Z commands. Arcs are replaced by a straight
+ * line to their end point; none of the bundled signatures use them.
+ */
+export function parsePathData(d) {
+    const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+    const out = [];
+    let i = 0, cmd = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let lastCtrl = null, lastQuad = null;
+
+    const num = () => parseFloat(tokens[i++]);
+
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+        else if (!cmd) { i++; continue; }
+        const upper = cmd.toUpperCase();
+        const rel = cmd !== upper;
+        const ox = rel ? x : 0, oy = rel ? y : 0;
+        let ctrl = null, quad = null;
+
+        switch (upper) {
+            case 'M':
+                x = ox + num(); y = oy + num();
+                startX = x; startY = y;
+                out.push(['M', x, y]);
+                cmd = rel ? 'l' : 'L'; // further pairs are implicit line-tos
+                break;
+            case 'L':
+                x = ox + num(); y = oy + num();
+                out.push(['L', x, y]);
+                break;
+            case 'H':
+                x = ox + num();
+                out.push(['L', x, y]);
+                break;
+            case 'V':
+                y = oy + num();
+                out.push(['L', x, y]);
+                break;
+            case 'C': {
+                const x1 = ox + num(), y1 = oy + num(), x2 = ox + num(), y2 = oy + num();
+                x = ox + num(); y = oy + num();
+                out.push(['C', x1, y1, x2, y2, x, y]);
+                ctrl = [x2, y2];
+                break;
+            }
+            case 'S': {
+                const [x1, y1] = lastCtrl ? [2 * x - lastCtrl[0], 2 * y - lastCtrl[1]] : [x, y];
+                const x2 = ox + num(), y2 = oy + num();
+                x = ox + num(); y = oy + num();
+                out.push(['C', x1, y1, x2, y2, x, y]);
+                ctrl = [x2, y2];
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                const q = upper === 'Q'
+                    ? [ox + num(), oy + num()]
+                    : (lastQuad ? [2 * x - lastQuad[0], 2 * y - lastQuad[1]] : [x, y]);
+                const x0 = x, y0 = y;
+                x = ox + num(); y = oy + num();
+                // Quadratic to cubic: control points 2/3 of the way towards q
+                out.push(['C', x0 + 2 / 3 * (q[0] - x0), y0 + 2 / 3 * (q[1] - y0), x + 2 / 3 * (q[0] - x), y + 2 / 3 * (q[1] - y), x, y]);
+                quad = q;
+                break;
+            }
+            case 'A':
+                i += 5;
+                x = ox + num(); y = oy + num();
+                out.push(['L', x, y]);
+                break;
+            case 'Z':
+                x = startX; y = startY;
+                out.push(['Z']);
+                break;
+            default:
+                i += ARG_COUNTS[upper] ?? 1;
+        }
+        lastCtrl = ctrl;
+        lastQuad = quad;
+    }
+    return out;
+}
+
+function transformCommands(commands, m) {
+    return commands.map(([op, ...coords]) => {
+        const mapped = [];
+        for (let k = 0; k < coords.length; k += 2) mapped.push(...apply(m, coords[k], coords[k + 1]));
+        return [op, ...mapped];
+    });
+}
+
+// --- Normalising into a vector signature ---
+
+// Moves everything so the ink's bounding box (control points included,
+// stroke half-width added) starts at the origin
+function toVector(paths) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    paths.forEach(path => {
+        const half = path.stroke ? path.lineWidth / 2 : 0;
+        path.commands.forEach(([, ...coords]) => {
+            for (let k = 0; k < coords.length; k += 2) {
+                minX = Math.min(minX, coords[k] - half);
+                maxX = Math.max(maxX, coords[k] + half);
+                minY = Math.min(minY, coords[k + 1] - half);
+                maxY = Math.max(maxY, coords[k + 1] + half);
+            }
+        });
+    });
+    if (!(maxX > minX && maxY > minY)) return null;
+
+    const shift = [1, 0, 0, 1, -minX, -minY];
+    return {
+        width: maxX - minX,
+        height: maxY - minY,
+        color: INK,
+        paths: paths.map(path => ({ ...path, commands: transformCommands(path.commands, shift) })),
+    };
+}
+
+// --- Variable-width ink ---
+//
+// The outlines below all wind counter-clockwise on screen, so a plain
+// nonzero fill shows their union without gaps where they overlap.
+
+function disc(x, y, r) {
+    const k = KAPPA * r;
+    return [
+        ['M', x + r, y],
+        ['C', x + r, y - k, x + k, y - r, x, y - r],
+        ['C', x - k, y - r, x - r, y - k, x - r, y],
+        ['C', x - r, y + k, x - k, y + r, x, y + r],
+        ['C', x + k, y + r, x + r, y + k, x + r, y],
+        ['Z'],
+    ];
+}
+
+// Unit normal of a → b, or of the fallback direction when they coincide
+function normal(ax, ay, bx, by, [fx, fy]) {
+    let dx = bx - ax, dy = by - ay;
+    if (!dx && !dy) { dx = fx; dy = fy; }
+    const len = Math.hypot(dx, dy) || 1;
+    return [-dy / len, dx / len];
+}
+
+/**
+ * Filled outline of a pen stroke. The points (`{ x, y, w }`, w being the ink
+ * width there) are joined by Catmull–Rom curves; each cubic is offset by half
+ * the width on both sides, and the ends and sharp turns get a round disc.
+ */
+export function inkOutline(points) {
+    const pts = points.map(p => ({ x: p.x, y: p.y, r: (p.w ?? DEFAULT_INK_WIDTH) / 2 }));
+    const first = pts[0], last = pts[pts.length - 1];
+    if (pts.length === 1) return disc(first.x, first.y, first.r);
+
+    const left = [], right = [];
+    for (let i = 0; i < pts.length - 1; i++) {
+        const p1 = pts[i], p2 = pts[i + 1];
+        const p0 = pts[i - 1] || p1, p3 = pts[i + 2] || p2;
+        const c1 = [p1.x + (p2.x - p0.x) / 6, p1.y + (p2.y - p0.y) / 6];
+        const c2 = [p2.x - (p3.x - p1.x) / 6, p2.y - (p3.y - p1.y) / 6];
+        const chord = [p2.x - p1.x, p2.y - p1.y];
+        const [ax, ay] = normal(p1.x, p1.y, c1[0], c1[1], chord);
+        const [bx, by] = normal(c2[0], c2[1], p2.x, p2.y, chord);
+        const edge = side => [
+            p1.x + side * ax * p1.r, p1.y + side * ay * p1.r,
+            c1[0] + side * ax * p1.r, c1[1] + side * ay * p1.r,
+            c2[0] + side * bx * p2.r, c2[1] + side * by * p2.r,
+            p2.x + side * bx * p2.r, p2.y + side * by * p2.r,
+        ];
+        left.push(edge(1));
+        right.push(edge(-1));
+    }
+
+    const commands = [['M', left[0][0], left[0][1]]];
+    left.forEach(e => commands.push(['C', ...e.slice(2)]));
+    const back = right[right.length - 1];
+    commands.push(['L', back[6], back[7]]);
+    for (let i = right.length - 1; i >= 0; i--) {
+        const e = right[i];
+        commands.push(['C', e[4], e[5], e[2], e[3], e[0], e[1]]);
+    }
+    commands.push(['Z']);
+
+    commands.push(...disc(first.x, first.y, first.r), ...disc(last.x, last.y, last.r));
+    for (let i = 1; i < pts.length - 1; i++) {
+        const [a, p, b] = [pts[i - 1], pts[i], pts[i + 1]];
+        const ux = p.x - a.x, uy = p.y - a.y, vx = b.x - p.x, vy = b.y - p.y;
+        // Turns sharper than 60° would leave a notch on the inner edge
+        if (ux * vx + uy * vy < 0.5 * Math.hypot(ux, uy) * Math.hypot(vx, vy)) commands.push(...disc(p.x, p.y, p.r));
+    }
+    return commands;
+}
+
+/** Strokes recorded by SignaturePad: lists of { x, y, w } in CSS pixels. */
+export function strokesToVector(strokes) {
+    const paths = (strokes || []).filter(s => s.length).map(points => ({
+        commands: inkOutline(points),
+        fill: true,
+        stroke: false,
+        lineWidth: 0,
+        opacity: 1,
+    }));
+    return paths.length ? toVector(paths) : null;
+}
+
+// --- Traced bitmaps ---
+
+// Ramer–Douglas–Peucker: drops points closer than `epsilon` to the simplified line
+function simplify(points, epsilon) {
+    if (points.length < 3) return points;
+    const [ax, ay] = points[0], [bx, by] = points[points.length - 1];
+    const dx = bx - ax, dy = by - ay;
+    const len = Math.hypot(dx, dy);
+    let maxDist = 0, index = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const [px, py] = points[i];
+        const dist = len ? Math.abs(dy * px - dx * py + bx * ay - by * ax) / len : Math.hypot(px - ax, py - ay);
+        if (dist > maxDist) { maxDist = dist; index = i; }
+    }
+    if (maxDist <= epsilon) return [points[0], points[points.length - 1]];
+    return [...simplify(points.slice(0, index + 1), epsilon).slice(0, -1), ...simplify(points.slice(index), epsilon)];
+}
+
+/**
+ * Outlines of the set pixels of a mask (1 = ink, row by row) as one filled
+ * path. Pixel edges are chained into loops with the ink on the same side, so
+ * holes come out reversed and a nonzero fill needs no extra bookkeeping.
+ */
+export function maskToVector(mask, width, height) {
+    const ink = (x, y) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x];
+    const key = (x, y) => y * (width + 1) + x;
+    const edges = new Map();
+    const addEdge = (x0, y0, x1, y1) => {
+        const from = key(x0, y0);
+        if (!edges.has(from)) edges.set(from, []);
+        edges.get(from).push(key(x1, y1));
+    };
+
+    // Counter-clockwise on screen around each inked pixel, like inkOutline
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!ink(x, y)) continue;
+            if (!ink(x - 1, y)) addEdge(x, y, x, y + 1);
+            if (!ink(x, y + 1)) addEdge(x, y + 1, x + 1, y + 1);
+            if (!ink(x + 1, y)) addEdge(x + 1, y + 1, x + 1, y);
+            if (!ink(x, y - 1)) addEdge(x + 1, y, x, y);
+        }
+    }
+
+    const commands = [];
+    edges.forEach((targets, start) => {
+        while (targets.length) {
+            const loop = [];
+            let at = start;
+            do {
+                loop.push([at % (width + 1), Math.floor(at / (width + 1))]);
+                const out = edges.get(at);
+                at = out.pop();
+            } while (at !== start);
+            // Corners only; straight runs of pixel edges add nothing
+            const corners = loop.filter((p, i) => {
+                const prev = loop[(i + loop.length - 1) % loop.length], next = loop[(i + 1) % loop.length];
+                return (p[0] - prev[0]) * (next[1] - p[1]) !== (p[1] - prev[1]) * (next[0] - p[0]);
+            });
+            const points = simplify([...corners, corners[0]], 0.6);
+            if (points.length < 4) continue;
+            commands.push(['M', ...points[0]], ...points.slice(1, -1).map(p => ['L', ...p]), ['Z']);
+        }
+    });
+    if (!commands.length) return null;
+    return toVector([{ commands, fill: true, stroke: false, lineWidth: 0, opacity: 1 }]);
+}
+
+function parseStyle(el) {
+    const style = {};
+    (el.getAttribute('style') || '').split(';').forEach(decl => {
+        const [name, value] = decl.split(':').map(s => s && s.trim());
+        if (name && value) style[name] = value;
+    });
+    return name => style[name] ?? el.getAttribute(name);
+}
+
+const SKIPPED = new Set(['defs', 'metadata', 'title', 'desc', 'style', 'clipPath', 'mask']);
+
+/** Paths of an SVG document, recoloured to ink. Colours are ignored; only paint on/off, widths and opacity survive. */
+export function svgToVector(svgText) {
+    const root = new DOMParser().parseFromString(svgText, 'image/svg+xml').documentElement;
+    if (!root || root.nodeName !== 'svg') return null;
+    const paths = [];
+
+    const walk = (el, m, inherited) => {
+        if (SKIPPED.has(el.localName)) return;
+        const get = parseStyle(el);
+        const matrix = multiply(m, parseTransform(el.getAttribute('transform')));
+        const state = {
+            fill: get('fill') ?? inherited.fill,
+            stroke: get('stroke') ?? inherited.stroke,
+            strokeWidth: parseFloat(get('stroke-width') ?? inherited.strokeWidth),
+            opacity: inherited.opacity * parseFloat(get('opacity') ?? 1),
+            fillOpacity: parseFloat(get('fill-opacity') ?? inherited.fillOpacity),
+            fillRule: get('fill-rule') ?? inherited.fillRule,
+        };
+        if (get('display') === 'none' || get('visibility') === 'hidden') return;
+
+        if (el.localName === 'path' && el.getAttribute('d')) {
+            const fill = state.fill !== 'none';
+            const stroke = !!state.stroke && state.stroke !== 'none';
+            if (fill || stroke) {
+                paths.push({
+                    commands: transformCommands(parsePathData(el.getAttribute('d')), matrix),
+                    fill,
+                    stroke,
+                    lineWidth: state.strokeWidth * Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])),
+                    opacity: state.opacity * (fill ? state.fillOpacity : 1),
+                    evenOdd: state.fillRule === 'evenodd',
+                });
+            }
+        }
+        Array.from(el.children).forEach(child => walk(child, matrix, state));
+    };
+
+    walk(root, IDENTITY, { fill: 'black', stroke: 'none', strokeWidth: 1, opacity: 1, fillOpacity: 1, fillRule: 'nonzero' });
+    return paths.length ? toVector(paths) : null;
+}
+
+const galleryCache = new Map();
+
+/** Vector form of a gallery signature SVG, fetched once per session. */
+export function loadSvgVector(src) {
+    if (!galleryCache.has(src)) {
+        galleryCache.set(src, fetch(src)
+            .then(r => {
+                if (!r.ok) throw new Error(`Failed to load ${src}: ${r.status}`);
+                return r.text();
+            })
+            .then(svgToVector)
+            .catch(err => {
+                galleryCache.delete(src);
+                throw err;
+            }));
+    }
+    return galleryCache.get(src);
+}
+
+/**
+ * The signature without transparency, for archival (PDF/A) output: translucent
+ * paths are drawn opaque in their colour as it shows on white paper.
+ */
+export function flattenVector(vector) {
+    if (!vector.paths.some(path => path.opacity < 1)) return vector;
+    const ink = [1, 3, 5].map(i => parseInt(vector.color.slice(i, i + 2), 16));
+    const onPaper = opacity => '#' + ink
+        .map(c => Math.round(255 - (255 - c) * opacity).toString(16).padStart(2, '0'))
+        .join('');
+    return {
+        ...vector,
+        paths: vector.paths
+            .filter(path => path.opacity > 0)
+            .map(path => (path.opacity < 1 ? { ...path, opacity: 1, color: onPaper(path.opacity) } : path)),
+    };
+}
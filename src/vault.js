@@ -0,0 +1,138 @@
+// --- Signature vault (encrypted, IndexedDB) ---
+//
+// Opt-in store for drawn signatures. Each signature (its PNG and stroke
+// points) is encrypted with AES-GCM under a key derived from the user's
+// passphrase (PBKDF2-SHA-256); only salts, IVs and ciphertext are written.
+// The key lives in memory while the vault is unlocked and is never stored.
+//
+// The vault has its own database, so resetting it never touches the
+// certificate history.
+
+const DB_NAME = 'ovikreta_vault';
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const ITEM_STORE = 'signatures';
+const META_ID = 'key';
+
+const ITERATIONS = 600000;
+// Encrypted next to the salt so a wrong passphrase is caught even while the vault is empty
+const CHECK_TEXT = 'ovikreta-vault';
+
+let dbPromise = null;
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(ITEM_STORE)) db.createObjectStore(ITEM_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            dbPromise = null;
+            reject(req.error);
+        };
+    });
+    return dbPromise;
+}
+
+function request(storeName, mode, fn) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+// --- Crypto ---
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encrypt(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv, data };
+}
+
+async function decrypt(key, { iv, data }) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// --- Vault ---
+
+/** Whether a vault has been set up in this browser. */
+export async function vaultExists() {
+    return !!(await request(META_STORE, 'readonly', store => store.get(META_ID)));
+}
+
+/**
+ * Sets up the vault with a new passphrase.
+ * @returns {Promise<CryptoKey>} the key that unlocks it
+ */
+export async function createVault(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, ITERATIONS);
+    const check = await encrypt(key, CHECK_TEXT);
+    await request(META_STORE, 'readwrite', store => store.put({ id: META_ID, salt, iterations: ITERATIONS, check }));
+    return key;
+}
+
+/**
+ * Derives the key from the passphrase.
+ * @returns {Promise<CryptoKey | null>} null when the passphrase is wrong
+ */
+export async function unlockVault(passphrase) {
+    const meta = await request(META_STORE, 'readonly', store => store.get(META_ID));
+    if (!meta) return null;
+    const key = await deriveKey(passphrase, meta.salt, meta.iterations);
+    try {
+        return (await decrypt(key, meta.check)) === CHECK_TEXT ? key : null;
+    } catch {
+        return null;
+    }
+}
+
+/** Saved signatures, oldest first: `{ id, label, dataUrl, strokes, createdAt }`. */
+export async function listVaultSignatures(key) {
+    const records = await request(ITEM_STORE, 'readonly', store => store.getAll());
+    return Promise.all(records.map(async record => ({
+        id: record.id,
+        createdAt: record.createdAt,
+        ...(await decrypt(key, record.payload)),
+    })));
+}
+
+/**
+ * Encrypts and stores a signature.
+ * @param {CryptoKey} key
+ * @param {{ label: string, dataUrl: string, strokes: Array | null }} signature
+ * @returns {Promise<number>} the new entry id
+ */
+export async function addVaultSignature(key, { label, dataUrl, strokes }) {
+    const payload = await encrypt(key, { label, dataUrl, strokes });
+    return request(ITEM_STORE, 'readwrite', store => store.add({ payload, createdAt: new Date().toISOString() }));
+}
+
+export function deleteVaultSignature(id) {
+    return request(ITEM_STORE, 'readwrite', store => store.delete(id));
+}
+
+/** Removes the vault and everything in it (the way out of a forgotten passphrase). */
+export async function deleteVault() {
+    await request(ITEM_STORE, 'readwrite', store => store.clear());
+    await request(META_STORE, 'readwrite', store => store.clear());
+}
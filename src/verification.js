@@ -0,0 +1,162 @@
+// --- Tamper-evidence codes printed on the documents ---
+//
+// The verification code is a SHA-256 digest over the document's data in a
+// canonical form (see canonicalData) and the signature ID, which is itself a
+// digest of the signature as embedded in the PDF. Both are printed in the
+// footer, with a QR code linking to #/verify with the data prefilled, so
+// anyone can retype what is on the paper and check it offline. The QR code is
+// small, so when the data would make it too dense to scan from paper it only
+// carries the code and the signature ID, and the data is typed in. Presentation
+// choices (document language, day count shown or not, signature style) are
+// not part of the data.
+
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { flushSync } from 'react-dom';
+import { QRCodeSVG } from 'qrcode.react';
+import { svgToVector } from './signatureVector';
+import { locales, translate } from './i18n';
+
+const VERSION = 1;
+// Longest link the 22 mm stamp QR code (level L) still scans well from paper
+const MAX_QR_LENGTH = 200;
+// Crockford base32: no I, L, O or U, so codes survive being read aloud and retyped
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const clean = value => String(value ?? '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// An extra field left empty, or retyped with the text the document prints in
+// its place (in any document language), is hashed as empty
+function cleanField(field, value) {
+    const text = clean(value);
+    if (field.printedDefault && locales.some(l => clean(translate(l.id, field.printedDefault)) === text)) return '';
+    return text;
+}
+
+/**
+ * The data a document certifies, with short keys (it also travels in the QR
+ * code): type, institution, child, group, absence ranges, signature date and
+ * the type's extra fields. Text is trimmed, whitespace-collapsed and lower-cased
+ * so retyping it does not have to be letter-perfect.
+ */
+export function canonicalData(docType, { kindergartenName, childName, groupName, absences, signatureDate, extraFields = {} }) {
+    const data = {
+        t: docType.id,
+        i: clean(kindergartenName),
+        c: clean(childName),
+        g: clean(groupName),
+        s: signatureDate || '',
+    };
+    if (docType.usesAbsences) data.a = (absences || []).map(a => [a.from || '', a.to || '']);
+    if (docType.extraFields.length) {
+        data.x = {};
+        docType.extraFields.forEach(field => { data.x[field.key] = cleanField(field, extraFields[field.key]); });
+    }
+    return data;
+}
+
+// JSON with sorted object keys, so the digest does not depend on property order
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+async function sha256(text) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+// First `length` base32 characters of the digest, in groups of four
+function toCode(bytes, length) {
+    let bits = '';
+    for (const byte of bytes) bits += byte.toString(2).padStart(8, '0');
+    let code = '';
+    for (let i = 0; i < length; i++) code += ALPHABET[parseInt(bits.slice(i * 5, i * 5 + 5), 2)];
+    return code.match(/.{1,4}/g).join('-');
+}
+
+/** A typed-in code in its printed form; lookalike letters are read as the digits they stand for. */
+export function normalizeCode(input) {
+    const chars = String(input || '').toUpperCase()
+        .replace(/O/g, '0').replace(/[IL]/g, '1')
+        .replace(/[^0-9A-Z]/g, '');
+    return chars.match(/.{1,4}/g)?.join('-') || '';
+}
+
+/** Signature ID: digest of the embedded signature (its vector paths or its PNG). */
+export async function signatureId(signature) {
+    const source = signature?.vector ? canonicalJson(signature.vector) : (signature?.dataUrl || '');
+    return toCode(await sha256(source), 8);
+}
+
+export async function verificationCode(data, sigId) {
+    return toCode(await sha256(canonicalJson({ v: VERSION, data, signature: sigId })), 12);
+}
+
+/** Whether the code printed on a document matches the data and signature ID typed in. */
+export async function checkVerification(data, sigId, code) {
+    return normalizeCode(code) === await verificationCode(data, normalizeCode(sigId));
+}
+
+// --- Verification link (the QR code) ---
+
+function toBase64Url(text) {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+/** Address of the verification page, without the prefilled data. */
+export function verifyPageUrl() {
+    return `${window.location.origin}${window.location.pathname}#/verify`;
+}
+
+export function verificationUrl({ code, sigId, data }) {
+    const params = new URLSearchParams({ c: code, s: sigId, d: toBase64Url(canonicalJson(data)) });
+    return `${verifyPageUrl()}?${params}`;
+}
+
+// The link for the QR code: with the data when it fits
+function qrUrl(verification) {
+    const url = verificationUrl(verification);
+    if (url.length <= MAX_QR_LENGTH) return url;
+    return `${verifyPageUrl()}?${new URLSearchParams({ c: verification.code, s: verification.sigId })}`;
+}
+
+/** Reads the #/verify query back; missing or garbled parts come back empty. */
+export function parseVerificationParams(params) {
+    let data = null;
+    try {
+        if (params.get('d')) data = JSON.parse(fromBase64Url(params.get('d')));
+    } catch { }
+    return { code: params.get('c') || '', sigId: params.get('s') || '', data };
+}
+
+// QR code as a black vector, drawn through the same path as the signatures
+function qrVector(value) {
+    const host = document.createElement('div');
+    const root = createRoot(host);
+    flushSync(() => root.render(React.createElement(QRCodeSVG, { value, level: 'L', bgColor: 'none', marginSize: 0 })));
+    const markup = host.innerHTML;
+    root.unmount();
+    const vector = svgToVector(markup);
+    return vector && { ...vector, color: '#000000' };
+}
+
+/**
+ * Everything the PDF footer prints for a document.
+ * @returns {Promise<{ code: string, sigId: string, pageUrl: string, qr: object | null }>}
+ */
+export async function createVerification(docType, form, signature) {
+    const data = canonicalData(docType, form);
+    const sigId = await signatureId(signature);
+    const code = await verificationCode(data, sigId);
+    return { code, sigId, pageUrl: verifyPageUrl(), qr: qrVector(qrUrl({ code, sigId, data })) };
+}
@@ -0,0 +1,87 @@
+// --- Hungarian kindergarten-day calculator ---
+//
+// A kindergarten day is a weekday that is not a public holiday or a
+// government-announced rest day, plus the Saturdays that were declared
+// working days in exchange ("áthelyezett munkanap"). The yearly exchange
+// tables live in data/huCalendar.json and must be extended when the ministry
+// publishes the next year's decree; without an entry only statutory holidays
+// are skipped.
+
+import calendar from './data/huCalendar.json';
+
+const DAY_MS = 864e5;
+
+function parseIso(iso) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+}
+
+function toIso(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Anonymous Gregorian algorithm (Meeus/Jones/Butcher)
+function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+const holidayCache = new Map();
+
+/** Set of ISO dates that are public holidays or moved rest days in a year. */
+function daysOffIn(year) {
+    if (holidayCache.has(year)) return holidayCache.get(year);
+
+    const easter = easterSunday(year).getTime();
+    const days = new Set([
+        ...calendar.fixedHolidays.map(md => `${year}-${md}`),
+        toIso(new Date(easter - 2 * DAY_MS)),  // Nagypéntek
+        toIso(new Date(easter + DAY_MS)),      // Húsvéthétfő
+        toIso(new Date(easter + 50 * DAY_MS)), // Pünkösdhétfő
+        ...(calendar.years[year]?.restDays || []),
+    ]);
+    holidayCache.set(year, days);
+    return days;
+}
+
+export function isKindergartenDay(iso) {
+    const date = parseIso(iso);
+    const year = date.getUTCFullYear();
+    const weekday = date.getUTCDay();
+
+    if (weekday === 6 && calendar.years[year]?.workingSaturdays.includes(iso)) return true;
+    if (weekday === 0 || weekday === 6) return false;
+    return !daysOffIn(year).has(iso);
+}
+
+/** ISO dates of the kindergarten days in an inclusive range; empty when the range is incomplete or reversed. */
+export function kindergartenDaysIn(from, to) {
+    if (!from || !to || from > to) return [];
+    const days = [];
+    const end = parseIso(to).getTime();
+    for (let t = parseIso(from).getTime(); t <= end; t += DAY_MS) {
+        const iso = toIso(new Date(t));
+        if (isKindergartenDay(iso)) days.push(iso);
+    }
+    return days;
+}
+
+/** Number of distinct kindergarten days covered by a list of { from, to } ranges. */
+export function countKindergartenDays(absences) {
+    const days = new Set();
+    absences.forEach(a => kindergartenDaysIn(a.from, a.to).forEach(d => days.add(d)));
+    return days.size;
+}
@@ -0,0 +1,106 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPairingSecret, secureChannel, pack, unpack } from '../src/pairing.js';
+import { connectionPair, nextEvent } from './support/fakeConnection.js';
+
+// Desktop on one end, phone on the other; resolves once both have settled
+async function pair({ desktopSecret, phoneSecret, tap }) {
+    const { a, b } = connectionPair({ tap });
+    const desktop = secureChannel(a, { role: 'desktop', secret: desktopSecret });
+    const phone = secureChannel(b, { role: 'phone', secret: phoneSecret });
+    const [desktopEvent, phoneEvent] = await Promise.all([
+        nextEvent(desktop, ['open', 'reject']),
+        nextEvent(phone, ['open', 'reject']),
+    ]);
+    return { desktop, phone, desktopEvent: desktopEvent[0], phoneEvent: phoneEvent[0] };
+}
+
+test('pack and unpack keep the message and its binary data', () => {
+    const data = new Uint8Array([1, 2, 3, 250]).buffer;
+    const message = unpack(pack({ type: 'pdf', filename: 'a.pdf', data }));
+    assert.equal(message.type, 'pdf');
+    assert.equal(message.filename, 'a.pdf');
+    assert.deepEqual(new Uint8Array(message.data), new Uint8Array(data));
+});
+
+test('phones that know the secret pair and exchange sealed messages', async () => {
+    const secret = createPairingSecret();
+    const seen = [];
+    const { desktop, phone, desktopEvent, phoneEvent } = await pair({
+        desktopSecret: secret,
+        phoneSecret: secret,
+        tap: (message) => {
+            seen.push(message);
+            return message;
+        },
+    });
+    assert.equal(desktopEvent, 'open');
+    assert.equal(phoneEvent, 'open');
+    assert.equal(desktop.resumeSecret, phone.resumeSecret);
+    assert.notEqual(desktop.resumeSecret, secret);
+
+    const received = nextEvent(desktop, ['data']);
+    await phone.send({ type: 'signature', dataUrl: 'data:image/png;base64,AAAA' });
+    assert.deepEqual((await received)[1], { type: 'signature', dataUrl: 'data:image/png;base64,AAAA' });
+    assert.ok(!JSON.stringify(seen.at(-1)).includes('signature'), 'travels sealed');
+});
+
+test('a proof made with the wrong secret is rejected', async () => {
+    mock.method(console, 'warn', () => {});
+    const { desktopEvent, phoneEvent } = await pair({
+        desktopSecret: createPairingSecret(),
+        phoneSecret: createPairingSecret(),
+    });
+    assert.equal(desktopEvent, 'reject');
+    assert.equal(phoneEvent, 'reject');
+    mock.restoreAll();
+});
+
+test('a tampered ciphertext is dropped', async () => {
+    mock.method(console, 'warn', () => {});
+    const secret = createPairingSecret();
+    let tamper = false;
+    const { desktop, phone } = await pair({
+        desktopSecret: secret,
+        phoneSecret: secret,
+        tap: (message, from) => {
+            if (tamper && from === 'a' && message.type === 'sealed') {
+                tamper = false;
+                new Uint8Array(message.data)[0] ^= 1;
+            }
+            return message;
+        },
+    });
+    const received = [];
+    phone.on('data', message => received.push(message));
+
+    tamper = true;
+    await desktop.send({ type: 'document', n: 1 });
+    await desktop.send({ type: 'document', n: 2 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(received, [{ type: 'document', n: 2 }]);
+    assert.equal(console.warn.mock.calls.length, 1);
+    mock.restoreAll();
+});
+
+test('the QR code secret works once; the phone resumes with the derived one', async () => {
+    mock.method(console, 'warn', () => {});
+    const qrSecret = createPairingSecret();
+    let current = qrSecret;
+    const connect = async (phoneSecret) => {
+        const result = await pair({ desktopSecret: () => current, phoneSecret });
+        // The desktop adopts the connection (see phoneLink.js)
+        if (result.desktopEvent === 'open') current = result.desktop.resumeSecret;
+        return result;
+    };
+
+    const first = await connect(qrSecret);
+    assert.equal(first.phoneEvent, 'open');
+    assert.equal((await connect(qrSecret)).desktopEvent, 'reject');
+
+    const resumed = await connect(first.phone.resumeSecret);
+    assert.equal(resumed.phoneEvent, 'open');
+    assert.notEqual(resumed.phone.resumeSecret, first.phone.resumeSecret);
+    assert.equal((await connect(first.phone.resumeSecret)).desktopEvent, 'reject');
+    mock.restoreAll();
+});
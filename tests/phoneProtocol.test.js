@@ -0,0 +1,92 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { protocolChannel, PROTOCOL_VERSION } from '../src/phoneProtocol.js';
+import { connectionPair, nextEvent } from './support/fakeConnection.js';
+
+// Two protocol channels over an open pair, and every frame that went across
+async function openPair(tap = message => message) {
+    const frames = [];
+    const { a, b } = connectionPair({
+        tap: (message, from) => {
+            frames.push({ from, ...message });
+            return tap(message, from);
+        },
+    });
+    await Promise.all([nextEvent(a, ['open']), nextEvent(b, ['open'])]);
+    return { a, b, desktop: protocolChannel(a), phone: protocolChannel(b), frames };
+}
+
+test('a delivered message arrives in chunks, whole, and is confirmed', async () => {
+    const { desktop, phone, frames } = await openPair();
+    const data = new Uint8Array(150 * 1024).map((_, i) => i % 251).buffer;
+    const received = nextEvent(phone, ['data']);
+
+    await desktop.deliver({ type: 'pdf', filename: 'a.pdf', data });
+    const [, message] = await received;
+    assert.equal(message.filename, 'a.pdf');
+    assert.deepEqual(new Uint8Array(message.data), new Uint8Array(data));
+    assert.equal(frames.filter(frame => frame.type === 'chunk').length, 3);
+    assert.equal(frames.filter(frame => frame.type === 'ack').length, 1);
+});
+
+test('a chunk that fails the checksum is refused and sent again', async () => {
+    mock.method(console, 'warn', () => {});
+    let corrupt = true;
+    const { desktop, phone, frames } = await openPair((message) => {
+        if (corrupt && message.type === 'chunk') {
+            corrupt = false;
+            new Uint8Array(message.data)[0] ^= 1;
+        }
+        return message;
+    });
+    const received = [];
+    phone.on('data', message => received.push(message));
+
+    await desktop.deliver({ type: 'signature', dataUrl: 'data:image/png;base64,AAAA' });
+    assert.deepEqual(frames.map(frame => frame.type), ['chunk', 'nack', 'chunk', 'ack']);
+    assert.deepEqual(received, [{ type: 'signature', dataUrl: 'data:image/png;base64,AAAA' }]);
+    mock.restoreAll();
+});
+
+test('a message delivered again is confirmed but handled once', async () => {
+    const { desktop, phone } = await openPair();
+    const received = [];
+    phone.on('data', message => received.push(message));
+
+    await desktop.deliver({ type: 'pdf', filename: 'a.pdf' }, 'same-id');
+    await desktop.deliver({ type: 'pdf', filename: 'a.pdf' }, 'same-id');
+    assert.equal(received.length, 1);
+});
+
+test('a delivery fails when the connection closes first', async () => {
+    const { a, desktop } = await openPair(message => (message.type === 'ack' ? null : message));
+    const delivery = desktop.deliver({ type: 'signature', dataUrl: 'x' });
+    setTimeout(() => a.close(), 20);
+    await assert.rejects(delivery, /closed/);
+});
+
+test('a version mismatch is answered and reported on both sides', async () => {
+    mock.method(console, 'warn', () => {});
+    const { a, phone, frames } = await openPair();
+    const desktop = { incompatible: null };
+    a.on('data', (message) => {
+        if (message.type === 'incompatible') desktop.incompatible = message.v;
+    });
+    const reported = nextEvent(phone, ['incompatible']);
+    const received = [];
+    phone.on('data', message => received.push(message));
+
+    // An older desktop speaking version 1
+    await a.send({ type: 'document', data: {}, v: 1 });
+    assert.deepEqual(await reported, ['incompatible', 1]);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(desktop.incompatible, PROTOCOL_VERSION);
+    assert.deepEqual(received, []);
+
+    // Everything after the mismatch is dropped
+    await a.send({ type: 'document', data: {}, v: PROTOCOL_VERSION });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(received, []);
+    assert.equal(frames.filter(frame => frame.type === 'incompatible').length, 1);
+    mock.restoreAll();
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePathData } from '../src/signatureVector.js';
+
+test('relative commands and implicit line-tos become absolute M/L/C/Z', () => {
+    assert.deepEqual(parsePathData('m10 10 5 0 h5 v5 c1 1 2 2 3 3 s1 1 2 2 z'), [
+        ['M', 10, 10],
+        ['L', 15, 10],
+        ['L', 20, 10],
+        ['L', 20, 15],
+        ['C', 21, 16, 22, 17, 23, 18],
+        ['C', 24, 19, 24, 19, 25, 20],
+        ['Z'],
+    ]);
+});
+
+test('quadratic curves become cubic ones, with T reflecting the control point', () => {
+    const close = (actual, expected) => actual.forEach((value, i) => {
+        if (typeof value === 'number') assert.ok(Math.abs(value - expected[i]) < 1e-9, `${value} ≈ ${expected[i]}`);
+        else assert.equal(value, expected[i]);
+    });
+    const [move, quad, smooth] = parsePathData('M0 0Q5 5 10 0T20 0');
+    assert.deepEqual(move, ['M', 0, 0]);
+    close(quad, ['C', 10 / 3, 10 / 3, 20 / 3, 10 / 3, 10, 0]);
+    close(smooth, ['C', 40 / 3, -10 / 3, 50 / 3, -10 / 3, 20, 0]);
+});
+
+test('numbers without separators are split the way SVG does', () => {
+    assert.deepEqual(parsePathData('M1-2.5.5.5'), [['M', 1, -2.5], ['L', 0.5, 0.5]]);
+});
+
+test('a relative command after Z starts from the subpath start', () => {
+    assert.deepEqual(parsePathData('M10 10 L20 10 Z l5 5'), [['M', 10, 10], ['L', 20, 10], ['Z'], ['L', 15, 15]]);
+});
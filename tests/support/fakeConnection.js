@@ -0,0 +1,61 @@
+// --- In-memory connection pair for the pairing and protocol tests ---
+//
+// Two ends with the interface of a PeerJS DataConnection (see relay.js):
+// on('open' | 'data' | 'close'), send(), close() and `open`. Messages arrive
+// asynchronously, structured-cloned as over a data channel, and pass
+// through `tap(message, from)` on the way, which may change them or return
+// null to drop them.
+
+function createEnd() {
+    const handlers = {};
+    const end = {
+        open: false,
+        on(event, handler) {
+            (handlers[event] = handlers[event] || []).push(handler);
+            return end;
+        },
+        emit(event, arg) {
+            (handlers[event] || []).forEach(handler => handler(arg));
+        },
+    };
+    return end;
+}
+
+/** Two connected ends, `a` and `b`; both open on the next tick. */
+export function connectionPair({ tap = message => message } = {}) {
+    const a = createEnd();
+    const b = createEnd();
+    const link = (from, to, name) => {
+        // Hands the message over at once, as PeerJS does; the promise stands
+        // in for a secure channel's send
+        from.send = (message) => {
+            if (!from.open) return Promise.reject(new Error('The connection is closed'));
+            const passed = tap(structuredClone(message), name);
+            if (passed) setTimeout(() => to.open && to.emit('data', passed));
+            return Promise.resolve();
+        };
+        from.close = () => {
+            if (!from.open) return;
+            from.open = false;
+            to.open = false;
+            from.emit('close');
+            to.emit('close');
+        };
+    };
+    link(a, b, 'a');
+    link(b, a, 'b');
+    setTimeout(() => {
+        a.open = true;
+        b.open = true;
+        a.emit('open');
+        b.emit('open');
+    });
+    return { a, b };
+}
+
+/** Resolves with the first of `events` the emitter fires: [event, arg]. */
+export function nextEvent(emitter, events) {
+    return new Promise((resolve) => {
+        events.forEach(event => emitter.on(event, arg => resolve([event, arg])));
+    });
+}
@@ -0,0 +1,18 @@
+// --- Module hooks for the tests ---
+//
+// The sources are written for Vite: imports leave out the .js extension and
+// JSON is imported without attributes. These hooks let Node load them as is.
+
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (err) {
+        if (err.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith('.')) throw err;
+        return nextResolve(`${specifier}.js`, context);
+    }
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.endsWith('.json')) return nextLoad(url, { ...context, importAttributes: { type: 'json' } });
+    return nextLoad(url, context);
+}
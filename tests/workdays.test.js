@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isKindergartenDay, kindergartenDaysIn, countKindergartenDays } from '../src/workdays.js';
+
+test('the Easter holidays move with Easter', () => {
+    // Easter Sunday: 2024-03-31, 2025-04-20, 2026-04-05
+    ['2024-03-29', '2024-04-01', '2024-05-20', '2025-04-18', '2025-04-21', '2025-06-09',
+        '2026-04-03', '2026-04-06', '2026-05-25'].forEach((day) => {
+        assert.equal(isKindergartenDay(day), false, day);
+    });
+    ['2024-03-28', '2024-04-02', '2025-04-17', '2025-04-22'].forEach((day) => {
+        assert.equal(isKindergartenDay(day), true, day);
+    });
+});
+
+test('fixed holidays, rest days and weekends are off; working Saturdays are not', () => {
+    assert.equal(isKindergartenDay('2025-03-14'), true);
+    assert.equal(isKindergartenDay('2024-03-15'), false);
+    assert.equal(isKindergartenDay('2024-08-19'), false);
+    assert.equal(isKindergartenDay('2025-03-15'), false);
+    assert.equal(isKindergartenDay('2025-03-16'), false);
+    assert.equal(isKindergartenDay('2024-08-03'), true);
+});
+
+test('ranges count kindergarten days, and overlapping ranges count them once', () => {
+    // Mon 2024-03-25 to Wed 2024-04-03: Good Friday and Easter Monday are off
+    assert.deepEqual(kindergartenDaysIn('2024-03-25', '2024-04-03'),
+        ['2024-03-25', '2024-03-26', '2024-03-27', '2024-03-28', '2024-04-02', '2024-04-03']);
+    assert.deepEqual(kindergartenDaysIn('2024-04-03', '2024-03-25'), []);
+    assert.deepEqual(kindergartenDaysIn('2024-04-03', ''), []);
+    assert.equal(countKindergartenDays([
+        { from: '2024-03-25', to: '2024-03-27' },
+        { from: '2024-03-26', to: '2024-04-02' },
+    ]), 5);
+});
@@ -0,0 +1,29 @@
+#!/bin/sh
+# --- TLS certificate for nginx ---
+#
+# Run by the nginx image on start (/docker-entrypoint.d). Phone signing only
+# works over https, so nginx always serves 443 as well: with the certificate
+# mounted at /etc/nginx/certs (cert.pem, key.pem) if there is one, otherwise
+# with a self-signed one made here for TLS_HOSTNAME, which browsers warn about
+# until it is accepted.
+set -e
+
+dir=/etc/nginx/certs
+host=${TLS_HOSTNAME:-localhost}
+
+if [ -f "$dir/cert.pem" ] && [ -f "$dir/key.pem" ]; then
+    exit 0
+fi
+
+case "$host" in
+    *[!0-9.]*) san="DNS:$host" ;;
+    *) san="IP:$host" ;;
+esac
+
+mkdir -p "$dir"
+openssl req -x509 -newkey rsa:2048 -nodes -days 825 \
+    -keyout "$dir/key.pem" -out "$dir/cert.pem" \
+    -subj "/CN=$host" -addext "subjectAltName=$san,DNS:localhost" 2>/dev/null
+echo "$0: no TLS certificate in $dir, made a self-signed one for $host." \
+    "Phone signing needs https: open the app over https at $host and accept the warning," \
+    "or mount a real cert.pem and key.pem there."
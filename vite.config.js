@@ -7,4 +7,11 @@ export default defineConfig({
     react(),
     tailwindcss(),
   ],
+  server: {
+    // Local PeerJS server and relay (server/), for VITE_PEER_HOST=/, VITE_PEER_PATH=/peerjs and VITE_RELAY_URL=/relay
+    proxy: {
+      '/peerjs': { target: 'http://localhost:9000', ws: true },
+      '/relay': { target: 'http://localhost:9001', ws: true },
+    },
+  },
 })